@@ -3,36 +3,179 @@ const bodyParser = require('body-parser');
 const helmet = require('helmet');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
-const dotenv = require('dotenv');
+const { safeEqual } = require('./src/auth/credentials');
+const { formatHostPort } = require('./src/net/hostPort');
 
-dotenv.config({ path: './config/.env'}); // Load environment variables from .env file
+// Admin API of the proxy presets (superProxy.js, su.js with admin.enabled),
+// served on its own port next to the proxy by src/features/adminApi.js.
+// Every route needs "Authorization: Bearer <admin token>".
+//
+//   GET    /            proxy name, version, uptime, features and counts
+//   GET    /active      in-flight requests and open tunnels with their byte counts
+//   DELETE /active/:id  kill one (a tunnel is closed with reason 'admin', a
+//                       request loses its client connection)
+//   GET    /config      the effective configuration, secrets redacted
+//   PATCH  /config      change keys at runtime: { "trafficShaping.enabled": false,
+//                       "domainFronting.enabled": true, "logLevel": "debug" }
+//                       until the next reload (SIGHUP) or restart; only the
+//                       RUNTIME_KEYS of src/config/sections.js, 400 for others
 
-const app = express();
-const PORT = process.env.PORT || 3000;
+// Keys whose values never leave the server
+const SECRET_KEY = /password|secret|token/i;
 
-// Middleware
-app.use(bodyParser.json());
-app.use(bodyParser.urlencoded({ extended: true }));
-app.use(helmet());
-app.use(cors());
+// Credentials in URLs (multiHop.hops, tunnel.url)
+const URL_PASSWORD = /(\/\/[^/:@\s]+:)[^@/\s]+@/g;
 
-// Rate Limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // Limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.',
-});
-app.use(limiter);
+function redact(value, key = '') {
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item));
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, redact(item, name)]));
+  }
+  if (typeof value === 'string') {
+    return SECRET_KEY.test(key) && value ? '[redacted]' : value.replace(URL_PASSWORD, '$1[redacted]@');
+  }
+  return value;
+}
 
-// Routes
-app.get('/', (req, res) => {
-    res.send("Welcome to express proxy server");
-});
+// What /active shows of a request or tunnel ctx
+function describeActive(ctx, now) {
+  if (ctx.close) {
+    ctx.countBytes();
+    return {
+      id: ctx.id,
+      kind: 'tunnel',
+      type: ctx.type,
+      target: formatHostPort(ctx.hostname, ctx.port),
+      clientAddress: ctx.clientAddress,
+      user: ctx.user || null,
+      openedAt: new Date(ctx.openedAt).toISOString(),
+      age: now - ctx.openedAt,
+      bytesSent: ctx.bytesSent,
+      bytesReceived: ctx.bytesReceived
+    };
+  }
+  return {
+    id: ctx.id,
+    kind: 'request',
+    method: ctx.method,
+    url: ctx.url ? ctx.url.href : ctx.req.url,
+    route: ctx.route,
+    clientAddress: ctx.clientAddress,
+    user: ctx.user || null,
+    startedAt: new Date(ctx.startedAt).toISOString(),
+    age: now - ctx.startedAt,
+    bytesSent: ctx.bytesSent,
+    bytesReceived: ctx.bytesReceived
+  };
+}
 
+// options:
+//   core     - the proxy core (server.proxy)
+//   token    - admin token
+//   config() - -> the effective configuration
+//   update(changes) - apply { 'dotted.key': value }, -> changed keys (throws when rejected)
+function createAdminApp(options) {
+  const { core, token, config, update } = options;
 
+  const app = express();
 
-module.exports = app;
-// Start the server
-// app.listen(PORT, () => {
-//   console.log(`Server is running on http://localhost:${PORT}`);
-// });
\ No newline at end of file
+  // Middleware
+  app.use(helmet());
+  app.use(cors());
+  app.use(bodyParser.json());
+  app.use(bodyParser.urlencoded({ extended: true }));
+
+  // Rate Limiting - only failed requests count, so guessing the token is slow
+  // but polling /active is not
+  const limiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 100, // Limit each IP to 100 failed requests per windowMs
+    skipSuccessfulRequests: true,
+    message: { error: 'Too many requests from this IP, please try again later.' }
+  });
+  app.use(limiter);
+
+  // Admin token
+  app.use((req, res, next) => {
+    if (!safeEqual(req.headers.authorization || '', `Bearer ${token}`)) {
+      res.set('WWW-Authenticate', 'Bearer').status(401).json({ error: 'Unauthorized' });
+      return;
+    }
+    next();
+  });
+
+  // Routes
+  app.get('/', (req, res) => {
+    const active = [...core.active];
+    res.json({
+      name: core.options.name || 'Proxy server',
+      version: core.options.version || '1.0.0',
+      uptime: process.uptime(),
+      draining: core.draining,
+      features: core.features.map(feature => feature.name).filter(Boolean),
+      requests: active.filter(ctx => !ctx.close).length,
+      tunnels: active.filter(ctx => ctx.close).length
+    });
+  });
+
+  app.get('/active', (req, res) => {
+    const now = Date.now();
+    const active = [...core.active].map(ctx => describeActive(ctx, now));
+    res.json({
+      requests: active.filter(item => item.kind === 'request'),
+      tunnels: active.filter(item => item.kind === 'tunnel')
+    });
+  });
+
+  app.delete('/active/:id', (req, res) => {
+    const ctx = [...core.active].find(item => String(item.id) === req.params.id);
+    if (!ctx) {
+      res.status(404).json({ error: `Nothing active with id ${req.params.id}` });
+      return;
+    }
+    const killed = describeActive(ctx, Date.now());
+    if (ctx.close) {
+      ctx.close('admin');
+    } else {
+      ctx.req.socket.destroy();
+    }
+    core.log('info', `Admin killed ${killed.kind} #${killed.id} (${killed.target || `${killed.method} ${killed.url}`})`);
+    res.json({ killed });
+  });
+
+  app.get('/config', (req, res) => {
+    res.json(redact(config()));
+  });
+
+  app.patch('/config', (req, res) => {
+    const changes = req.body;
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes) || Object.keys(changes).length === 0) {
+      res.status(400).json({ error: 'Expected an object of { "dotted.key": value } changes' });
+      return;
+    }
+    let changed;
+    try {
+      changed = update(changes);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+      return;
+    }
+    res.json({ changed, config: redact(config()) });
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({ error: 'Not found' });
+  });
+
+  // Malformed JSON bodies and anything a route threw (Express tells error
+  // handlers apart by their four parameters)
+  app.use((err, req, res, next) => {
+    res.status(err.status || 500).json({ error: err.message });
+  });
+
+  return app;
+}
+
+module.exports = { createAdminApp };
@@ -0,0 +1,119 @@
+const { startProxyServer } = require('./src/core/createProxyServer');
+const { websocketUpstream } = require('./src/features/websocketUpstream');
+const { socksListener } = require('./src/features/socksListener');
+const { connectionStatus } = require('./src/features/connectionStatus');
+const { loadConfig } = require('./src/config/loadConfig');
+const { presetSchema, presetEnvAliases } = require('./src/config/sections');
+const { createFeatureCache, reloadOnSignal } = require('./src/config/reload');
+
+// Companion client: runs on your own machine as a local HTTP and SOCKS5
+// proxy and carries every connection over the WebSocket tunnel of a
+// deployed su.js / superProxy.js, so all the network in between sees is
+// HTTPS to that server.
+//
+//   TUNNEL_URL=wss://proxy.example.com/api/stream TUNNEL_TOKEN=... node companion.js
+//   node companion.js --tunnel.url=wss://proxy.example.com/api/stream --socks.port=1081
+//
+// Then point the browser at http://127.0.0.1:8080 or socks5://127.0.0.1:1080.
+// The same config file / PROXY_CONFIG__* / --key=value layering as the
+// server presets applies (src/config/loadConfig.js); SIGHUP re-reads it.
+const defaults = {
+  port: 8080,              // Local HTTP proxy (PORT)
+  host: '127.0.0.1',       // Keep it to this machine
+  logLevel: 'info',
+
+  // The server's WebSocket tunnel
+  tunnel: {
+    url: undefined,        // wss://<server>/<websocket.path> (TUNNEL_URL)
+    token: undefined,      // The server's websocket.token (TUNNEL_TOKEN)
+    username: undefined,   // Proxy credentials, if the server has auth on (TUNNEL_USER)
+    password: undefined,   // TUNNEL_PASSWORD
+    secret: undefined,     // Encrypted transport secret instead of ?target= (TRANSPORT_SECRET)
+    cipher: 'aes-256-gcm',
+    multiplex: true,       // One long-lived upgrade for every connection
+    keepAlive: 25000,      // ms of silence before pinging it
+    retries: 3,            // Extra attempts while the server is unreachable or restarting
+    retryDelay: 500,       // ms before the first retry, doubled after each one
+    timeout: 10000,        // ms for the upgrade (and the encrypted handshake)
+    rejectUnauthorized: true
+  },
+
+  // Local SOCKS5/SOCKS4a listener (UDP can't ride the tunnel, so no UDP ASSOCIATE)
+  socks: {
+    enabled: true,
+    port: 1080,            // SOCKS_PORT
+    host: '127.0.0.1'
+  },
+
+  timeouts: {
+    request: 30000,
+    tunnel: 120000,
+    shutdown: 5000
+  },
+
+  // One line per connection opened, closed or failed
+  status: {
+    enabled: true,
+    requests: true         // Plain HTTP requests too
+  }
+};
+
+const schema = presetSchema(Object.keys(defaults));
+const envAliases = presetEnvAliases(Object.keys(defaults));
+const load = () => loadConfig({ schema, defaults, envAliases });
+
+let loaded;
+try {
+  loaded = load();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+const { config } = loaded;
+
+if (!config.tunnel.url) {
+  console.error('tunnel.url: the server\'s WebSocket tunnel url is required '
+    + '(TUNNEL_URL=wss://proxy.example.com/api/stream or --tunnel.url=...)');
+  process.exit(1);
+}
+
+const featureCache = createFeatureCache();
+const buildFeatures = next => featureCache.build([
+  ['status', next.status.enabled && next.status, connectionStatus],
+  ['tunnel', next.tunnel, websocketUpstream],
+  ['socks', next.socks.enabled && next.socks, socks => socksListener({ ...socks, udp: false })]
+]);
+
+let features;
+try {
+  features = buildFeatures(config);
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+const server = startProxyServer({
+  name: 'Companion client',
+  port: config.port,
+  host: config.host,
+  logLevel: config.logLevel,
+  timeouts: config.timeouts,
+  features
+});
+
+if (loaded.file) {
+  server.proxy.log('info', `Configuration loaded from ${loaded.file}`);
+}
+
+reloadOnSignal(server, {
+  config,
+  load: () => load().config,
+  restartOnly: ['port', 'host'],
+  apply: next => server.proxy.reload({
+    logLevel: next.logLevel,
+    timeouts: next.timeouts,
+    features: buildFeatures(next)
+  })
+});
+
+module.exports = server;
@@ -1,9 +1,38 @@
 const http = require('http');
 const https = require('https');
 const url = require('url');
+const { createDestinationPolicy, isDestinationDenied, rulesFromEnv } = require('./src/net/destinationPolicy');
+const { elapsed, shutdownOnSignal, trackSockets, waitUntil } = require('./src/core/shutdown');
+const { applyRequestPolicy, applyResponsePolicy, checkPolicy, stripHopByHop } = require('./src/net/forwardingHeaders');
+
+// Private, loopback and metadata addresses are off limits unless
+// DESTINATION_ALLOW lists them (DESTINATION_DENY blocks more)
+const destinationPolicy = createDestinationPolicy({ rules: rulesFromEnv() });
+
+// What the target learns about the client: HEADER_POLICY=passthrough (default),
+// anonymous or transparent. Hop-by-hop headers are dropped under all three.
+const headerPolicy = checkPolicy(process.env.HEADER_POLICY || 'passthrough', 'HEADER_POLICY');
+const pseudonym = 'jproxy';
+
+const forbidden = (res, err) => {
+  console.warn(`Blocked: ${err.message}`);
+  res.writeHead(403, { 'Content-Type': 'text/plain' });
+  res.end(`Forbidden: ${err.message}`);
+};
+
+// Requests still being proxied -> when they started, for the shutdown summary
+const inFlight = new Map();
+let draining = false;
 
 // Create a proxy server
 const server = http.createServer((clientReq, clientRes) => {
+  inFlight.set(clientReq, Date.now());
+  clientRes.once('close', () => inFlight.delete(clientReq));
+  // Keep-alive connections close after their current response while draining
+  if (draining) {
+    clientRes.setHeader('Connection', 'close');
+  }
+
   // Parse the requested URL
   const targetUrl = url.parse(clientReq.url.substring(1));
   
@@ -14,25 +43,41 @@ const server = http.createServer((clientReq, clientRes) => {
     return;
   }
 
-  // Set up options for the proxied request
+  const port = Number(targetUrl.port) || (targetUrl.protocol === 'https:' ? 443 : 80);
+  try {
+    destinationPolicy.checkTarget({ hostname: targetUrl.hostname, port });
+  } catch (err) {
+    forbidden(clientRes, err);
+    return;
+  }
+
+  // Set up options for the proxied request; the lookup only hands out
+  // addresses the destination policy allows
   const options = {
     hostname: targetUrl.hostname,
-    port: targetUrl.protocol === 'https:' ? 443 : 80,
+    port,
+    lookup: destinationPolicy.lookup(port),
     path: targetUrl.path || '/',
     method: clientReq.method,
-    headers: {
+    headers: applyRequestPolicy(headerPolicy, stripHopByHop({
       ...clientReq.headers,
       host: targetUrl.hostname
-    }
+    }), {
+      clientAddress: clientReq.socket.remoteAddress,
+      host: clientReq.headers.host,
+      proto: 'http',
+      httpVersion: clientReq.httpVersion,
+      pseudonym
+    })
   };
 
-  // Remove proxy-specific headers
-  delete options.headers['proxy-connection'];
-  
   // Create appropriate request based on protocol
   const proxyReq = (targetUrl.protocol === 'https:' ? https : http).request(options, (proxyRes) => {
     // Set headers from the target server response
-    clientRes.writeHead(proxyRes.statusCode, proxyRes.headers);
+    clientRes.writeHead(proxyRes.statusCode, applyResponsePolicy(headerPolicy, stripHopByHop(proxyRes.headers), {
+      httpVersion: proxyRes.httpVersion,
+      pseudonym
+    }));
     
     // Pipe the response data back to the client
     proxyRes.pipe(clientRes, { end: true });
@@ -43,13 +88,39 @@ const server = http.createServer((clientReq, clientRes) => {
 
   // Handle errors
   proxyReq.on('error', (err) => {
+    if (isDestinationDenied(err)) {
+      forbidden(clientRes, err);
+      return;
+    }
     console.error('Proxy request error:', err);
     clientRes.writeHead(500, { 'Content-Type': 'text/plain' });
     clientRes.end('Proxy request failed');
   });
 });
 
+const sockets = trackSockets(server);
+
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
   console.log(`Proxy server running on port ${PORT}`);
+});
+
+// SIGTERM/SIGINT: stop accepting, give in-flight requests SHUTDOWN_DEADLINE ms
+// (default 25 s), then cut off the rest
+shutdownOnSignal({
+  deadline: process.env.SHUTDOWN_DEADLINE ? Number(process.env.SHUTDOWN_DEADLINE) : undefined,
+  async shutdown(deadline) {
+    draining = true;
+    server.close();
+    if (await waitUntil(() => sockets.size === 0, deadline)) {
+      console.log('Shutdown complete, every request finished');
+      return;
+    }
+    const now = Date.now();
+    console.warn(`Shutdown deadline reached, cut off ${inFlight.size} requests`);
+    inFlight.forEach((startedAt, req) => {
+      console.warn(`  ${req.method} ${req.url} from ${req.socket.remoteAddress}, running ${elapsed(now - startedAt)}`);
+    });
+    sockets.forEach(socket => socket.destroy());
+  }
 });
\ No newline at end of file
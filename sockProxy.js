@@ -1,66 +1,415 @@
 const WebSocket = require('ws');
+const fs = require('fs');
 const http = require('http');
+const path = require('path');
 const url = require('url');
+const { createDestinationPolicy, rulesFromEnv } = require('./src/net/destinationPolicy');
+const { findHostPattern } = require('./src/net/hostPattern');
+const { formatHostPort } = require('./src/net/hostPort');
+const { safeEqual } = require('./src/auth/credentials');
+const { checkSignedToken } = require('./src/auth/signedToken');
+const { DEFAULT_MAX_BYTES, createFrameCapture } = require('./src/logging/frameCapture');
+const { elapsed, shutdownOnSignal, trackSockets, waitUntil } = require('./src/core/shutdown');
+
+const envNumber = (name, fallback) => (process.env[name] ? Number(process.env[name]) : fallback);
+const envList = (name, fallback) => (process.env[name] === undefined ? fallback : process.env[name])
+  .split(',')
+  .map(entry => entry.trim().toLowerCase())
+  .filter(Boolean);
 
 // Configuration
 const PORT = process.env.PORT || 8080;
 const TARGET_URL = process.env.TARGET_URL || 'ws://localhost:9000';
 
-// Create HTTP server
+// Clients prove they may use the relay with "Authorization: Bearer <RELAY_TOKEN>"
+// (or ?token=, browsers can't set headers), or with a signed url from
+// src/auth/signedToken.js: ?expires=...&signature=... for the target url
+// signed with RELAY_SIGNING_SECRET. With neither set the relay refuses to
+// start, unless RELAY_OPEN=1 says it is meant to be open to anyone.
+const RELAY_TOKEN = process.env.RELAY_TOKEN;
+const RELAY_SIGNING_SECRET = process.env.RELAY_SIGNING_SECRET;
+const RELAY_OPEN = process.env.RELAY_OPEN === '1';
+if (!RELAY_TOKEN && !RELAY_SIGNING_SECRET && !RELAY_OPEN) {
+  console.error('Set RELAY_TOKEN or RELAY_SIGNING_SECRET, or RELAY_OPEN=1 to run the relay without authentication');
+  process.exit(1);
+}
+
+// Targets ?target= may name: 'host', '*.example.com' or either with ':port'.
+// Only TARGET_URL's own host and port by default.
+const TARGET_ALLOW = envList('TARGET_ALLOW', formatHostPort(new URL(TARGET_URL).hostname, targetPort(new URL(TARGET_URL))));
+
+// Largest message either side may send (closes with 1009 beyond it) and the
+// bytes queued towards one side before the other is paused
+const MAX_MESSAGE_SIZE = envNumber('MAX_MESSAGE_SIZE', 1024 * 1024);
+const MAX_QUEUE_SIZE = envNumber('MAX_QUEUE_SIZE', 4 * 1024 * 1024);
+
+// Both sides are pinged this often (ms, 0 = never) and dropped when the
+// previous ping went unanswered. Load balancers (Render's among them) cut
+// connections that stay silent for long.
+const PING_INTERVAL = envNumber('PING_INTERVAL', 30000);
+
+// Client request headers passed on to the target, besides its subprotocols
+const FORWARD_HEADERS = envList('FORWARD_HEADERS', 'origin,user-agent,accept-language');
+
+const CONNECT_TIMEOUT = envNumber('CONNECT_TIMEOUT', 10000);
+
+// Frame captures for debugging (src/logging/frameCapture.js): with
+// CAPTURE_DIR set, every session (CAPTURE=all) or only those opened with
+// ?capture=1 (CAPTURE=requested) is written to <CAPTURE_DIR>/<time>-<n>.jsonl,
+// up to CAPTURE_MAX_BYTES each. Replay them with sockReplay.js.
+const CAPTURE_DIR = process.env.CAPTURE_DIR;
+const CAPTURE = process.env.CAPTURE || 'all';
+const CAPTURE_MAX_BYTES = envNumber('CAPTURE_MAX_BYTES', DEFAULT_MAX_BYTES);
+if (!['all', 'requested'].includes(CAPTURE)) {
+  console.error(`CAPTURE: expected "all" or "requested", got "${CAPTURE}"`);
+  process.exit(1);
+}
+if (CAPTURE_DIR) {
+  fs.mkdirSync(CAPTURE_DIR, { recursive: true });
+}
+
+// Private, loopback and metadata addresses are off limits unless
+// DESTINATION_ALLOW lists them (DESTINATION_DENY blocks more). TARGET_URL
+// itself was configured on purpose and stays reachable unless denied.
+const defaultTarget = targetFor({});
+const destinationPolicy = createDestinationPolicy({
+  rules: [
+    ...rulesFromEnv(),
+    { action: 'allow', host: defaultTarget.hostname, ports: [defaultTarget.port] }
+  ]
+});
+
+// Set on SIGTERM: new tunnels are refused, open ones get the shutdown deadline
+let draining = false;
+
+function targetPort(target) {
+  const secure = target.protocol === 'wss:' || target.protocol === 'https:';
+  return Number(target.port) || (secure ? 443 : 80);
+}
+
+// Parse the ?target= (or default) URL into what the policy checks
+function targetFor(query) {
+  const targetUrl = query.target || TARGET_URL;
+  const target = new URL(targetUrl);
+  return {
+    url: targetUrl,
+    hostname: target.hostname.replace(/^\[|\]$/g, ''),
+    port: targetPort(target)
+  };
+}
+
+function onAllowlist(target) {
+  return TARGET_ALLOW.some((entry) => {
+    const [, host, port] = entry.match(/^(.+?)(?::(\d+))?$/);
+    return findHostPattern(target.hostname, [host.replace(/^\[|\]$/g, '')]) && (!port || Number(port) === target.port);
+  });
+}
+
+// -> null when the client may use the relay, or why it may not
+function authFailure(req, query, target) {
+  if (!RELAY_TOKEN && !RELAY_SIGNING_SECRET) {
+    return null;
+  }
+  if (RELAY_TOKEN) {
+    const bearer = req.headers.authorization || '';
+    if (safeEqual(bearer, `Bearer ${RELAY_TOKEN}`) || safeEqual(query.token || '', RELAY_TOKEN)) {
+      return null;
+    }
+  }
+  if (RELAY_SIGNING_SECRET && query.signature) {
+    const result = checkSignedToken(RELAY_SIGNING_SECRET, target.url, query.expires, query.signature);
+    return result === 'valid' ? null : `${result} signature`;
+  }
+  return 'token missing or wrong';
+}
+
+// Subprotocols the client offered, passed on to the target as they are
+const offeredProtocols = req => (req.headers['sec-websocket-protocol'] || '')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+
+function forwardedHeaders(req) {
+  const headers = {};
+  FORWARD_HEADERS.forEach((name) => {
+    // Our own token never travels on
+    if (req.headers[name] !== undefined && !(name === 'authorization' && RELAY_TOKEN)) {
+      headers[name] = req.headers[name];
+    }
+  });
+  return headers;
+}
+
+// Open the target before answering the client, so its answer - refusal,
+// chosen subprotocol - is what the client gets. Its messages wait (paused)
+// until the client side is wired up.
+function connectTarget(req, target, callback) {
+  const targetWs = new WebSocket(target.url, offeredProtocols(req), {
+    headers: forwardedHeaders(req),
+    lookup: destinationPolicy.lookup(target.port),
+    handshakeTimeout: CONNECT_TIMEOUT,
+    maxPayload: MAX_MESSAGE_SIZE,
+    perMessageDeflate: false
+  });
+  const fail = (err) => {
+    targetWs.removeAllListeners();
+    targetWs.on('error', () => {});
+    targetWs.terminate();
+    callback(err);
+  };
+  targetWs.once('error', fail);
+  targetWs.once('unexpected-response', (request, res) => {
+    res.resume();
+    fail(new Error(`target answered ${res.statusCode}`));
+  });
+  targetWs.once('open', () => {
+    targetWs.removeListener('error', fail);
+    targetWs.pause();
+    callback(null, targetWs);
+  });
+}
+
+// Refuse the upgrade with a 401 without a valid token, a 403 when the
+// target isn't on the allowlist or it (or what it resolves to) is blocked,
+// a 502 when it can't be reached and a 503 while shutting down
+function verifyClient(info, callback) {
+  const { req } = info;
+  const refuse = (status, message, reason, headers) => {
+    console.warn(`Rejected connection from ${req.socket.remoteAddress}: ${reason}`);
+    callback(false, status, message, headers);
+  };
+  if (draining) {
+    callback(false, 503, 'Service Unavailable');
+    return;
+  }
+
+  const { query } = url.parse(req.url, true);
+  let target;
+  try {
+    target = targetFor(query);
+  } catch (err) {
+    refuse(400, 'Bad Request', err.message);
+    return;
+  }
+
+  const failure = authFailure(req, query, target);
+  if (failure) {
+    refuse(401, 'Unauthorized', failure, { 'WWW-Authenticate': 'Bearer' });
+    return;
+  }
+  if (!onAllowlist(target)) {
+    refuse(403, 'Forbidden', `${formatHostPort(target.hostname, target.port)} is not on the target allowlist`);
+    return;
+  }
+  try {
+    destinationPolicy.checkTarget(target);
+  } catch (err) {
+    refuse(err.statusCode || 400, err.statusCode ? 'Forbidden' : 'Bad Request', err.message);
+    return;
+  }
+
+  connectTarget(req, target, (err, targetWs) => {
+    if (err) {
+      if (err.statusCode) {
+        refuse(err.statusCode, 'Forbidden', err.message);
+      } else {
+        refuse(502, 'Bad Gateway', `${target.url}: ${err.message}`);
+      }
+      return;
+    }
+    // The client may have left while the target was opening
+    if (req.socket.destroyed || draining) {
+      targetWs.terminate();
+      callback(false, 503, 'Service Unavailable');
+      return;
+    }
+    req.target = target;
+    req.targetWs = targetWs;
+    req.capture = CAPTURE_DIR && (CAPTURE === 'all' || query.capture === '1');
+    req.dropTarget = () => targetWs.terminate();
+    req.socket.once('close', req.dropTarget);
+    callback(true);
+  });
+}
+
+// Send on towards `to`; once more than MAX_QUEUE_SIZE bytes wait for it,
+// `from` is paused until they are flushed. onMessage sees every message.
+function relay(from, to, onMessage) {
+  from.on('message', (data, isBinary) => {
+    if (onMessage) {
+      onMessage(data, isBinary);
+    }
+    if (to.readyState !== WebSocket.OPEN) {
+      return;
+    }
+    to.send(data, { binary: isBinary }, () => {
+      if (from.isPaused && to.bufferedAmount <= MAX_QUEUE_SIZE / 2) {
+        from.resume();
+      }
+    });
+    if (to.bufferedAmount > MAX_QUEUE_SIZE) {
+      from.pause();
+    }
+  });
+}
+
+// Mark a connection alive whenever it answers a ping
+function heartbeat(ws) {
+  ws.isAlive = true;
+  ws.on('pong', () => {
+    ws.isAlive = true;
+  });
+}
+
+// Open tunnels (client socket -> { target, remoteAddress, startedAt, targetWs })
+const sessions = new Map();
+let sessionCount = 0;
+
+// File for the session's frames, or null when it isn't captured
+function startCapture(req, ws) {
+  if (!req.capture) {
+    return null;
+  }
+  const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${sessionCount}.jsonl`;
+  const capture = createFrameCapture(path.join(CAPTURE_DIR, name), {
+    target: req.target.url,
+    client: req.socket.remoteAddress,
+    protocol: ws.protocol
+  }, {
+    maxBytes: CAPTURE_MAX_BYTES,
+    onError: err => console.error(`Capture ${name} stopped: ${err.message}`)
+  });
+  console.log(`Capturing frames to ${capture.file}`);
+  return capture;
+}
+
+// Create HTTP server; it doubles as the health check, so it answers 503 while draining
 const server = http.createServer((req, res) => {
+  if (draining) {
+    res.writeHead(503, { 'Content-Type': 'text/plain', Connection: 'close' });
+    res.end('WebSocket Tunnel Server Draining');
+    return;
+  }
   res.writeHead(200, { 'Content-Type': 'text/plain' });
   res.end('WebSocket Tunnel Server Running');
 });
+const sockets = trackSockets(server);
 
-// Create WebSocket server
-const wss = new WebSocket.Server({ server });
+// Create WebSocket server; the client gets the subprotocol the target chose
+const wss = new WebSocket.Server({
+  server,
+  verifyClient,
+  maxPayload: MAX_MESSAGE_SIZE,
+  perMessageDeflate: false,
+  handleProtocols: (protocols, req) => req.targetWs.protocol || false
+});
 
 // Handle new WebSocket connections
 wss.on('connection', (ws, req) => {
   console.log(`New connection from ${req.socket.remoteAddress}`);
-  
-  // Parse any query parameters
-  const parsedUrl = url.parse(req.url, true);
-  const targetUrl = parsedUrl.query.target || TARGET_URL;
-  
-  // Connect to target WebSocket server
-  const targetWs = new WebSocket(targetUrl);
-  
+
+  const { target, targetWs } = req;
+  req.socket.removeListener('close', req.dropTarget);
+  sessionCount += 1;
+  sessions.set(ws, { target, remoteAddress: req.socket.remoteAddress, startedAt: Date.now(), targetWs });
+  const capture = startCapture(req, ws);
+  // The capture is complete once both sides closed
+  let open = 2;
+  const sideClosed = (from, code, reason) => {
+    if (capture) {
+      capture.close(from, code, reason.toString());
+      open -= 1;
+      if (open === 0) {
+        capture.end();
+      }
+    }
+  };
+  heartbeat(ws);
+  heartbeat(targetWs);
+
+  ws.on('error', err => console.error(`Client connection error: ${err.message}`));
+
   // Error handling for target connection
   targetWs.on('error', (err) => {
     console.error(`Target connection error: ${err.message}`);
     ws.close(1011, 'Target connection failed');
   });
-  
-  // Forward messages from client to target
-  ws.on('message', (data) => {
-    if (targetWs.readyState === WebSocket.OPEN) {
-      targetWs.send(data);
-    }
-  });
-  
-  // Forward messages from target to client
-  targetWs.on('message', (data) => {
-    if (ws.readyState === WebSocket.OPEN) {
-      ws.send(data);
-    }
-  });
-  
+
+  relay(ws, targetWs, capture && ((data, isBinary) => capture.frame('client', data, isBinary)));
+  relay(targetWs, ws, capture && ((data, isBinary) => capture.frame('target', data, isBinary)));
+  targetWs.resume();
+
   // Handle client disconnect
   ws.on('close', (code, reason) => {
     console.log(`Client disconnected: ${code} - ${reason}`);
+    sideClosed('client', code, reason);
+    sessions.delete(ws);
     targetWs.close();
   });
-  
+
   // Handle target disconnect
   targetWs.on('close', (code, reason) => {
     console.log(`Target disconnected: ${code} - ${reason}`);
+    sideClosed('target', code, reason);
     ws.close();
   });
 });
 
+// Ping both sides of every tunnel; drop those that missed the last ping
+const pinger = PING_INTERVAL > 0 && setInterval(() => {
+  sessions.forEach(({ target, targetWs }, ws) => {
+    const silent = [ws, targetWs].find(side => !side.isAlive);
+    if (silent) {
+      console.warn(`No pong from the ${silent === ws ? 'client' : 'target'} of ${target.url}, dropping the tunnel`);
+      ws.terminate();
+      targetWs.terminate();
+      return;
+    }
+    [ws, targetWs].forEach((side) => {
+      side.isAlive = false;
+      side.ping();
+    });
+  });
+}, PING_INTERVAL);
+if (pinger) {
+  pinger.unref();
+}
+
 // Start the server
 server.listen(PORT, () => {
   console.log(`WebSocket tunnel server running on port ${PORT}`);
   console.log(`Default target: ${TARGET_URL}`);
+  console.log(`Allowed targets: ${TARGET_ALLOW.join(', ')}`);
+  const auth = [RELAY_TOKEN && 'bearer token', RELAY_SIGNING_SECRET && 'signed urls'].filter(Boolean);
+  console.log(`Authentication: ${auth.length > 0 ? auth.join(', ') : 'off (RELAY_OPEN=1)'}`);
+  if (CAPTURE_DIR) {
+    console.log(`Frame capture: ${CAPTURE === 'all' ? 'every session' : 'sessions opened with ?capture=1'} -> ${CAPTURE_DIR}`);
+  }
+});
+
+// SIGTERM/SIGINT: refuse new tunnels (the listener stays up to answer 503),
+// let open ones run for SHUTDOWN_DEADLINE ms (default 25 s), then close the
+// rest with 1001 (going away)
+shutdownOnSignal({
+  deadline: process.env.SHUTDOWN_DEADLINE ? Number(process.env.SHUTDOWN_DEADLINE) : undefined,
+  async shutdown(deadline) {
+    draining = true;
+    server.closeIdleConnections();
+    const drained = await waitUntil(() => sessions.size === 0, deadline);
+    server.close();
+    if (drained) {
+      console.log('Shutdown complete, every tunnel finished');
+      return;
+    }
+    const now = Date.now();
+    console.warn(`Shutdown deadline reached, cut off ${sessions.size} tunnels`);
+    sessions.forEach((session, ws) => {
+      console.warn(`  ${session.target.url} from ${session.remoteAddress}, open ${elapsed(now - session.startedAt)}`);
+      ws.close(1001, 'Server shutting down');
+      session.targetWs.close(1001, 'Server shutting down');
+    });
+    // Give the close frames a moment, then drop whatever did not answer
+    await waitUntil(() => sockets.size === 0, 1000);
+    sockets.forEach(socket => socket.destroy());
+  }
 });
\ No newline at end of file
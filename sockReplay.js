@@ -0,0 +1,126 @@
+const WebSocket = require('ws');
+const { parseArgs } = require('util');
+const { payloadOf, readCapture, replayFrames } = require('./src/logging/frameCapture');
+
+// Replays a frame capture of sockProxy.js (CAPTURE_DIR) with its original
+// timing, to reproduce a misbehaving WebSocket integration offline:
+//
+//   node sockReplay.js <capture.jsonl> [--target=ws://...]
+//     plays the client's side to the target (the captured one by default)
+//   node sockReplay.js <capture.jsonl> --listen=9000
+//     plays the target's side to every client that connects to port 9000
+//
+// --speed=2 plays twice as fast, --speed=0 without pauses. What the other
+// side sends back is printed the way the capture records it, so the two
+// can be compared.
+
+const USAGE = 'Usage: node sockReplay.js <capture.jsonl> [--target=<ws url> | --listen=<port>] [--speed=<factor>]';
+
+let args;
+try {
+  args = parseArgs({
+    allowPositionals: true,
+    options: {
+      target: { type: 'string' },
+      listen: { type: 'string' },
+      speed: { type: 'string', default: '1' }
+    }
+  });
+} catch (err) {
+  console.error(`${err.message}\n${USAGE}`);
+  process.exit(1);
+}
+
+const { values, positionals } = args;
+const speed = Number(values.speed);
+if (positionals.length !== 1 || !(speed >= 0) || (values.target && values.listen)) {
+  console.error(USAGE);
+  process.exit(1);
+}
+
+let capture;
+try {
+  capture = readCapture(positionals[0]);
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+const { open, records } = capture;
+const protocols = open && open.protocol ? [open.protocol] : [];
+
+// One line per frame, in the capture's own format plus the replay's clock
+function printer(startedAt) {
+  return (direction, record) => {
+    const payload = record.opcode === 2 ? `${payloadOf(record).length} bytes` : JSON.stringify(record.payload);
+    const detail = record.event === 'close' ? `close ${record.code} ${JSON.stringify(record.reason)}` : payload;
+    console.log(`+${Date.now() - startedAt}ms ${direction} ${detail}`);
+  };
+}
+
+// What the other side sent, as capture-like records
+function watch(ws, from, print) {
+  ws.on('message', (data, isBinary) => {
+    print(`${from} ->`, isBinary
+      ? { opcode: 2, payload: data.toString('base64'), encoding: 'base64' }
+      : { opcode: 1, payload: data.toString('utf8') });
+  });
+  ws.on('close', (code, reason) => print(`${from} ->`, { event: 'close', code, reason: reason.toString() }));
+}
+
+// Play the client's frames to the target
+function replayToTarget(url) {
+  console.log(`Replaying ${records.filter(record => record.from === 'client').length} client frames to ${url}`);
+  const ws = new WebSocket(url, protocols, { perMessageDeflate: false });
+  ws.on('error', (err) => {
+    console.error(`Target error: ${err.message}`);
+    process.exitCode = 1;
+  });
+  ws.on('open', () => {
+    const print = printer(Date.now());
+    watch(ws, 'target', print);
+    replayFrames(ws, records, { from: 'client', speed, onSend: record => print('-> target', record) })
+      .then(() => {
+        // Leave the target a moment to answer the last frames
+        if (ws.readyState === WebSocket.OPEN) {
+          setTimeout(() => ws.close(1000, 'replay finished'), 1000);
+        }
+      });
+  });
+}
+
+// Play the target's frames to each client that connects
+function replayToClients(port) {
+  const server = new WebSocket.Server({
+    port,
+    perMessageDeflate: false,
+    handleProtocols: offered => (open && offered.has(open.protocol) ? open.protocol : false)
+  });
+  server.on('listening', () => {
+    console.log(`Replaying ${records.filter(record => record.from === 'target').length} target frames to clients of port ${port}`);
+  });
+  server.on('error', (err) => {
+    console.error(`Listener error: ${err.message}`);
+    process.exit(1);
+  });
+  let clients = 0;
+  server.on('connection', (ws, req) => {
+    clients += 1;
+    const print = printer(Date.now());
+    const label = `client #${clients}`;
+    console.log(`${label} connected from ${req.socket.remoteAddress}`);
+    ws.on('error', err => console.error(`${label} error: ${err.message}`));
+    watch(ws, label, print);
+    replayFrames(ws, records, { from: 'target', speed, onSend: record => print(`-> ${label}`, record) });
+  });
+}
+
+if (values.listen) {
+  replayToClients(Number(values.listen));
+} else {
+  const url = values.target || (open && open.target);
+  if (!url) {
+    console.error(`${positionals[0]}: no target recorded, pass --target=<ws url>`);
+    process.exit(1);
+  }
+  replayToTarget(url);
+}
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Proxy users live in a JSON credentials file, never in plain text:
+//
+//   {
+//     "realm": "proxy",
+//     "users": [
+//       {
+//         "username": "alice",
+//         "password": "scrypt$16384$8$1$<salt>$<hash>",
+//         "digest": { "SHA-256": "<hex>", "MD5": "<hex>" }
+//       }
+//     ]
+//   }
+//
+// "password" is an scrypt hash checked for Basic auth. "digest" holds the
+// RFC 7616 H(username:realm:password) per algorithm, which is all Digest auth
+// needs; it is bound to the file's realm. Print an entry with:
+//
+//   node src/auth/credentials.js <username> <password> [realm]
+
+const DEFAULT_REALM = 'proxy';
+
+// Digest algorithm names (RFC 7616) -> node hash names
+const DIGEST_ALGORITHMS = {
+  'SHA-256': 'sha256',
+  'MD5': 'md5'
+};
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEYLEN = 32;
+
+// Compare two strings without leaking where they differ (or their length)
+function safeEqual(a, b) {
+  const digestA = crypto.createHash('sha256').update(String(a)).digest();
+  const digestB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(digestA, digestB);
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const hash = await scrypt(password, salt, SCRYPT_KEYLEN, { N, r, p });
+  return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+// Memory node's scrypt allows by default; 128 * N * r may not exceed it
+const SCRYPT_MAXMEM = 32 * 1024 * 1024;
+
+const BASE64 = /^[A-Za-z0-9+/]+={0,2}$/;
+
+// Fewest salt and hash bytes accepted: an empty hash would match any
+// password, a truncated one far too many
+const SCRYPT_MIN_BYTES = 16;
+
+// 'scrypt$N$r$p$salt$hash' -> { N, r, p, salt, hash }, or null when it is
+// not one scrypt could run with (N a power of two, r and p positive, salt
+// and hash base64 of at least SCRYPT_MIN_BYTES each)
+function parseScryptHash(stored) {
+  const parts = String(stored).split('$');
+  if (parts.length !== 6 || parts[0] !== 'scrypt') {
+    return null;
+  }
+  const [N, r, p] = parts.slice(1, 4).map(part => (/^\d+$/.test(part) ? Number(part) : NaN));
+  const [salt, hash] = parts.slice(4);
+  if (!Number.isSafeInteger(N) || N < 2 || (N & (N - 1)) !== 0
+    || !Number.isSafeInteger(r) || r < 1 || !Number.isSafeInteger(p) || p < 1
+    || 128 * N * r > SCRYPT_MAXMEM || r * p >= 2 ** 30
+    || !BASE64.test(salt) || !BASE64.test(hash)) {
+    return null;
+  }
+  const decoded = { salt: Buffer.from(salt, 'base64'), hash: Buffer.from(hash, 'base64') };
+  if (decoded.salt.length < SCRYPT_MIN_BYTES || decoded.hash.length < SCRYPT_MIN_BYTES) {
+    return null;
+  }
+  return { N, r, p, ...decoded };
+}
+
+// false for a wrong password and for a stored hash that can't be checked
+async function verifyPassword(password, stored) {
+  const parsed = parseScryptHash(stored);
+  if (!parsed) {
+    return false;
+  }
+  const { N, r, p, salt, hash: expected } = parsed;
+  let hash;
+  try {
+    hash = await scrypt(password, salt, expected.length, { N, r, p });
+  } catch (err) {
+    return false;
+  }
+  return crypto.timingSafeEqual(hash, expected);
+}
+
+// RFC 7616 H(data) for a digest algorithm name
+function digestHash(algorithm, data) {
+  return crypto.createHash(DIGEST_ALGORITHMS[algorithm]).update(data).digest('hex');
+}
+
+async function createCredentialEntry(username, password, realm = DEFAULT_REALM) {
+  const digest = {};
+  for (const algorithm of Object.keys(DIGEST_ALGORITHMS)) {
+    digest[algorithm] = digestHash(algorithm, `${username}:${realm}:${password}`);
+  }
+  return { username, password: await hashPassword(password), digest };
+}
+
+function normalizeUser(entry, index) {
+  const where = `credentials user ${index}`;
+  if (!entry || typeof entry !== 'object') {
+    throw new Error(`${where}: must be an object`);
+  }
+  if (typeof entry.username !== 'string' || !entry.username || entry.username.includes(':')) {
+    throw new Error(`${where}: "username" must be a non-empty string without ":"`);
+  }
+  if (entry.password !== undefined && !String(entry.password).startsWith('scrypt$')) {
+    throw new Error(`${where} (${entry.username}): password must be an scrypt hash, not plain text`);
+  }
+  if (entry.password !== undefined && !parseScryptHash(entry.password)) {
+    throw new Error(`${where} (${entry.username}): password is not a valid scrypt$N$r$p$salt$hash`);
+  }
+  const digest = entry.digest || {};
+  for (const algorithm of Object.keys(digest)) {
+    if (!DIGEST_ALGORITHMS[algorithm]) {
+      throw new Error(`${where} (${entry.username}): unknown digest algorithm "${algorithm}"`);
+    }
+  }
+  if (entry.password === undefined && Object.keys(digest).length === 0) {
+    throw new Error(`${where} (${entry.username}): needs a password hash or digest`);
+  }
+  return { username: entry.username, password: entry.password, digest };
+}
+
+// Read a credentials file into { realm, users: Map<username, user> }
+function loadCredentials(file) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Unable to read proxy credentials from ${file}: ${err.message}`);
+  }
+  if (!data || !Array.isArray(data.users) || data.users.length === 0) {
+    throw new Error(`Proxy credentials file ${file} must contain a non-empty "users" array`);
+  }
+
+  const users = new Map();
+  data.users.map(normalizeUser).forEach(user => users.set(user.username, user));
+  return { realm: data.realm || DEFAULT_REALM, users };
+}
+
+module.exports = {
+  DEFAULT_REALM,
+  DIGEST_ALGORITHMS,
+  safeEqual,
+  hashPassword,
+  verifyPassword,
+  digestHash,
+  createCredentialEntry,
+  loadCredentials
+};
+
+if (require.main === module) {
+  const [username, password, realm] = process.argv.slice(2);
+  if (!username || !password) {
+    console.error('Usage: node src/auth/credentials.js <username> <password> [realm]');
+    process.exit(1);
+  }
+  createCredentialEntry(username, password, realm).then((entry) => {
+    console.log(JSON.stringify(entry, null, 2));
+  });
+}
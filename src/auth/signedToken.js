@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+const { safeEqual } = require('./credentials');
+
+// Short-lived signed query tokens for clients that can't send headers
+// (browsers opening a WebSocket): a backend that holds the secret hands out
+// urls with ?expires=<unix seconds>&signature=<signature> for one subject -
+// sockProxy.js signs the target url - and the server checks them without
+// sharing any state with that backend.
+//
+//   signature = base64url(HMAC-SHA256(secret, subject + '\n' + expires))
+
+const DEFAULT_TTL = 300;
+
+const sign = (secret, subject, expires) => crypto.createHmac('sha256', String(secret))
+  .update(`${subject}\n${expires}`)
+  .digest('base64url');
+
+// -> { expires, signature }, valid for ttl seconds
+function signToken(secret, subject, ttl = DEFAULT_TTL) {
+  const expires = Math.floor(Date.now() / 1000) + ttl;
+  return { expires, signature: sign(secret, subject, expires) };
+}
+
+// -> 'valid', 'expired' or 'invalid'
+function checkSignedToken(secret, subject, expires, signature) {
+  if (!/^\d+$/.test(String(expires || '')) || !signature) {
+    return 'invalid';
+  }
+  if (!safeEqual(sign(secret, subject, expires), signature)) {
+    return 'invalid';
+  }
+  return Number(expires) * 1000 < Date.now() ? 'expired' : 'valid';
+}
+
+module.exports = { DEFAULT_TTL, checkSignedToken, signToken };
+
+if (require.main === module) {
+  const [secret, subject, ttl] = process.argv.slice(2);
+  if (!secret || !subject) {
+    console.error('Usage: node src/auth/signedToken.js <secret> <subject> [ttl seconds]');
+    process.exit(1);
+  }
+  const { expires, signature } = signToken(secret, subject, ttl ? Number(ttl) : DEFAULT_TTL);
+  console.log(`expires=${expires}&signature=${signature}`);
+}
@@ -0,0 +1,246 @@
+// RFC 9111 rules for a shared HTTP cache: what may be stored, how long it
+// stays fresh, its current age, and whether a stored response can answer a
+// request. Headers are Node-style objects with lower-case names.
+
+// Status codes that are cacheable by default, i.e. heuristically fresh
+// without explicit freshness information (RFC 9110 15.1)
+const HEURISTIC_STATUSES = new Set([200, 203, 204, 206, 300, 301, 308, 404, 405, 410, 414, 501]);
+
+// Statuses this cache stores at all (206 and 304 need range/merge logic it doesn't have)
+const STORABLE_STATUSES = new Set([200, 203, 204, 300, 301, 308, 404, 405, 410, 414, 501]);
+
+// Heuristic freshness: 10% of the time since Last-Modified, capped at a day
+const HEURISTIC_FRACTION = 0.1;
+const HEURISTIC_MAX = 86400;
+
+// Headers a 304 must not overwrite on the stored response (RFC 9111 3.2)
+const KEEP_ON_UPDATE = new Set(['content-length', 'content-encoding', 'transfer-encoding', 'content-range']);
+
+// 'max-age=60, no-cache="set-cookie", private' -> { 'max-age': '60', 'no-cache': 'set-cookie', private: true }
+function parseCacheControl(value) {
+  const directives = {};
+  const text = Array.isArray(value) ? value.join(',') : value;
+  if (!text) {
+    return directives;
+  }
+  for (const part of String(text).split(',')) {
+    const [name, ...rest] = part.split('=');
+    const key = name.trim().toLowerCase();
+    if (!key) {
+      continue;
+    }
+    const argument = rest.join('=').trim().replace(/^"(.*)"$/, '$1');
+    directives[key] = rest.length > 0 ? argument : true;
+  }
+  return directives;
+}
+
+// Delta-seconds directive as a number, or undefined when absent/invalid
+function seconds(directives, name) {
+  const value = directives[name];
+  if (value === undefined || value === true || !/^\d+$/.test(value)) {
+    return undefined;
+  }
+  return Number(value);
+}
+
+// HTTP-date -> ms, or NaN
+const parseDate = value => (value ? Date.parse(value) : NaN);
+
+// Request directives; Pragma: no-cache counts when there is no Cache-Control (RFC 9111 5.4)
+function requestDirectives(headers) {
+  const directives = parseCacheControl(headers['cache-control']);
+  if (!headers['cache-control'] && /no-cache/i.test(headers.pragma || '')) {
+    directives['no-cache'] = true;
+  }
+  return directives;
+}
+
+// Names listed in Vary, lower-cased; ['*'] when the response varies on everything
+function varyNames(headers) {
+  const value = Array.isArray(headers.vary) ? headers.vary.join(',') : headers.vary;
+  if (!value) {
+    return [];
+  }
+  return value.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+}
+
+// The request header values a stored response was selected with
+function varyValues(names, requestHeaders) {
+  const values = {};
+  for (const name of names) {
+    const value = requestHeaders[name];
+    values[name] = value === undefined ? null : String(value).replace(/\s+/g, ' ').trim();
+  }
+  return values;
+}
+
+// Does the stored variant match this request's headers?
+function varyMatches(stored, requestHeaders) {
+  return Object.entries(stored).every(([name, value]) => {
+    const current = requestHeaders[name];
+    return (current === undefined ? null : String(current).replace(/\s+/g, ' ').trim()) === value;
+  });
+}
+
+// Why a response to this request can't be stored, or null if it can (RFC 9111 3)
+function uncacheableReason(method, requestHeaders, statusCode, responseHeaders) {
+  if (method !== 'GET') {
+    return 'method';
+  }
+  if (!STORABLE_STATUSES.has(statusCode)) {
+    return 'status';
+  }
+  const request = requestDirectives(requestHeaders);
+  const response = parseCacheControl(responseHeaders['cache-control']);
+  if (request['no-store'] || response['no-store']) {
+    return 'no-store';
+  }
+  if (response.private) {
+    return 'private';
+  }
+  if (varyNames(responseHeaders).includes('*')) {
+    return 'vary';
+  }
+  // Shared caches only keep authenticated responses the origin marked as shareable (RFC 9111 3.5)
+  if (requestHeaders.authorization && !response.public && !response['must-revalidate'] && seconds(response, 's-maxage') === undefined) {
+    return 'authorization';
+  }
+  // Responses setting cookies are per-user in practice
+  if (responseHeaders['set-cookie']) {
+    return 'set-cookie';
+  }
+  const explicit = response.public || seconds(response, 's-maxage') !== undefined
+    || seconds(response, 'max-age') !== undefined || responseHeaders.expires !== undefined;
+  const heuristic = HEURISTIC_STATUSES.has(statusCode) && responseHeaders['last-modified'] !== undefined;
+  if (!explicit && !heuristic && !response['no-cache']) {
+    return 'no-freshness';
+  }
+  return null;
+}
+
+// Freshness lifetime in seconds (RFC 9111 4.2.1)
+function freshnessLifetime(entry) {
+  const directives = parseCacheControl(entry.headers['cache-control']);
+  const sMaxAge = seconds(directives, 's-maxage');
+  if (sMaxAge !== undefined) {
+    return sMaxAge;
+  }
+  const maxAge = seconds(directives, 'max-age');
+  if (maxAge !== undefined) {
+    return maxAge;
+  }
+  const date = parseDate(entry.headers.date);
+  const base = Number.isNaN(date) ? entry.responseTime : date;
+  if (entry.headers.expires !== undefined) {
+    const expires = parseDate(entry.headers.expires);
+    // An invalid Expires ("0", "-1") means already expired
+    return Number.isNaN(expires) ? 0 : Math.max(0, Math.floor((expires - base) / 1000));
+  }
+  const lastModified = parseDate(entry.headers['last-modified']);
+  if (!Number.isNaN(lastModified) && HEURISTIC_STATUSES.has(entry.statusCode)) {
+    return Math.min(HEURISTIC_MAX, Math.max(0, Math.floor(((base - lastModified) / 1000) * HEURISTIC_FRACTION)));
+  }
+  return 0;
+}
+
+// Current age in seconds (RFC 9111 4.2.3)
+function currentAge(entry, now = Date.now()) {
+  const date = parseDate(entry.headers.date);
+  const apparentAge = Number.isNaN(date) ? 0 : Math.max(0, (entry.responseTime - date) / 1000);
+  const ageValue = Number(entry.headers.age) || 0;
+  const responseDelay = (entry.responseTime - entry.requestTime) / 1000;
+  const correctedInitialAge = Math.max(apparentAge, ageValue + responseDelay);
+  const residentTime = (now - entry.responseTime) / 1000;
+  return Math.floor(correctedInitialAge + residentTime);
+}
+
+// How a stored entry can answer this request (RFC 9111 4.2, 5.2.1):
+//   'fresh'      - serve it
+//   'revalidate' - ask the origin with its validators first
+// A stale entry only counts as fresh within the client's max-stale, and never
+// with must-revalidate / proxy-revalidate / no-cache.
+function selectAction(entry, requestHeaders, now = Date.now()) {
+  const request = requestDirectives(requestHeaders);
+  const response = parseCacheControl(entry.headers['cache-control']);
+  if (request['no-cache'] || response['no-cache']) {
+    return 'revalidate';
+  }
+  if (requestHeaders.authorization && !response.public && seconds(response, 's-maxage') === undefined) {
+    return 'revalidate';
+  }
+
+  const lifetime = freshnessLifetime(entry);
+  const age = currentAge(entry, now);
+  const maxAge = seconds(request, 'max-age');
+  const minFresh = seconds(request, 'min-fresh') || 0;
+  if (maxAge !== undefined && age > maxAge) {
+    return 'revalidate';
+  }
+  if (lifetime - age >= minFresh && age < lifetime) {
+    return 'fresh';
+  }
+
+  const mayServeStale = !response['must-revalidate'] && !response['proxy-revalidate'] && seconds(response, 's-maxage') === undefined;
+  if (mayServeStale && request['max-stale'] !== undefined) {
+    const maxStale = request['max-stale'] === true ? Infinity : seconds(request, 'max-stale');
+    if (maxStale !== undefined && age - lifetime <= maxStale) {
+      return 'fresh';
+    }
+  }
+  return 'revalidate';
+}
+
+// Conditional headers for revalidating a stored entry with the origin
+function validatorHeaders(entry) {
+  const headers = {};
+  if (entry.headers.etag) {
+    headers['if-none-match'] = entry.headers.etag;
+  }
+  if (entry.headers['last-modified']) {
+    headers['if-modified-since'] = entry.headers['last-modified'];
+  }
+  return headers;
+}
+
+// Stored headers updated from a 304 (RFC 9111 3.2)
+function mergeNotModified(storedHeaders, notModifiedHeaders) {
+  const merged = { ...storedHeaders };
+  for (const [name, value] of Object.entries(notModifiedHeaders)) {
+    if (!KEEP_ON_UPDATE.has(name)) {
+      merged[name] = value;
+    }
+  }
+  return merged;
+}
+
+const weakTag = tag => String(tag).trim().replace(/^W\//, '');
+
+// Would the client's own conditionals turn this stored response into a 304? (RFC 9110 13.1)
+function notModifiedFor(requestHeaders, entry) {
+  const ifNoneMatch = requestHeaders['if-none-match'];
+  if (ifNoneMatch !== undefined) {
+    if (!entry.headers.etag) {
+      return false;
+    }
+    return ifNoneMatch.trim() === '*' || ifNoneMatch.split(',').some(tag => weakTag(tag) === weakTag(entry.headers.etag));
+  }
+  const since = parseDate(requestHeaders['if-modified-since']);
+  const lastModified = parseDate(entry.headers['last-modified']);
+  return !Number.isNaN(since) && !Number.isNaN(lastModified) && lastModified <= since;
+}
+
+module.exports = {
+  currentAge,
+  freshnessLifetime,
+  mergeNotModified,
+  notModifiedFor,
+  parseCacheControl,
+  requestDirectives,
+  selectAction,
+  uncacheableReason,
+  validatorHeaders,
+  varyMatches,
+  varyNames,
+  varyValues
+};
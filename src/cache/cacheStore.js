@@ -0,0 +1,372 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { varyMatches } = require('./cachePolicy');
+const { matchesHostPattern } = require('../net/hostPattern');
+
+// Response store behind the HTTP cache, with two tiers sharing one LRU index:
+//
+//   memory - bodies up to memory.maxEntrySize as Buffers, memory.maxSize in total
+//   disk   - bodies up to disk.maxEntrySize in disk.dir (<id>.body next to
+//            <id>.json metadata), disk.maxSize in total, reloaded on start
+//
+// An entry lives in either tier or both; evicting it from the last tier
+// forgets it. Entries are variants: one URL can have several, told apart by
+// the request headers its Vary names (entry.vary).
+//
+// entry: { id, url, vary, statusCode, headers, requestTime, responseTime, size, body, onDisk }
+
+// Files the store writes to disk.dir; anything else there is left alone
+const ENTRY_FILE = /^([0-9a-f]{24})\.(json|body|body\.tmp)$/;
+
+function createCacheStore(options = {}) {
+  const memory = { maxSize: 64 * 1024 * 1024, maxEntrySize: 1024 * 1024, ...options.memory };
+  const disk = { enabled: false, dir: 'cache', maxSize: 1024 * 1024 * 1024, maxEntrySize: 256 * 1024 * 1024, ...options.disk };
+  const onError = options.onError || (() => {});
+
+  const index = new Map(); // id -> entry, least recently used first
+  const byUrl = new Map(); // url -> Set of entries
+  const pending = new Set(); // disk-only entries whose files are still being written
+  let memoryBytes = 0;
+  let diskBytes = 0;
+
+  const fileFor = (id, extension) => path.join(disk.dir, `${id}.${extension}`);
+  const metadata = entry => JSON.stringify({
+    url: entry.url,
+    vary: entry.vary,
+    statusCode: entry.statusCode,
+    headers: entry.headers,
+    requestTime: entry.requestTime,
+    responseTime: entry.responseTime,
+    size: entry.size
+  });
+
+  function touch(entry) {
+    index.delete(entry.id);
+    index.set(entry.id, entry);
+  }
+
+  function add(entry) {
+    index.set(entry.id, entry);
+    if (!byUrl.has(entry.url)) {
+      byUrl.set(entry.url, new Set());
+    }
+    byUrl.get(entry.url).add(entry);
+  }
+
+  function unlinkFiles(entry) {
+    for (const extension of ['json', 'body']) {
+      fs.unlink(fileFor(entry.id, extension), err => err && err.code !== 'ENOENT' && onError(err));
+    }
+  }
+
+  function dropMemory(entry) {
+    if (entry.body) {
+      memoryBytes -= entry.size;
+      entry.body = null;
+    }
+  }
+
+  function dropDisk(entry) {
+    if (entry.onDisk) {
+      diskBytes -= entry.size;
+      entry.onDisk = false;
+      unlinkFiles(entry);
+    }
+  }
+
+  function remove(entry) {
+    if (entry.pending) {
+      entry.cancelled = true;
+      pending.delete(entry);
+      return;
+    }
+    dropMemory(entry);
+    dropDisk(entry);
+    index.delete(entry.id);
+    const variants = byUrl.get(entry.url);
+    if (variants) {
+      variants.delete(entry);
+      if (variants.size === 0) {
+        byUrl.delete(entry.url);
+      }
+    }
+  }
+
+  // Evict least recently used bodies until both tiers fit again
+  function enforceLimits() {
+    for (const entry of index.values()) {
+      if (memoryBytes <= memory.maxSize && diskBytes <= disk.maxSize) {
+        break;
+      }
+      if (memoryBytes > memory.maxSize) {
+        dropMemory(entry);
+      }
+      if (diskBytes > disk.maxSize) {
+        dropDisk(entry);
+      }
+      if (!entry.body && !entry.onDisk) {
+        remove(entry);
+      }
+    }
+  }
+
+  function writeToDisk(entry, { buffer, tempFile }) {
+    const bodyFile = fileFor(entry.id, 'body');
+    const writeBody = tempFile
+      ? fs.promises.rename(tempFile, bodyFile)
+      : fs.promises.writeFile(bodyFile, buffer);
+    return writeBody
+      .then(() => fs.promises.writeFile(fileFor(entry.id, 'json'), metadata(entry)))
+      .then(() => {
+        // Purged, replaced or evicted while the files were written
+        if (entry.cancelled || (!entry.pending && index.get(entry.id) !== entry)) {
+          unlinkFiles(entry);
+          return;
+        }
+        entry.onDisk = true;
+        diskBytes += entry.size;
+        if (entry.pending) {
+          entry.pending = false;
+          pending.delete(entry);
+          add(entry);
+        }
+        enforceLimits();
+      })
+      .catch((err) => {
+        onError(err);
+        unlinkFiles(entry);
+        if (entry.pending) {
+          remove(entry);
+        }
+      });
+  }
+
+  // Stored and still-being-written variants of url
+  const variantsOf = url => [...(byUrl.get(url) || []), ...[...pending].filter(entry => entry.url === url)];
+
+  return {
+    memory,
+    disk,
+
+    // Read the disk tier's metadata back in; the store's stray temp files are
+    // removed, files it did not write are never touched
+    async load() {
+      if (!disk.enabled) {
+        return;
+      }
+      await fs.promises.mkdir(disk.dir, { recursive: true });
+      const names = await fs.promises.readdir(disk.dir);
+      const loaded = [];
+      for (const name of names) {
+        const [, id, extension] = ENTRY_FILE.exec(name) || [];
+        if (extension === 'body.tmp') {
+          fs.unlink(path.join(disk.dir, name), () => {});
+          continue;
+        }
+        if (extension !== 'json') {
+          continue;
+        }
+        try {
+          const meta = JSON.parse(await fs.promises.readFile(path.join(disk.dir, name), 'utf8'));
+          const { size } = await fs.promises.stat(fileFor(id, 'body'));
+          if (size === meta.size) {
+            loaded.push({ ...meta, id, body: null, onDisk: true });
+            continue;
+          }
+        } catch (err) {
+          // Unreadable or half-written entry: drop it below
+        }
+        unlinkFiles({ id });
+      }
+      loaded.sort((a, b) => a.responseTime - b.responseTime).forEach((entry) => {
+        diskBytes += entry.size;
+        add(entry);
+      });
+      enforceLimits();
+    },
+
+    // Most recently stored variant of url matching these request headers
+    find(url, requestHeaders) {
+      const variants = byUrl.get(url);
+      if (!variants) {
+        return null;
+      }
+      let match = null;
+      for (const entry of variants) {
+        if (varyMatches(entry.vary, requestHeaders) && (!match || entry.responseTime > match.responseTime)) {
+          match = entry;
+        }
+      }
+      if (match) {
+        touch(match);
+      }
+      return match;
+    },
+
+    // Readable of the stored body, or null when the disk copy vanished
+    body(entry) {
+      if (entry.body) {
+        return Readable.from([entry.body]);
+      }
+      try {
+        // Opened now so a later eviction (unlink) can't pull it from under the reader
+        return fs.createReadStream(null, { fd: fs.openSync(fileFor(entry.id, 'body'), 'r') });
+      } catch (err) {
+        remove(entry);
+        return null;
+      }
+    },
+
+    // Collects a response body while it streams to the client. Small bodies
+    // stay in memory; past memory.maxEntrySize they spill into a temp file
+    // (disk tier only); past every limit the capture gives up.
+    // -> { write(chunk), abort(), finish() -> Promise of { size, buffer, tempFile } or null }
+    capture() {
+      const id = crypto.randomBytes(12).toString('hex');
+      const tempFile = path.join(disk.dir, `${id}.body.tmp`);
+      let chunks = [];
+      let size = 0;
+      let file = null;
+      let aborted = false;
+
+      const abort = () => {
+        if (aborted) {
+          return;
+        }
+        aborted = true;
+        chunks = [];
+        if (file) {
+          file.destroy();
+          fs.unlink(tempFile, () => {});
+        }
+      };
+
+      return {
+        write(chunk) {
+          if (aborted) {
+            return;
+          }
+          size += chunk.length;
+          if (file) {
+            if (size > disk.maxEntrySize) {
+              abort();
+            } else {
+              file.write(chunk);
+            }
+            return;
+          }
+          chunks.push(chunk);
+          if (size <= memory.maxEntrySize) {
+            return;
+          }
+          if (!disk.enabled || size > disk.maxEntrySize) {
+            abort();
+            return;
+          }
+          file = fs.createWriteStream(tempFile);
+          file.on('error', (err) => {
+            onError(err);
+            abort();
+          });
+          chunks.forEach(buffered => file.write(buffered));
+          chunks = [];
+        },
+
+        abort,
+
+        finish() {
+          if (aborted) {
+            return Promise.resolve(null);
+          }
+          if (!file) {
+            return Promise.resolve({ size, buffer: Buffer.concat(chunks, size), tempFile: null });
+          }
+          return new Promise((resolve) => {
+            file.end(() => resolve(aborted ? null : { size, buffer: null, tempFile }));
+          });
+        }
+      };
+    },
+
+    // Store a complete response (body from capture().finish()); replaces the
+    // variant it matches
+    put(response, body) {
+      const entry = {
+        ...response,
+        id: crypto.randomBytes(12).toString('hex'),
+        size: body.size,
+        body: null,
+        onDisk: false,
+        pending: false
+      };
+      for (const existing of variantsOf(entry.url)) {
+        if (JSON.stringify(existing.vary) === JSON.stringify(entry.vary)) {
+          remove(existing);
+        }
+      }
+
+      const inMemory = body.buffer && memory.maxSize > 0 && body.size <= memory.maxEntrySize;
+      const onDisk = disk.enabled && body.size <= disk.maxEntrySize;
+      if (inMemory) {
+        entry.body = body.buffer;
+        memoryBytes += body.size;
+        add(entry);
+      } else {
+        // Only servable once the disk copy is written
+        entry.pending = true;
+        pending.add(entry);
+      }
+      if (onDisk) {
+        writeToDisk(entry, body);
+      } else {
+        if (body.tempFile) {
+          fs.unlink(body.tempFile, () => {});
+        }
+        if (!inMemory) {
+          remove(entry);
+        }
+      }
+      enforceLimits();
+      return entry;
+    },
+
+    // Headers and times refreshed by a 304
+    update(entry, { headers, requestTime, responseTime }) {
+      Object.assign(entry, { headers, requestTime, responseTime });
+      touch(entry);
+      if (entry.onDisk) {
+        fs.writeFile(fileFor(entry.id, 'json'), metadata(entry), err => err && onError(err));
+      }
+    },
+
+    // Forget every variant of url
+    invalidate(url) {
+      const variants = variantsOf(url);
+      variants.forEach(remove);
+      return variants.length;
+    },
+
+    // Purge by exact URL, by host pattern ('example.com', '*.example.com'), or everything
+    purge({ url, host } = {}) {
+      let removed = 0;
+      for (const entry of [...index.values(), ...pending]) {
+        const matches = url
+          ? entry.url === url
+          : !host || matchesHostPattern(new URL(entry.url).hostname, host);
+        if (matches) {
+          remove(entry);
+          removed += 1;
+        }
+      }
+      return removed;
+    },
+
+    stats() {
+      return { entries: index.size, memoryBytes, diskBytes };
+    }
+  };
+}
+
+module.exports = { createCacheStore };
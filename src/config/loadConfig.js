@@ -0,0 +1,209 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const dotenv = require('dotenv');
+const { validate, coerce, resolvePath } = require('./schema');
+
+// Layered configuration for the proxy presets, lowest to highest precedence:
+//
+//   defaults     the preset's own config literal
+//   config file  --config <file> or PROXY_CONFIG=<file>, JSON or YAML by extension
+//   environment  PROXY_CONFIG__<KEY>__<KEY>=value, e.g. PROXY_CONFIG__DNS__ORDER=doh,system,
+//                plus the plain names a preset maps in envAliases (PORT -> port)
+//   CLI flags    --dns.order=doh,system, --obfuscation-level 3, --socks.enabled, --no-socks.enabled
+//
+// config/.env is read as well; real environment variables win over it.
+// Objects merge key by key, lists and scalars replace. Each layer is
+// validated against the preset's schema so an error names where it came from.
+
+const ENV_PREFIX = 'PROXY_CONFIG';
+const DEFAULT_ENV_FILE = path.join('config', '.env');
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function deepMerge(base, override) {
+  if (!isPlainObject(base) || !isPlainObject(override)) {
+    return override === undefined ? base : override;
+  }
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = deepMerge(base[key], value);
+  }
+  return merged;
+}
+
+function setPath(target, keys, value) {
+  let node = target;
+  keys.slice(0, -1).forEach((key) => {
+    if (!isPlainObject(node[key])) {
+      node[key] = {};
+    }
+    node = node[key];
+  });
+  node[keys[keys.length - 1]] = value;
+  return target;
+}
+
+function readConfigFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    throw new Error(`Unable to read config file ${file}: ${err.message}`);
+  }
+
+  let parsed;
+  try {
+    parsed = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Unable to parse config file ${file}: ${err.message}`);
+  }
+  if (parsed === null || parsed === undefined) {
+    return {};
+  }
+  if (!isPlainObject(parsed)) {
+    throw new Error(`Config file ${file} must contain an object at the top level`);
+  }
+  return parsed;
+}
+
+// Environment view: config/.env underneath the real environment
+function readEnvironment(env, envFile) {
+  if (!envFile || !fs.existsSync(envFile)) {
+    return env;
+  }
+  return { ...dotenv.parse(fs.readFileSync(envFile)), ...env };
+}
+
+// --key=value, --key value, --flag, --no-flag -> [{ name, segments, value }]
+function parseFlags(argv, schema, errors) {
+  const flags = [];
+  let configFile;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      errors.push(`Unexpected argument "${arg}" (options are passed as --key=value)`);
+      continue;
+    }
+
+    let [name, value] = arg.slice(2).split(/=(.*)/s);
+    let negated = false;
+    if (value === undefined && name.startsWith('no-')) {
+      name = name.slice(3);
+      negated = true;
+    }
+
+    if (name === 'config') {
+      configFile = value !== undefined ? value : argv[++i];
+      continue;
+    }
+
+    const segments = name.split('.');
+    let leaf;
+    try {
+      ({ schema: leaf } = resolvePath(schema, segments, `--${name}`));
+    } catch (err) {
+      errors.push(err.message);
+      continue;
+    }
+    if (negated) {
+      value = 'false';
+    } else if (value === undefined) {
+      const next = argv[i + 1];
+      // A bare boolean flag means true; anything else takes the next argument
+      if (leaf.type === 'boolean' && (next === undefined || next.startsWith('--') || !/^(true|false|yes|no|on|off|1|0)$/i.test(next))) {
+        value = 'true';
+      } else if (next === undefined || next.startsWith('--')) {
+        errors.push(`--${name}: needs a value`);
+        continue;
+      } else {
+        value = next;
+        i++;
+      }
+    }
+    flags.push({ name: `--${name}`, segments, value });
+  }
+  return { configFile, flags };
+}
+
+// PROXY_CONFIG__* variables and aliases -> [{ name, segments, value }]
+function envOverrides(env, aliases) {
+  const overrides = [];
+  for (const [name, value] of Object.entries(env)) {
+    if (name.startsWith(`${ENV_PREFIX}__`) && value !== '') {
+      overrides.push({ name, segments: name.slice(ENV_PREFIX.length + 2).split('__'), value });
+    }
+  }
+  for (const [name, target] of Object.entries(aliases)) {
+    if (env[name] !== undefined && env[name] !== '') {
+      overrides.push({ name, segments: target.split('.'), value: env[name] });
+    }
+  }
+  return overrides;
+}
+
+// Apply string overrides onto layer, collecting problems per variable/flag
+function applyOverrides(layer, overrides, schema, errors) {
+  for (const { name, segments, value } of overrides) {
+    let resolved;
+    try {
+      resolved = resolvePath(schema, segments, name);
+    } catch (err) {
+      errors.push(err.message);
+      continue;
+    }
+    const coerced = coerce(value, resolved.schema);
+    const problems = validate(coerced, resolved.schema, `${name} (${resolved.keys.join('.')})`);
+    if (problems.length > 0) {
+      errors.push(...problems);
+      continue;
+    }
+    setPath(layer, resolved.keys, coerced);
+  }
+  return layer;
+}
+
+// options:
+//   schema    - schema for the whole config (see src/config/schema.js)
+//   defaults  - the preset's config
+//   argv      - CLI arguments (process.argv.slice(2))
+//   env       - environment (process.env)
+//   envAliases - { ENV_NAME: 'dotted.path' } for variables the preset already honoured
+//   envFile   - dotenv file layered under env (config/.env)
+// -> { config, file } or throws an Error listing every problem
+function loadConfig(options) {
+  const {
+    schema,
+    defaults = {},
+    argv = process.argv.slice(2),
+    envAliases = {},
+    envFile = DEFAULT_ENV_FILE
+  } = options;
+  const env = readEnvironment(options.env || process.env, envFile);
+  const errors = [];
+
+  const { configFile, flags } = parseFlags(argv, schema, errors);
+  const file = configFile || env[ENV_PREFIX] || null;
+
+  let fileLayer = {};
+  if (file) {
+    fileLayer = readConfigFile(file);
+    errors.push(...validate(fileLayer, schema).map(problem => `${file}: ${problem}`));
+  }
+  const envLayer = applyOverrides({}, envOverrides(env, envAliases), schema, errors);
+  const cliLayer = applyOverrides({}, flags, schema, errors);
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n  ${errors.join('\n  ')}`);
+  }
+
+  const config = [fileLayer, envLayer, cliLayer].reduce(deepMerge, defaults);
+  const problems = validate(config, schema);
+  if (problems.length > 0) {
+    throw new Error(`Invalid configuration:\n  ${problems.join('\n  ')}`);
+  }
+  return { config, file };
+}
+
+module.exports = { ENV_PREFIX, deepMerge, loadConfig, readConfigFile };
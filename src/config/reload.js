@@ -0,0 +1,182 @@
+const { isDeepStrictEqual } = require('util');
+const { coerce, resolvePath, validate } = require('./schema');
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const getPath = (config, key) => key.split('.').reduce((node, part) => (node === undefined ? undefined : node[part]), config);
+
+// key is dotted or already split (map keys may hold dots)
+function setPath(config, key, value) {
+  const parts = Array.isArray(key) ? key : key.split('.');
+  let node = config;
+  parts.slice(0, -1).forEach((part) => {
+    if (!isPlainObject(node[part])) {
+      node[part] = {};
+    }
+    node = node[part];
+  });
+  node[parts[parts.length - 1]] = value;
+}
+
+// Dotted paths (two levels deep, e.g. 'dns.servers') that differ between two configs
+function changedKeys(previous, next, prefix = '', depth = 2) {
+  const keys = new Set([...Object.keys(previous || {}), ...Object.keys(next || {})]);
+  const changed = [];
+  for (const key of keys) {
+    const a = previous ? previous[key] : undefined;
+    const b = next ? next[key] : undefined;
+    if (isDeepStrictEqual(a, b)) {
+      continue;
+    }
+    if (depth > 1 && isPlainObject(a) && isPlainObject(b)) {
+      changed.push(...changedKeys(a, b, `${prefix}${key}.`, depth - 1));
+    } else {
+      changed.push(`${prefix}${key}`);
+    }
+  }
+  return changed;
+}
+
+// Build a preset's feature list from its config, handing back the feature
+// object built last time when its slice of the config did not change. A
+// reload then only rebuilds what was edited - DNS caches, metrics and
+// listeners of untouched features carry on.
+//
+//   build([[key, slice, create], ...]) - slice is falsy to leave the feature
+//   out, otherwise create(slice) builds it
+function createFeatureCache() {
+  let built = new Map(); // key -> { signature, feature }
+
+  return {
+    build(entries) {
+      const next = new Map();
+      const features = [];
+      for (const [key, slice, create] of entries) {
+        if (!slice) {
+          continue;
+        }
+        const signature = JSON.stringify(slice);
+        const previous = built.get(key);
+        const entry = previous && previous.signature === signature
+          ? previous
+          : { signature, feature: create(slice) };
+        next.set(key, entry);
+        features.push(entry.feature);
+      }
+      // Only remember the new set once every feature was built
+      built = next;
+      return features;
+    }
+  };
+}
+
+// Re-read the configuration on a signal and apply it to the running server.
+// A config that fails to load or validate is rejected as a whole; keys that
+// cannot change while running (listen port, ...) keep their old value with a
+// warning. Open tunnels are never touched.
+//
+// update() changes single keys the same way without reading anything (the
+// admin API), but only those listed in runtimeKeys; such changes last until
+// the next reload.
+//
+// options:
+//   config      - the configuration the server was started with
+//   load()      - -> the new configuration (throws when invalid)
+//   apply(next, previous) - push it into the server, e.g. via server.proxy.reload()
+//   restartOnly - dotted keys that need a restart to change
+//   runtimeKeys - dotted keys update() may change, with everything below them
+//   schema      - the config's schema, which update() checks values against
+//   signal      - process signal to listen for
+// -> { reload(), update(changes), config() }
+function reloadOnSignal(server, options) {
+  const { load, apply, restartOnly = [], runtimeKeys = [], schema, signal = 'SIGHUP' } = options;
+  const { log } = server.proxy;
+  let current = options.config;
+
+  function reload() {
+    let next;
+    try {
+      next = structuredClone(load());
+      for (const key of restartOnly) {
+        if (!isDeepStrictEqual(getPath(current, key), getPath(next, key))) {
+          log('warn', `Config "${key}" changed - restart the server to apply it`);
+          setPath(next, key, structuredClone(getPath(current, key)));
+        }
+      }
+      apply(next, current);
+    } catch (err) {
+      log('error', `Configuration reload failed, keeping the current one: ${err.message}`);
+      return false;
+    }
+
+    const changed = changedKeys(current, next);
+    current = next;
+    log('info', changed.length > 0 ? `Configuration reloaded (${changed.join(', ')})` : 'Configuration reloaded (no changes)');
+    return true;
+  }
+
+  // Is key one of restartOnly, or inside or around one of them?
+  const needsRestart = key => restartOnly.some(fixed => key === fixed
+    || key.startsWith(`${fixed}.`) || fixed.startsWith(`${key}.`));
+
+  // Is key one of runtimeKeys or inside one of them?
+  const changeableAtRuntime = key => runtimeKeys.some(allowed => key === allowed || key.startsWith(`${allowed}.`));
+
+  // { 'dotted.key': value } -> the dotted keys that changed. Strings are
+  // read like CLI flags (coerced to the schema's type). Throws, changing
+  // nothing, when a key is unknown, restart-only, not in runtimeKeys or gets
+  // an invalid value, or when apply() rejects the result.
+  function update(changes) {
+    const next = structuredClone(current);
+    const problems = [];
+    for (const [name, value] of Object.entries(changes)) {
+      let resolved;
+      try {
+        resolved = resolvePath(schema, name.split('.'), name);
+      } catch (err) {
+        problems.push(err.message);
+        continue;
+      }
+      const key = resolved.keys.join('.');
+      if (needsRestart(key)) {
+        problems.push(`${name}: restart the server to change it`);
+        continue;
+      }
+      if (!changeableAtRuntime(key)) {
+        problems.push(`${name}: can't be changed at runtime, edit the config and reload`);
+        continue;
+      }
+      const typed = typeof value === 'string' ? coerce(value, resolved.schema) : value;
+      const errors = validate(typed, resolved.schema, name);
+      if (errors.length > 0) {
+        problems.push(...errors);
+        continue;
+      }
+      setPath(next, resolved.keys, typed);
+    }
+    if (problems.length > 0) {
+      throw new Error(problems.join('; '));
+    }
+
+    apply(next, current);
+    const changed = changedKeys(current, next);
+    current = next;
+    log('info', changed.length > 0 ? `Configuration changed at runtime (${changed.join(', ')})` : 'Configuration unchanged');
+    return changed;
+  }
+
+  const onSignal = () => {
+    log('info', `${signal} received, reloading configuration`);
+    reload();
+  };
+  process.on(signal, onSignal);
+  server.once('close', () => process.removeListener(signal, onSignal));
+
+  return {
+    reload,
+    update,
+    config: () => current
+  };
+}
+
+module.exports = { changedKeys, createFeatureCache, reloadOnSignal };
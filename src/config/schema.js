@@ -0,0 +1,197 @@
+const net = require('net');
+
+// Small JSON-schema-like validator for the proxy configuration. A schema
+// node is one of:
+//
+//   { type: 'object', properties: { key: schema }, required: [...],
+//     additionalProperties: schema }        (unknown keys are errors without it)
+//   { type: 'array', items: schema, minItems, maxItems }
+//   { type: 'string', enum: [...], format: 'ip' | 'url' | 'cidr' }
+//   { type: 'integer' | 'number', minimum, maximum }
+//   { type: 'boolean' }
+//   { anyOf: [schema, ...] }                  (first that validates wins)
+
+const FORMATS = {
+  ip: value => net.isIP(value) !== 0,
+  url: (value) => {
+    try {
+      return Boolean(new URL(value));
+    } catch (err) {
+      return false;
+    }
+  },
+  cidr: (value) => {
+    const [address, prefix] = value.split('/');
+    const family = net.isIP(address);
+    const max = family === 4 ? 32 : 128;
+    return family !== 0 && (prefix === undefined || (/^\d+$/.test(prefix) && Number(prefix) <= max));
+  }
+};
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (value === null) {
+    return 'null';
+  }
+  return typeof value;
+};
+
+const describeValue = value => (typeof value === 'string' ? `"${value}"` : JSON.stringify(value));
+
+const joinPath = (path, key) => (/^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`);
+
+// Collect "path: problem" messages for value against schema
+function validate(value, schema, path = 'config', errors = []) {
+  if (schema.anyOf) {
+    for (const option of schema.anyOf) {
+      if (validate(value, option, path).length === 0) {
+        return errors;
+      }
+    }
+    const types = schema.anyOf.map(option => option.type).join(' or ');
+    errors.push(`${path}: expected ${types}, got ${describeValue(value)}`);
+    return errors;
+  }
+
+  const actual = typeOf(value);
+  const typeMatches = schema.type === 'integer'
+    ? Number.isInteger(value)
+    : actual === schema.type;
+  if (!typeMatches) {
+    errors.push(`${path}: expected ${schema.type}, got ${actual === 'object' || actual === 'array' ? actual : describeValue(value)}`);
+    return errors;
+  }
+
+  switch (schema.type) {
+    case 'object': {
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) {
+          errors.push(`${joinPath(path, key)}: is required`);
+        }
+      }
+      for (const [key, child] of Object.entries(value)) {
+        if (child === undefined) {
+          continue;
+        }
+        const childSchema = (schema.properties && schema.properties[key]) || schema.additionalProperties;
+        if (!childSchema) {
+          const known = Object.keys(schema.properties || {});
+          errors.push(`${joinPath(path, key)}: unknown option${known.length ? ` (expected one of ${known.join(', ')})` : ''}`);
+          continue;
+        }
+        validate(child, childSchema, joinPath(path, key), errors);
+      }
+      break;
+    }
+
+    case 'array':
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${path}: needs at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push(`${path}: allows at most ${schema.maxItems} item${schema.maxItems === 1 ? '' : 's'}`);
+      }
+      if (schema.items) {
+        value.forEach((item, i) => validate(item, schema.items, `${path}[${i}]`, errors));
+      }
+      break;
+
+    case 'string':
+      if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path}: must be one of ${schema.enum.join(', ')}, got ${describeValue(value)}`);
+      } else if (schema.format && !FORMATS[schema.format](value)) {
+        errors.push(`${path}: ${describeValue(value)} is not a valid ${schema.format}`);
+      }
+      break;
+
+    case 'integer':
+    case 'number':
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path}: must be at least ${schema.minimum}, got ${value}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${path}: must be at most ${schema.maximum}, got ${value}`);
+      }
+      break;
+
+    default:
+      break;
+  }
+  return errors;
+}
+
+// Throw one Error listing every problem, prefixed with where the config came from
+function assertValid(value, schema, source = 'config') {
+  const errors = validate(value, schema);
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration (${source}):\n  ${errors.join('\n  ')}`);
+  }
+  return value;
+}
+
+const BOOLEANS = {
+  true: true, yes: true, on: true, 1: true,
+  false: false, no: false, off: false, 0: false
+};
+
+// Turn a string from an environment variable or CLI flag into the type the
+// schema wants: numbers, booleans (true/yes/on/1, false/no/off/0), comma
+// separated lists, or JSON for anything structured. Values that don't fit
+// are returned as-is so validation reports them.
+function coerce(text, schema) {
+  const value = String(text).trim();
+  const types = schema.anyOf ? schema.anyOf.map(option => option.type) : [schema.type];
+
+  if ((value.startsWith('[') || value.startsWith('{')) && (types.includes('array') || types.includes('object'))) {
+    try {
+      return JSON.parse(value);
+    } catch (err) {
+      return value;
+    }
+  }
+  if (types.includes('array')) {
+    const items = schema.anyOf ? schema.anyOf.find(option => option.type === 'array').items : schema.items;
+    return value === '' ? [] : value.split(',').map(item => (items ? coerce(item, items) : item.trim()));
+  }
+  if ((types.includes('integer') || types.includes('number')) && value !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (types.includes('boolean') && value.toLowerCase() in BOOLEANS) {
+    return BOOLEANS[value.toLowerCase()];
+  }
+  return value;
+}
+
+// Walk a dotted path through the schema. Keys match case-insensitively and
+// ignoring underscores, so PROXY_CONFIG__DNS__DOH_RETRIES finds dns.dohRetries.
+// Map-like objects (additionalProperties) take the rest of the path as one key.
+// -> { keys, schema } or throws for unknown options
+function resolvePath(schema, segments, source) {
+  const keys = [];
+  let node = schema;
+  const normalize = key => key.toLowerCase().replace(/[_-]/g, '');
+
+  for (let i = 0; i < segments.length; i++) {
+    if (!node || node.type !== 'object') {
+      throw new Error(`${source}: ${keys.join('.')} has no option "${segments[i]}"`);
+    }
+    const known = Object.keys(node.properties || {});
+    const key = known.find(name => normalize(name) === normalize(segments[i]));
+    if (key) {
+      keys.push(key);
+      node = node.properties[key];
+    } else if (node.additionalProperties) {
+      keys.push(segments.slice(i).join('.'));
+      node = node.additionalProperties;
+      break;
+    } else {
+      const where = keys.length ? `${keys.join('.')}.` : '';
+      throw new Error(`${source}: unknown option "${where}${segments[i]}"`);
+    }
+  }
+  return { keys, schema: node };
+}
+
+module.exports = { FORMATS, validate, assertValid, coerce, resolvePath };
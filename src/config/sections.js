@@ -0,0 +1,323 @@
+const { LEVELS } = require('../core/logger');
+const { FAMILY_PREFERENCES } = require('../net/happyEyeballs');
+const { DIGEST_ALGORITHMS } = require('../auth/credentials');
+const { FORMATS: ACCESS_LOG_FORMATS } = require('../logging/accessLogFormat');
+const { INTERVALS: ROTATION_INTERVALS } = require('../logging/rotatingFile');
+const { HEADER_POLICIES } = require('../net/forwardingHeaders');
+const { CIPHERS } = require('../transport/aeadStream');
+
+// Schema fragments for the sections of the preset configs (superProxy.js,
+// su.js, companion.js). Each preset composes the sections it actually has, so a key meant
+// for another preset is reported as unknown instead of silently ignored.
+
+const boolean = { type: 'boolean' };
+const string = (extra = {}) => ({ type: 'string', ...extra });
+const integer = (minimum, maximum) => ({ type: 'integer', minimum, maximum });
+const number = (minimum, maximum) => ({ type: 'number', minimum, maximum });
+const list = (items, extra = {}) => ({ type: 'array', items, ...extra });
+const object = (properties, extra = {}) => ({ type: 'object', properties, ...extra });
+const oneOrMany = item => ({ anyOf: [item, list(item)] });
+
+const port = integer(1, 65535);
+const ms = integer(0);
+
+const sections = {
+  port,
+  host: string(),
+  logLevel: string({ enum: Object.keys(LEVELS) }),
+  password: string(),
+  enableObfuscation: boolean,
+  enableTlsFingerprinting: boolean,
+  rotateUserAgent: boolean,
+  obfuscationLevel: integer(0, 3),
+  noStoreHosts: list(string()),
+
+  headers: object({
+    policy: string({ enum: HEADER_POLICIES }),
+    pseudonym: string(),
+    rules: list(object({
+      host: oneOrMany(string()),
+      policy: string({ enum: HEADER_POLICIES })
+    }, { required: ['host', 'policy'] }))
+  }),
+
+  auth: object({
+    enabled: boolean,
+    file: string(),
+    schemes: list(string({ enum: ['digest', 'basic'] }), { minItems: 1 }),
+    algorithms: list(string({ enum: Object.keys(DIGEST_ALGORITHMS) }), { minItems: 1 }),
+    nonceTtl: ms,
+    cacheTtl: ms
+  }),
+
+  destinations: object({
+    blockPrivate: boolean,
+    defaultAction: string({ enum: ['allow', 'deny'] }),
+    allow: list(string()),
+    deny: list(string()),
+    rules: list(object({
+      action: string({ enum: ['allow', 'deny'] }),
+      host: oneOrMany(string()),
+      cidr: oneOrMany(string({ format: 'cidr' })),
+      ports: list({ anyOf: [port, string()] })
+    }, { required: ['action'] }))
+  }),
+
+  dns: object({
+    order: list(string({ enum: ['system', 'doh', 'dot'] }), { minItems: 1 }),
+    servers: list(string({ format: 'ip' }), { minItems: 1 }),
+    dohProvidersFile: string(),
+    dohRetries: integer(1, 10),
+    dotProviders: list(object({
+      host: string({ format: 'ip' }),
+      port,
+      servername: string()
+    }, { required: ['host'] })),
+    staticHosts: object({}, { additionalProperties: list(string({ format: 'ip' })) })
+  }),
+
+  addressFamily: object({
+    preference: string({ enum: FAMILY_PREFERENCES }),
+    attemptDelay: integer(10, 5000)
+  }),
+
+  timeouts: object({
+    request: ms,
+    tunnel: ms,
+    connect: ms,
+    shutdown: ms
+  }),
+
+  metrics: object({
+    enabled: boolean,
+    path: string(),
+    token: string()
+  }),
+
+  admin: object({
+    enabled: boolean,
+    port,
+    host: string(),
+    token: string()
+  }),
+
+  accessLog: object({
+    enabled: boolean,
+    format: string({ enum: ACCESS_LOG_FORMATS }),
+    output: string({ enum: ['stdout', 'file', 'both'] }),
+    file: string(),
+    maxSize: integer(0),
+    interval: string({ enum: Object.keys(ROTATION_INTERVALS) }),
+    maxFiles: integer(0)
+  }),
+
+  har: object({
+    enabled: boolean,
+    clients: list(string({ format: 'cidr' })),
+    hosts: list(string()),
+    bodies: boolean,
+    maxBodySize: integer(0),
+    maxEntries: integer(1),
+    maxSize: integer(0),
+    path: string(),
+    token: string()
+  }),
+
+  cache: object({
+    enabled: boolean,
+    memory: object({
+      maxSize: integer(0),
+      maxEntrySize: integer(0)
+    }),
+    disk: object({
+      enabled: boolean,
+      dir: string(),
+      maxSize: integer(0),
+      maxEntrySize: integer(0)
+    }),
+    purgePath: string(),
+    token: string()
+  }),
+
+  socks: object({
+    enabled: boolean,
+    port,
+    host: string(),
+    udp: boolean,
+    socks4: boolean
+  }),
+
+  websocket: object({
+    enabled: boolean,
+    path: string(),
+    token: string(),
+    multiplex: boolean,
+    maxStreams: integer(1, 65535),
+    keepAlive: ms
+  }),
+
+  // companion.js: the server's WebSocket tunnel it carries connections over
+  tunnel: object({
+    url: string({ format: 'url' }),
+    token: string(),
+    username: string(),
+    password: string(),
+    secret: string(),
+    cipher: string({ enum: Object.keys(CIPHERS) }),
+    multiplex: boolean,
+    keepAlive: ms,
+    retries: integer(0, 10),
+    retryDelay: ms,
+    timeout: ms,
+    rejectUnauthorized: boolean
+  }),
+
+  status: object({
+    enabled: boolean,
+    requests: boolean
+  }),
+
+  encryptedTransport: object({
+    enabled: boolean,
+    port,
+    host: string(),
+    secret: string(),
+    ciphers: list(string({ enum: Object.keys(CIPHERS) }), { minItems: 1 }),
+    replayWindow: integer(1000),
+    handshakeTimeout: ms,
+    websocket: boolean
+  }),
+
+  domainFronting: object({
+    enabled: boolean,
+    fronts: list(list(string(), { minItems: 2, maxItems: 2 })),
+    defaultFronts: list(string())
+  }),
+
+  sni: object({
+    enabled: boolean,
+    commonNames: list(string())
+  }),
+
+  interception: object({
+    enabled: boolean,
+    hosts: list(string()),
+    clients: list(string()),
+    caDir: string(),
+    caName: string(),
+    certificatePath: string(),
+    cacheSize: integer(1)
+  }),
+
+  circuitBreaker: object({
+    enabled: boolean,
+    resetInterval: integer(1000),
+    jitterFactor: number(0, 1)
+  }),
+
+  multiHop: object({
+    enabled: boolean,
+    hops: list({
+      anyOf: [
+        string({ format: 'url' }),
+        object({
+          host: string(),
+          port,
+          protocol: string({ enum: ['http', 'https', 'socks', 'socks5'] }),
+          username: string(),
+          password: string(),
+          timeout: ms
+        }, { required: ['host'] })
+      ]
+    }),
+    useRandomPath: boolean,
+    timeout: ms
+  }),
+
+  fragmentation: object({
+    enabled: boolean,
+    minSize: integer(1),
+    maxSize: integer(1)
+  }),
+
+  trafficShaping: object({
+    enabled: boolean,
+    delayMin: ms,
+    delayMax: ms
+  })
+};
+
+// Environment variables the presets honoured before config files existed,
+// now just another way to set these keys. A variable listing several keys
+// sets the first one whose section the preset has (TUNNEL_TOKEN is the
+// server's token in su.js and the one to send in companion.js).
+const ENV_ALIASES = {
+  PORT: 'port',
+  PROXY_PASSWORD: 'password',
+  PROXY_AUTH: 'auth.enabled',
+  PROXY_CREDENTIALS_FILE: 'auth.file',
+  DESTINATION_ALLOW: 'destinations.allow',
+  DESTINATION_DENY: 'destinations.deny',
+  DESTINATION_BLOCK_PRIVATE: 'destinations.blockPrivate',
+  HEADER_POLICY: 'headers.policy',
+  DOH_PROVIDERS_FILE: 'dns.dohProvidersFile',
+  ADDRESS_FAMILY: 'addressFamily.preference',
+  SHUTDOWN_DEADLINE: 'timeouts.shutdown',
+  METRICS_TOKEN: 'metrics.token',
+  ADMIN_TOKEN: 'admin.token',
+  CACHE_PURGE_TOKEN: 'cache.token',
+  HAR_TOKEN: 'har.token',
+  ACCESS_LOG_FORMAT: 'accessLog.format',
+  ACCESS_LOG_FILE: 'accessLog.file',
+  SOCKS_PORT: 'socks.port',
+  TRANSPORT_SECRET: ['encryptedTransport.secret', 'tunnel.secret'],
+  TRANSPORT_PORT: 'encryptedTransport.port',
+  UPSTREAM_PROXIES: 'multiHop.hops',
+  TUNNEL_TOKEN: ['websocket.token', 'tunnel.token'],
+  TUNNEL_URL: 'tunnel.url',
+  TUNNEL_USER: 'tunnel.username',
+  TUNNEL_PASSWORD: 'tunnel.password'
+};
+
+// Schema for a preset config made of the named sections
+function presetSchema(names) {
+  const properties = {};
+  for (const name of names) {
+    if (!sections[name]) {
+      throw new Error(`Unknown config section "${name}"`);
+    }
+    properties[name] = sections[name];
+  }
+  return object(properties);
+}
+
+// The ENV_ALIASES that point into the named sections
+function presetEnvAliases(names) {
+  const aliases = {};
+  for (const [name, keys] of Object.entries(ENV_ALIASES)) {
+    const key = [].concat(keys).find(candidate => names.includes(candidate.split('.')[0]));
+    if (key) {
+      aliases[name] = key;
+    }
+  }
+  return aliases;
+}
+
+// Keys the admin API may change at runtime (update() in reload.js): toggles
+// and tuning of the evasion features and the log level. Whatever guards the
+// proxy or touches the filesystem (auth, destinations, log and cache paths)
+// only changes through the config file and a reload.
+const RUNTIME_KEYS = [
+  'logLevel',
+  'enableObfuscation',
+  'obfuscationLevel',
+  'rotateUserAgent',
+  'enableTlsFingerprinting',
+  'domainFronting.enabled',
+  'sni.enabled',
+  'circuitBreaker.enabled',
+  'fragmentation',
+  'trafficShaping'
+];
+
+module.exports = { ENV_ALIASES, RUNTIME_KEYS, sections, presetSchema, presetEnvAliases };
@@ -0,0 +1,225 @@
+const zlib = require('zlib');
+const { Transform, pipeline } = require('stream');
+
+// Response body pipeline of the proxy core. Upstream bodies are passed
+// through untouched unless something needs the decoded bytes:
+//
+//   - a transformBody feature returned a Transform for this response, or
+//   - the response is encoded with a coding the client never accepted
+//     (e.g. header obfuscation asked the origin for br on a gzip-only client)
+//
+// Then the body is decoded, run through the transforms in order and encoded
+// again with the best coding the client's Accept-Encoding allows, and the
+// headers are rewritten to describe the new bytes (Content-Encoding,
+// Content-Length, Vary, ETag). Codings the proxy can't decode, partial (206)
+// and bodiless responses always pass through as they are.
+
+// Codings the pipeline can decode and produce, in server preference order
+const CODINGS = ['gzip', 'br', 'deflate'];
+
+// Statuses that never carry a body (RFC 9110 6.4.1)
+const BODILESS_STATUSES = new Set([204, 304]);
+
+// Headers about the exact bytes of the original representation
+const REPRESENTATION_HEADERS = ['content-length', 'content-md5', 'digest', 'repr-digest', 'content-digest', 'accept-ranges'];
+
+// Brotli's default (11) is far too slow to stream with
+const BROTLI_QUALITY = 5;
+
+// 'gzip;q=1.0, br;q=0' -> Map { 'gzip' => 1, 'br' => 0 }
+function parseAcceptEncoding(value) {
+  const preferences = new Map();
+  if (value === undefined) {
+    return preferences;
+  }
+  for (const part of String(value).split(',')) {
+    const [coding, ...params] = part.split(';').map(item => item.trim().toLowerCase());
+    if (!coding) {
+      continue;
+    }
+    const q = params.find(param => param.startsWith('q='));
+    const weight = q ? Number(q.slice(2)) : 1;
+    preferences.set(coding === 'x-gzip' ? 'gzip' : coding, Number.isNaN(weight) ? 0 : weight);
+  }
+  return preferences;
+}
+
+// Unlisted identity is acceptable unless excluded (RFC 9110 12.5.3), but
+// ranks below every coding the client did list
+const IMPLICIT_IDENTITY = 0.001;
+
+// Weight the client gives coding
+function acceptWeight(preferences, coding) {
+  if (preferences.has(coding)) {
+    return preferences.get(coding);
+  }
+  if (preferences.has('*')) {
+    return preferences.get('*');
+  }
+  return coding === 'identity' ? IMPLICIT_IDENTITY : 0;
+}
+
+// Codings applied to a body, in the order they were applied
+function contentCodings(headers) {
+  const value = headers['content-encoding'];
+  if (!value) {
+    return [];
+  }
+  return String(value).split(',')
+    .map(coding => coding.trim().toLowerCase())
+    .map(coding => (coding === 'x-gzip' ? 'gzip' : coding))
+    .filter(coding => coding && coding !== 'identity');
+}
+
+// Coding to send the client: the origin's own if the client takes it,
+// otherwise its best-weighted one we can produce. Ties go to compression;
+// 'identity' when the client takes nothing else.
+function negotiateCoding(acceptEncoding, preferred) {
+  const preferences = parseAcceptEncoding(acceptEncoding);
+  if (preferred && acceptWeight(preferences, preferred) > 0) {
+    return preferred;
+  }
+  let best = 'identity';
+  let bestWeight = 0;
+  for (const coding of CODINGS) {
+    const weight = acceptWeight(preferences, coding);
+    if (weight > bestWeight) {
+      best = coding;
+      bestWeight = weight;
+    }
+  }
+  return acceptWeight(preferences, 'identity') > bestWeight ? 'identity' : best;
+}
+
+// Servers send "deflate" both zlib-wrapped (as specified) and raw; the first
+// byte tells which
+function createDeflateDecoder() {
+  let inflate = null;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      if (!inflate) {
+        const options = { finishFlush: zlib.constants.Z_SYNC_FLUSH };
+        // 0x?8 with a low nibble of 8 is the zlib header's CM=deflate
+        inflate = (chunk[0] & 0x0f) === 0x08 ? zlib.createInflate(options) : zlib.createInflateRaw(options);
+        inflate.on('data', data => this.push(data));
+        inflate.on('error', err => this.destroy(err));
+      }
+      inflate.write(chunk, callback);
+    },
+    flush(callback) {
+      if (!inflate) {
+        callback();
+        return;
+      }
+      inflate.once('end', () => callback());
+      inflate.end();
+    }
+  });
+}
+
+function createDecoder(coding) {
+  switch (coding) {
+    case 'gzip':
+      // Tolerate a missing trailer the way browsers do
+      return zlib.createGunzip({ finishFlush: zlib.constants.Z_SYNC_FLUSH });
+    case 'br':
+      return zlib.createBrotliDecompress();
+    case 'deflate':
+      return createDeflateDecoder();
+    default:
+      return null;
+  }
+}
+
+function createEncoder(coding) {
+  switch (coding) {
+    case 'gzip':
+      return zlib.createGzip();
+    case 'br':
+      return zlib.createBrotliCompress({ params: { [zlib.constants.BROTLI_PARAM_QUALITY]: BROTLI_QUALITY } });
+    case 'deflate':
+      return zlib.createDeflate();
+    default:
+      return null;
+  }
+}
+
+// Add name to a Vary header unless it is already covered
+function addVary(value, name) {
+  const names = value ? String(value).split(',').map(item => item.trim().toLowerCase()) : [];
+  if (names.includes('*') || names.includes(name.toLowerCase())) {
+    return value;
+  }
+  return value ? `${value}, ${name}` : name;
+}
+
+// Response after the pipeline: { statusCode, headers, body } with the body
+// decoded / transformed / re-encoded as needed, or response itself for a
+// passthrough. transforms are Transform streams over the decoded bytes;
+// ones that can't be applied are destroyed.
+function pipeBody(response, { method, acceptEncoding, transforms = [], onPassthrough = () => {} }) {
+  const dropTransforms = (reason) => {
+    if (transforms.length > 0) {
+      transforms.forEach(transform => transform.destroy());
+      onPassthrough(reason);
+    }
+    return response;
+  };
+
+  const { statusCode, headers } = response;
+  if (BODILESS_STATUSES.has(statusCode) || statusCode < 200 || headers['content-length'] === '0') {
+    return dropTransforms('no body');
+  }
+  if (statusCode === 206 || headers['content-range']) {
+    return dropTransforms('partial content');
+  }
+  const codings = contentCodings(headers);
+  const unknown = codings.find(coding => !CODINGS.includes(coding));
+  if (unknown) {
+    return dropTransforms(`unsupported content-encoding ${unknown}`);
+  }
+
+  const current = codings.length === 1 ? codings[0] : null;
+  const wanted = negotiateCoding(acceptEncoding, current || (codings.length === 0 ? 'identity' : null));
+  if (transforms.length === 0 && (codings.length === 0 || wanted === current)) {
+    return response;
+  }
+
+  const rewritten = { ...headers };
+  REPRESENTATION_HEADERS.forEach(name => delete rewritten[name]);
+  if (wanted === 'identity') {
+    delete rewritten['content-encoding'];
+  } else {
+    rewritten['content-encoding'] = wanted;
+  }
+  rewritten.vary = addVary(rewritten.vary, 'Accept-Encoding');
+  // Different bytes: a strong validator no longer applies
+  if (rewritten.etag && !String(rewritten.etag).startsWith('W/')) {
+    rewritten.etag = `W/${rewritten.etag}`;
+  }
+
+  // HEAD answers describe the body a GET would get, without one
+  if (method === 'HEAD') {
+    dropTransforms('no body');
+    return { ...response, headers: rewritten };
+  }
+
+  const stages = [
+    response.body,
+    ...codings.slice().reverse().map(createDecoder),
+    ...transforms,
+    ...(wanted === 'identity' ? [] : [createEncoder(wanted)])
+  ];
+  // Errors and early closes travel the whole chain; the last stage reports them
+  const body = pipeline(...stages, () => {});
+  return { ...response, headers: rewritten, body };
+}
+
+module.exports = {
+  CODINGS,
+  addVary,
+  contentCodings,
+  negotiateCoding,
+  parseAcceptEncoding,
+  pipeBody
+};
@@ -0,0 +1,929 @@
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const tls = require('tls');
+const dns = require('dns');
+const os = require('os');
+const EventEmitter = require('events');
+const { URL } = require('url');
+const { createLogger } = require('./logger');
+const { normalizePreference, orderAddresses, happyEyeballsOptions, DEFAULT_ATTEMPT_DELAY } = require('../net/happyEyeballs');
+const { formatHostPort, parseHostPort } = require('../net/hostPort');
+const { lookupOutcome } = require('../dns/dnsPacket');
+const { isDestinationDenied, forbiddenResponse } = require('../net/destinationPolicy');
+const { DEFAULT_DEADLINE, elapsed, shutdownOnSignal, trackSockets, waitUntil } = require('./shutdown');
+const { pipeBody } = require('./bodyPipeline');
+const { stripHopByHop } = require('../net/forwardingHeaders');
+
+// One forward-proxy core behind every server preset (start.js, newProxy.js,
+// superProxy.js, su.js). Everything optional - custom DNS, header policy,
+// fronting, TLS fingerprinting, shaping, WebSocket tunnel, multi-hop - is a
+// feature object passed in options.features. A feature may implement any of:
+//
+//   name                                  key reported under /health features
+//   setup(core)                           called once, e.g. to add server listeners
+//   teardown(core)                        a reload dropped the feature or the server shut
+//                                            down - release what setup took (may return a promise)
+//   drain(core)                           shutdown started - stop accepting new work
+//   describe()                            one line for the startup log
+//   health(data)                          add fields to the /health payload
+//   authenticate(req, core)               -> { user } or { challenge: [Proxy-Authenticate values] }
+//   verifyCredentials(username, password) -> user or null, for listeners without HTTP headers
+//   beforeRequest(ctx)                    runs before every proxied HTTP request
+//   resolve(hostname, core)               -> [{ address, family }]  (first feature wins)
+//   checkDestination(target, addresses)   -> allowed addresses, throws to block (chained;
+//                                            addresses is undefined before resolution)
+//   connect(target, core)                 -> socket or null          (first non-null wins)
+//   tlsOptions(hostname, options)         -> options for outbound TLS (chained)
+//   requestHeaders(ctx, headers)          -> headers sent upstream    (chained, hop-by-hop
+//                                            headers already removed)
+//   responseHeaders(ctx, headers)         -> headers sent to client   (chained, ditto)
+//   pipeRequestBody(ctx, req, proxyReq)   -> true if it took over the body
+//   fetchResponse(ctx, headers, next)     -> promise of { statusCode, headers, body: Readable };
+//                                            next(headers) goes upstream (chained, e.g. a cache
+//                                            answering from storage or revalidating)
+//   transformBody(ctx, response)          -> Transform over the decoded response body, or null;
+//                                            applied in order, see bodyPipeline.js
+//   pipeTunnel(ctx, clientSocket, targetSocket) -> true if it took over the tunnel
+//   upgrade(ctx, socket, head, core)      -> true if it answered the Upgrade request
+//   interceptConnect(ctx, clientSocket, head, core) -> true if it answered the CONNECT itself
+//                                            instead of tunnelling it (TLS interception); the
+//                                            sockets it hands to core.server carry
+//                                            .interception = { hostname, port, user }
+//   handleRequest(req, res, core)         -> true if it answered a local request (e.g. /metrics)
+//
+// Besides the hooks, core.events reports what happened, for metrics and logs:
+//
+//   'request:send' (ctx)  an HTTP request's body is about to flow upstream (or to a
+//                         fetchResponse feature) - 'data' listeners on ctx.req see all of it
+//   'request:response' (ctx, { statusCode, headers, body })
+//                         its response headers went to the client and the body is about to
+//                         follow - 'data' listeners on body see it as the client gets it
+//   'request'      (ctx)  an HTTP request finished - method, statusCode, route, clientAddress,
+//                         bytesSent/bytesReceived, ttfb and duration in ms
+//   'connect'      (info) an outbound connect finished - { hostname, port, route, duration, error }
+//   'tunnel:open'  (ctx)  a CONNECT, SOCKS or WebSocket tunnel started - type, hostname, port
+//   'tunnel:close' (ctx)  ...and ended - bytesSent/bytesReceived, duration, closeReason
+//                         (client-closed, target-closed, client-error, target-error,
+//                         idle-timeout, or whatever a feature set before destroying it)
+//   'dns'          (info) one resolver lookup - { hostname, method, family, outcome, duration }
+//   'reload'       (info) core.reload() applied - { added, removed } feature names
+
+const DEFAULT_TIMEOUTS = {
+  request: 0,    // ms of upstream inactivity before a plain request fails (0 = none)
+  tunnel: 0,     // ms of idle time before a CONNECT tunnel is torn down (0 = none)
+  connect: 15000, // ms allowed for the outbound TCP connect
+  shutdown: DEFAULT_DEADLINE // ms requests and tunnels get to finish after SIGTERM
+};
+
+// Raw answer for CONNECT / Upgrade requests arriving during shutdown
+const DRAINING_RESPONSE = 'HTTP/1.1 503 Service Unavailable\r\nRetry-After: 5\r\nContent-Length: 0\r\nConnection: close\r\n\r\n';
+
+// The OS resolver, used when no DNS feature is installed
+async function systemResolve(hostname, core) {
+  const startedAt = Date.now();
+  let records;
+  try {
+    records = await dns.promises.lookup(hostname, { all: true });
+  } catch (err) {
+    core.events.emit('dns', { hostname, method: 'system', family: 0, outcome: lookupOutcome(err), duration: Date.now() - startedAt });
+    throw err;
+  }
+  core.events.emit('dns', { hostname, method: 'system', family: 0, outcome: 'success', duration: Date.now() - startedAt });
+  return orderAddresses(records, core.addressFamily.preference);
+}
+
+function createProxyServer(options = {}) {
+  const log = options.log || createLogger(options.logLevel || 'info');
+  const features = (options.features || []).filter(Boolean);
+  const timeouts = { ...DEFAULT_TIMEOUTS, ...options.timeouts };
+  const addressFamily = {
+    preference: normalizePreference(options.addressFamily && options.addressFamily.preference),
+    attemptDelay: (options.addressFamily && options.addressFamily.attemptDelay) || DEFAULT_ATTEMPT_DELAY
+  };
+
+  const server = http.createServer();
+  const sockets = trackSockets(server);
+
+  // In-flight HTTP requests and open tunnels (their ctx objects, numbered
+  // by ctx.id so the admin API can name them)
+  const active = new Set();
+  let lastId = 0;
+  let shutdownPromise = null;
+
+  // Features that implement a given hook, in registration order
+  const withHook = (hook) => features.filter(feature => typeof feature[hook] === 'function');
+
+  // Run a chained transform hook over value
+  const transform = (hook, value, ...args) => {
+    return withHook(hook).reduce((current, feature) => {
+      const next = feature[hook](...args, current);
+      return next === undefined ? current : next;
+    }, value);
+  };
+
+  const core = {
+    server,
+    log,
+    options,
+    events: new EventEmitter(),
+    features,
+    timeouts,
+    addressFamily,
+    active,
+    draining: false,
+
+    // Check the client's credentials with every auth feature. Resolves to
+    // { user } when all of them accept, or { challenge } from the first that doesn't.
+    async authenticate(req) {
+      let user = null;
+      for (const feature of withHook('authenticate')) {
+        const result = await feature.authenticate(req, core);
+        if (result && result.challenge) {
+          return result;
+        }
+        user = (result && result.user) || user;
+      }
+      return { user };
+    },
+
+    // Whether non-HTTP listeners (SOCKS) must ask for a username and password
+    credentialsRequired() {
+      return withHook('verifyCredentials').length > 0;
+    },
+
+    // Check a username/password pair with every auth feature -> user or null
+    async verifyCredentials(username, password) {
+      let user = null;
+      for (const feature of withHook('verifyCredentials')) {
+        user = await feature.verifyCredentials(username, password);
+        if (!user) {
+          return null;
+        }
+      }
+      return user;
+    },
+
+    // Resolve a hostname to [{ address, family }] ordered for connection racing
+    async resolveHostname(hostname) {
+      const family = net.isIP(hostname);
+      if (family) {
+        return [{ address: hostname, family }];
+      }
+      const [resolver] = withHook('resolve');
+      return resolver ? resolver.resolve(hostname, core) : systemResolve(hostname, core);
+    },
+
+    // Run the destination policy over { hostname, port } and, once resolved,
+    // its addresses -> the addresses that may be dialed. Throws when blocked.
+    checkDestination(target, addresses) {
+      return transform('checkDestination', addresses, target);
+    },
+
+    // Options to race the resolved addresses from net/tls/http connects
+    connectOptions(addresses) {
+      return happyEyeballsOptions(addresses, addressFamily.attemptDelay);
+    },
+
+    // TLS options (SNI, fingerprint) for an outbound TLS session to hostname
+    tlsOptionsFor(hostname) {
+      return transform('tlsOptions', { servername: hostname }, hostname);
+    },
+
+    // Open a connection to target { hostname, port, addresses? } and resolve
+    // once it is connected. Features (multi-hop) may supply the socket, in
+    // which case the target is not resolved locally and only its hostname
+    // (or IP literal) goes through the destination policy.
+    async connectTarget(target) {
+      const startedAt = Date.now();
+      let route = 'direct';
+      const finish = error => core.events.emit('connect', {
+        hostname: target.hostname,
+        port: target.port,
+        route,
+        duration: Date.now() - startedAt,
+        error
+      });
+
+      try {
+        core.checkDestination(target);
+        for (const feature of withHook('connect')) {
+          route = 'upstream';
+          const socket = await feature.connect(target, core);
+          if (socket) {
+            finish(null);
+            return socket;
+          }
+        }
+        route = 'direct';
+        const resolved = target.addresses || await core.resolveHostname(target.hostname);
+        const addresses = core.checkDestination(target, resolved);
+        const socket = await core.connectDirect({ ...target, addresses });
+        finish(null);
+        return socket;
+      } catch (err) {
+        finish(err);
+        throw err;
+      }
+    },
+
+    // Plain TCP connect racing the target's addresses, bypassing connect
+    // features and the destination policy (multi-hop reaches its first hop here)
+    async connectDirect(target, timeout = timeouts.connect) {
+      const addresses = target.addresses || await core.resolveHostname(target.hostname);
+      log('debug', `Connecting to ${target.hostname}:${target.port} (${addresses.map(a => a.address).join(', ')})`);
+
+      return new Promise((resolve, reject) => {
+        const socket = net.connect({
+          host: target.hostname,
+          port: target.port,
+          ...core.connectOptions(addresses)
+        });
+
+        const onError = (err) => {
+          socket.destroy();
+          reject(err);
+        };
+
+        if (timeout) {
+          socket.setTimeout(timeout, () => {
+            onError(new Error(`Connection to ${target.hostname}:${target.port} timed out`));
+          });
+        }
+
+        socket.once('error', onError);
+        socket.once('connect', () => {
+          socket.removeListener('error', onError);
+          socket.setTimeout(0);
+          resolve(socket);
+        });
+      });
+    },
+
+    // Start TLS to hostname over an already connected socket
+    secureSocket(socket, hostname) {
+      return new Promise((resolve, reject) => {
+        const onError = (err) => {
+          socket.destroy();
+          reject(err);
+        };
+        const secure = tls.connect({ socket, ...core.tlsOptionsFor(hostname) }, () => {
+          secure.removeListener('error', onError);
+          resolve(secure);
+        });
+        secure.once('error', onError);
+      });
+    },
+
+    // Run an established tunnel (CONNECT, SOCKS, WebSocket): forward any bytes
+    // the client sent early, apply the idle timeout (ctx.idleTimeout overrides
+    // timeouts.tunnel), tear both sides down on target errors and splice the
+    // sockets together
+    openTunnel(ctx, clientSocket, targetSocket, head) {
+      const idleTimeout = ctx.idleTimeout !== undefined ? ctx.idleTimeout : timeouts.tunnel;
+      ctx.type = ctx.type || 'connect';
+      ctx.clientAddress = ctx.clientAddress || clientSocket.remoteAddress;
+      ctx.id = ++lastId;
+      ctx.closeReason = null;
+      ctx.openedAt = Date.now();
+      active.add(ctx);
+      core.events.emit('tunnel:open', ctx);
+
+      // The first side to give up names the reason, whatever follows from it
+      const closedBy = (reason) => {
+        ctx.closeReason = ctx.closeReason || reason;
+      };
+      // Only the tunnel's own bytes, not the handshakes an upstream proxy or
+      // WebSocket connection went through before it was handed over
+      const sentBefore = targetSocket.bytesWritten || 0;
+      const receivedBefore = targetSocket.bytesRead || 0;
+      const countBytes = () => {
+        ctx.bytesSent = (targetSocket.bytesWritten || 0) - sentBefore;
+        ctx.bytesReceived = (targetSocket.bytesRead || 0) - receivedBefore;
+      };
+      // Bring the counts up to date while the tunnel is still open
+      ctx.countBytes = countBytes;
+      // Tear the tunnel down from outside (shutdown, admin)
+      ctx.close = (reason) => {
+        closedBy(reason);
+        countBytes();
+        clientSocket.destroy();
+        targetSocket.destroy();
+      };
+      clientSocket.once('end', () => closedBy('client-closed'));
+      targetSocket.once('end', () => closedBy('target-closed'));
+      clientSocket.once('error', () => closedBy('client-error'));
+
+      // Report the tunnel once both sides are gone
+      let open = 2;
+      const onClose = side => () => {
+        closedBy(`${side}-closed`);
+        open -= 1;
+        if (open === 0) {
+          countBytes();
+          ctx.duration = Date.now() - ctx.openedAt;
+          active.delete(ctx);
+          core.events.emit('tunnel:close', ctx);
+        }
+      };
+      clientSocket.once('close', onClose('client'));
+      targetSocket.once('close', onClose('target'));
+
+      if (head && head.length > 0) {
+        targetSocket.write(head);
+      }
+
+      if (idleTimeout) {
+        targetSocket.setTimeout(idleTimeout);
+        clientSocket.setTimeout(idleTimeout);
+
+        targetSocket.on('timeout', () => {
+          log('warn', `Target socket timeout for ${ctx.hostname}`);
+          closedBy('idle-timeout');
+          targetSocket.destroy();
+          clientSocket.destroy();
+        });
+
+        clientSocket.on('timeout', () => {
+          log('warn', 'Client socket timeout');
+          closedBy('idle-timeout');
+          clientSocket.destroy();
+          targetSocket.destroy();
+        });
+      }
+
+      targetSocket.on('error', (err) => {
+        log('error', `Target connection error: ${err.message}`);
+        closedBy('target-error');
+        if (!clientSocket.destroyed) {
+          clientSocket.destroy();
+        }
+      });
+
+      // Piping (or the shaping feature) carries end-of-stream across in both directions
+      core.pipeTunnel(ctx, clientSocket, targetSocket);
+    },
+
+    // Splice two connected sockets together (shaping features may take over)
+    pipeTunnel(ctx, clientSocket, targetSocket) {
+      const handled = withHook('pipeTunnel').some(feature => feature.pipeTunnel(ctx, clientSocket, targetSocket));
+      if (!handled) {
+        targetSocket.pipe(clientSocket);
+        clientSocket.pipe(targetSocket);
+      }
+    },
+
+    // Apply new settings to a running server - { features, timeouts,
+    // addressFamily, logLevel }, each optional. Features that are the same
+    // object as before are kept as they are, dropped ones are torn down and
+    // new ones set up; open tunnels and listeners stay untouched.
+    reload(next = {}) {
+      if (next.logLevel && typeof log.setLevel === 'function') {
+        log.setLevel(next.logLevel);
+      }
+      if (next.timeouts) {
+        Object.assign(timeouts, DEFAULT_TIMEOUTS, next.timeouts);
+      }
+      if (next.addressFamily) {
+        addressFamily.preference = normalizePreference(next.addressFamily.preference);
+        addressFamily.attemptDelay = next.addressFamily.attemptDelay || DEFAULT_ATTEMPT_DELAY;
+      }
+
+      const added = [];
+      const removed = [];
+      if (next.features) {
+        const incoming = next.features.filter(Boolean);
+        const dropped = features.filter(feature => !incoming.includes(feature));
+        const fresh = incoming.filter(feature => !features.includes(feature));
+
+        dropped.forEach((feature) => {
+          if (typeof feature.teardown === 'function') {
+            feature.teardown(core);
+          }
+          removed.push(feature.name);
+        });
+        // withHook reads this array, so it is updated in place
+        features.splice(0, features.length, ...incoming);
+        fresh.forEach((feature) => {
+          if (typeof feature.setup === 'function') {
+            feature.setup(core);
+          }
+          added.push(feature.name);
+        });
+      }
+
+      core.events.emit('reload', { added, removed });
+    },
+
+    // Stop taking new proxy work - the HTTP listener stays up so /health can
+    // answer 503 "draining", everything else gets a 503 - and stop feature
+    // listeners. In-flight requests and tunnels get deadline ms to finish,
+    // then what is left is cut off and logged. Features are torn down last so
+    // the access log still sees every close. Resolves to { drained, cutOff: [ctx] }.
+    shutdown(deadline = timeouts.shutdown) {
+      if (shutdownPromise) {
+        return shutdownPromise;
+      }
+      core.draining = true;
+      server.closeIdleConnections();
+      withHook('drain').forEach(feature => feature.drain(core));
+      log('info', `Draining ${active.size} requests/tunnels on ${sockets.size} connections`);
+
+      shutdownPromise = (async () => {
+        const drained = await waitUntil(() => active.size === 0, deadline);
+        const cutOff = [...active];
+        cutOff.forEach(ctx => (ctx.close ? ctx.close('shutdown') : ctx.req.socket.destroy()));
+        server.close();
+        sockets.forEach(socket => socket.destroy());
+        // The cut-off ones still report their 'request' / 'tunnel:close' events
+        await waitUntil(() => active.size === 0, 1000);
+
+        if (drained) {
+          log('info', 'Shutdown complete, every request and tunnel finished');
+        } else {
+          const now = Date.now();
+          log('warn', `Shutdown deadline (${elapsed(deadline)}) reached, cut off ${cutOff.length} requests/tunnels`);
+          cutOff.forEach((ctx) => {
+            const client = ctx.clientAddress || '-';
+            if (ctx.close) {
+              log('warn', `  ${ctx.type} tunnel to ${ctx.hostname}:${ctx.port} from ${client}, `
+                + `${ctx.bytesSent} bytes sent, ${ctx.bytesReceived} received, open ${elapsed(now - ctx.openedAt)}`);
+            } else {
+              log('warn', `  ${ctx.method} ${ctx.req.url} from ${client}, `
+                + `${ctx.bytesReceived} bytes delivered, running ${elapsed(now - ctx.startedAt)}`);
+            }
+          });
+        }
+
+        await Promise.all(withHook('teardown').map(feature => feature.teardown(core)));
+        return { drained, cutOff };
+      })();
+      return shutdownPromise;
+    },
+
+    // Payload served at /health
+    health() {
+      const data = {
+        status: core.draining ? 'draining' : 'ok',
+        uptime: process.uptime(),
+        timestamp: Date.now(),
+        hostname: os.hostname(),
+        version: options.version || '1.0.0',
+        features: {},
+        serverInfo: {
+          platform: os.platform(),
+          arch: os.arch(),
+          cpus: os.cpus().length,
+          memory: {
+            total: os.totalmem(),
+            free: os.freemem()
+          }
+        }
+      };
+
+      for (const feature of features) {
+        if (feature.name) {
+          data.features[feature.name] = true;
+        }
+      }
+      return transform('health', data);
+    }
+  };
+
+  // Health check endpoint handler
+  function handleHealthCheck(req, res) {
+    if (req.url === '/health' || req.url === '/health/') {
+      // 503 while draining so load balancers stop sending traffic
+      res.writeHead(core.draining ? 503 : 200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(core.health(), null, 2));
+      return true;
+    }
+    return false;
+  }
+
+  // 407 for a raw socket (CONNECT / Upgrade), where there is no response object
+  function rejectSocket(socket, challenge) {
+    const lines = ['HTTP/1.1 407 Proxy Authentication Required'];
+    challenge.forEach(value => lines.push(`Proxy-Authenticate: ${value}`));
+    lines.push('Content-Length: 0', 'Connection: close');
+    socket.end(`${lines.join('\r\n')}\r\n\r\n`);
+  }
+
+  // Requests on an intercepted TLS connection come in origin-form; they are
+  // for the CONNECT target, whatever their Host says
+  function interceptedUrl(req) {
+    const { hostname, port } = req.socket.interception;
+    const authority = formatHostPort(hostname, port);
+    return `https://${port === 443 ? authority.replace(/:443$/, '') : authority}${req.url}`;
+  }
+
+  // Handle regular HTTP requests
+  server.on('request', async (req, res) => {
+    const { interception } = req.socket;
+    if (interception && req.url.startsWith('/')) {
+      req.url = interceptedUrl(req);
+    }
+    log('info', `HTTP Request: ${req.method} ${req.url} from ${req.socket.remoteAddress}`);
+
+    // Requests answered here rather than forwarded keep the 'local' route
+    const ctx = {
+      id: ++lastId,
+      req,
+      res,
+      method: req.method,
+      route: 'local',
+      clientAddress: req.socket.remoteAddress,
+      startedAt: Date.now(),
+      bytesSent: 0,
+      bytesReceived: 0,
+      ttfb: null
+    };
+    active.add(ctx);
+    res.once('close', () => {
+      ctx.statusCode = res.statusCode;
+      ctx.duration = Date.now() - ctx.startedAt;
+      active.delete(ctx);
+      core.events.emit('request', ctx);
+    });
+
+    // Keep-alive connections close after their current response while draining
+    if (core.draining) {
+      res.setHeader('Connection', 'close');
+    }
+
+    if (handleHealthCheck(req, res)) {
+      return;
+    }
+
+    // A feature or auth check that throws is answered below, never left to
+    // crash the process as an unhandled rejection
+    try {
+      // Local endpoints (metrics, admin) are only reachable in origin-form
+      if (req.url.startsWith('/')) {
+        for (const feature of withHook('handleRequest')) {
+          if (await feature.handleRequest(req, res, core)) {
+            return;
+          }
+        }
+      }
+
+      if (core.draining) {
+        res.writeHead(503, { 'Content-Type': 'text/plain', 'Retry-After': '5' });
+        res.end('Proxy is shutting down');
+        return;
+      }
+
+      // Intercepted connections were authenticated with their CONNECT
+      const { user, challenge } = interception ? { user: interception.user } : await core.authenticate(req);
+      if (challenge) {
+        log('warn', `Proxy authentication required for ${req.method} ${req.url} from ${req.socket.remoteAddress}`);
+        res.writeHead(407, { 'Proxy-Authenticate': challenge, 'Content-Type': 'text/plain' });
+        res.end('Proxy authentication required');
+        return;
+      }
+
+      // Extract absolute target URL
+      let targetUrl;
+      if (req.url.startsWith('http')) {
+        targetUrl = req.url;
+      } else {
+        targetUrl = `http://${req.headers.host || ''}${req.url}`;
+      }
+
+      const parsedUrl = new URL(targetUrl);
+      const isHttps = parsedUrl.protocol === 'https:';
+      const protocol = isHttps ? https : http;
+      const hostname = parsedUrl.hostname.replace(/^\[|\]$/g, '');
+      const routed = withHook('connect').length > 0;
+      Object.assign(ctx, { url: parsedUrl, hostname, user, route: routed ? 'upstream' : 'direct' });
+
+      withHook('beforeRequest').forEach(feature => feature.beforeRequest(ctx));
+
+      // Hop-by-hop headers (Connection and what it names, Keep-Alive, TE, ...) stop here
+      const headers = transform('requestHeaders', stripHopByHop({ ...req.headers, host: parsedUrl.host }), ctx);
+      // Credentials for this proxy are never passed on to the origin
+      delete headers['proxy-authorization'];
+      // Whatever the policy did, the origin must see its own Host
+      headers.host = parsedUrl.host;
+
+      const port = Number(parsedUrl.port) || (isHttps ? 443 : 80);
+      core.checkDestination({ hostname, port });
+      const requestOptions = {
+        hostname,
+        port,
+        path: parsedUrl.pathname + parsedUrl.search,
+        method: req.method,
+        headers
+      };
+
+      if (routed) {
+        // Connect features (upstream chains) decide how the origin is reached;
+        // with createConnection set the request skips the agent pool
+        requestOptions.createConnection = (connectionOptions, callback) => {
+          core.connectTarget({ hostname, port })
+            .then(socket => (isHttps ? core.secureSocket(socket, hostname) : socket))
+            .then((socket) => {
+              callback(null, socket);
+              // Chained sockets come back paused after the hop handshakes;
+              // flow once the request has attached its parser
+              process.nextTick(() => socket.resume());
+            }, callback);
+        };
+      } else {
+        const addresses = core.checkDestination({ hostname, port }, await core.resolveHostname(hostname));
+        // Race the resolved addresses instead of letting the agent look the name up again
+        Object.assign(requestOptions, core.connectOptions(addresses));
+        if (isHttps) {
+          Object.assign(requestOptions, core.tlsOptionsFor(hostname));
+        }
+        log('debug', `Connecting to ${hostname} (${addresses.map(a => a.address).join(', ')}) with SNI ${requestOptions.servername || 'none'}`);
+      }
+
+      // Send the request upstream with these headers -> { statusCode, headers, body }
+      const fetchUpstream = upstreamHeaders => new Promise((resolve, reject) => {
+        const sentAt = Date.now();
+        let proxyRes = null;
+        const proxyReq = protocol.request({ ...requestOptions, headers: upstreamHeaders }, (response) => {
+          proxyRes = response;
+          ctx.ttfb = Date.now() - sentAt;
+          resolve({ statusCode: response.statusCode, headers: response.headers, body: response });
+        });
+
+        if (!routed) {
+          // Pooled connections only report connect time when a new socket is opened
+          proxyReq.once('socket', (socket) => {
+            if (socket.connecting) {
+              const connectStartedAt = Date.now();
+              const finish = (error) => {
+                socket.removeListener('connect', finish);
+                socket.removeListener('error', finish);
+                core.events.emit('connect', { hostname, port, route: 'direct', duration: Date.now() - connectStartedAt, error: error || null });
+              };
+              socket.once('connect', finish);
+              socket.once('error', finish);
+            }
+          });
+        }
+
+        if (timeouts.request) {
+          proxyReq.setTimeout(timeouts.request, () => {
+            proxyReq.destroy(new Error('Upstream request timed out'));
+          });
+        }
+
+        proxyReq.on('error', (err) => {
+          if (proxyRes) {
+            // Failed mid-body: the client connection is cut below
+            log('error', `Proxy request error: ${err.message}`);
+            proxyRes.destroy(err);
+          } else {
+            reject(err);
+          }
+        });
+
+        const bodyHandled = withHook('pipeRequestBody').some(feature => feature.pipeRequestBody(ctx, req, proxyReq));
+        if (!bodyHandled) {
+          req.pipe(proxyReq);
+        }
+      });
+      core.events.emit('request:send', ctx);
+      req.on('data', (chunk) => {
+        ctx.bytesSent += chunk.length;
+      });
+
+      // fetchResponse features (the cache) wrap the upstream fetch, first one outermost
+      const fetch = withHook('fetchResponse').reduceRight(
+        (next, feature) => fetchHeaders => feature.fetchResponse(ctx, fetchHeaders, next),
+        fetchUpstream
+      );
+
+      let response;
+      try {
+        response = await fetch(headers);
+      } catch (err) {
+        log('error', `Proxy request error: ${err.message}`);
+        if (!res.headersSent) {
+          res.writeHead(isDestinationDenied(err) ? 403 : 502);
+          res.end(`Proxy error: ${err.message}`);
+        }
+        return;
+      }
+
+      // Decode / transform / re-encode the body when needed, otherwise stream it as is
+      response = pipeBody(response, {
+        method: req.method,
+        acceptEncoding: req.headers['accept-encoding'],
+        transforms: withHook('transformBody').map(feature => feature.transformBody(ctx, response)).filter(Boolean),
+        onPassthrough: reason => log('debug', `Body transforms skipped for ${req.url}: ${reason}`)
+      });
+
+      const responseHeaders = transform('responseHeaders', stripHopByHop(response.headers), ctx);
+      res.writeHead(response.statusCode, responseHeaders);
+      core.events.emit('request:response', ctx, { statusCode: response.statusCode, headers: responseHeaders, body: response.body });
+      response.body.on('data', (chunk) => {
+        ctx.bytesReceived += chunk.length;
+      });
+      response.body.on('error', () => res.destroy());
+      // A client that goes away mid-body releases the upstream (and whatever buffers it)
+      res.once('close', () => {
+        if (!res.writableFinished) {
+          response.body.destroy();
+        }
+      });
+      response.body.pipe(res);
+    } catch (err) {
+      if (isDestinationDenied(err)) {
+        log('warn', `Blocked ${req.method} ${req.url}: ${err.message}`);
+        if (!res.headersSent) {
+          res.writeHead(403, { 'Content-Type': 'text/plain' });
+          res.end(`Forbidden: ${err.message}`);
+        }
+        return;
+      }
+      log('error', `Request handling error: ${err.message}`);
+      if (!res.headersSent) {
+        res.writeHead(400);
+        res.end(`Bad request: ${err.message}`);
+      }
+    }
+  });
+
+  // Handle HTTPS tunneling (CONNECT method)
+  server.on('connect', async (req, clientSocket, head) => {
+    log('info', `CONNECT Request to: ${req.url}`);
+
+    if (core.draining) {
+      clientSocket.end(DRAINING_RESPONSE);
+      return;
+    }
+
+    let targetSocket;
+
+    // Handle errors on the client socket
+    clientSocket.on('error', (err) => {
+      log('error', `Client connection error: ${err.message}`);
+      if (targetSocket && !targetSocket.destroyed) {
+        targetSocket.destroy();
+      }
+    });
+
+    try {
+      const { user, challenge } = await core.authenticate(req);
+      if (challenge) {
+        log('warn', `Proxy authentication required for CONNECT ${req.url} from ${req.socket.remoteAddress}`);
+        rejectSocket(clientSocket, challenge);
+        return;
+      }
+
+      const { hostname, port } = parseHostPort(req.url, 443);
+      const ctx = { req, hostname, port, user, type: 'connect' };
+
+      for (const feature of withHook('interceptConnect')) {
+        if (await feature.interceptConnect(ctx, clientSocket, head, core)) {
+          return;
+        }
+      }
+
+      targetSocket = await core.connectTarget({ hostname, port });
+
+      if (clientSocket.destroyed) {
+        targetSocket.destroy();
+        return;
+      }
+
+      // Inform the client that the connection is established
+      clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+
+      core.openTunnel(ctx, clientSocket, targetSocket, head);
+    } catch (err) {
+      if (isDestinationDenied(err)) {
+        log('warn', `Blocked CONNECT ${req.url}: ${err.message}`);
+        if (!clientSocket.destroyed) {
+          clientSocket.end(forbiddenResponse(err));
+        }
+        return;
+      }
+      log('error', `CONNECT handling error: ${err.message}`);
+      if (!clientSocket.destroyed) {
+        clientSocket.end('HTTP/1.1 502 Bad Gateway\r\n\r\n');
+      }
+    }
+  });
+
+  // An Upgrade (WebSocket) on an intercepted TLS connection goes to its
+  // origin as it is, over a new TLS session, and becomes a tunnel
+  async function passUpgrade(req, socket, head) {
+    const { hostname, port, user } = socket.interception;
+    const ctx = { req, hostname, port, user, type: 'upgrade' };
+    let targetSocket;
+    try {
+      targetSocket = await core.secureSocket(await core.connectTarget({ hostname, port }), hostname);
+    } catch (err) {
+      if (isDestinationDenied(err)) {
+        log('warn', `Blocked upgrade ${req.url}: ${err.message}`);
+        socket.end(forbiddenResponse(err));
+        return;
+      }
+      log('error', `Upgrade to ${req.url} failed: ${err.message}`);
+      socket.end('HTTP/1.1 502 Bad Gateway\r\nConnection: close\r\n\r\n');
+      return;
+    }
+    if (socket.destroyed) {
+      targetSocket.destroy();
+      return;
+    }
+
+    const { pathname, search } = new URL(req.url);
+    const lines = [`${req.method} ${pathname}${search} HTTP/${req.httpVersion}`];
+    for (let i = 0; i < req.rawHeaders.length; i += 2) {
+      lines.push(`${req.rawHeaders[i]}: ${req.rawHeaders[i + 1]}`);
+    }
+    targetSocket.write(`${lines.join('\r\n')}\r\n\r\n`);
+    core.openTunnel(ctx, socket, targetSocket, head);
+  }
+
+  // Upgrade requests (WebSocket tunnel) go to the first feature that takes them
+  server.on('upgrade', async (req, socket, head) => {
+    socket.on('error', (err) => {
+      log('debug', `Upgrade connection error: ${err.message}`);
+    });
+
+    if (core.draining) {
+      socket.end(DRAINING_RESPONSE);
+      return;
+    }
+
+    if (socket.interception) {
+      if (req.url.startsWith('/')) {
+        req.url = interceptedUrl(req);
+      }
+      log('info', `Upgrade: ${req.url} from ${socket.remoteAddress}`);
+      passUpgrade(req, socket, head);
+      return;
+    }
+
+    try {
+      const { user, challenge } = await core.authenticate(req);
+      if (challenge) {
+        log('warn', `Proxy authentication required for upgrade ${req.url} from ${req.socket.remoteAddress}`);
+        rejectSocket(socket, challenge);
+        return;
+      }
+
+      const ctx = { req, user };
+      for (const feature of withHook('upgrade')) {
+        if (await feature.upgrade(ctx, socket, head, core)) {
+          return;
+        }
+      }
+      socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+    } catch (err) {
+      log('error', `Upgrade handling error: ${err.message}`);
+      socket.destroy();
+    }
+  });
+
+  // Error handling for the server
+  server.on('error', (err) => {
+    log('error', `Server error: ${err.message}`);
+  });
+
+  for (const feature of withHook('setup')) {
+    feature.setup(core);
+  }
+
+  server.proxy = core;
+  return server;
+}
+
+// Create a proxy server, start listening (on options.host, all interfaces
+// by default) and log what it runs with. SIGTERM and SIGINT drain it
+// (timeouts.shutdown) and exit unless options.shutdownOnSignal is false.
+function startProxyServer(options = {}) {
+  const server = createProxyServer(options);
+  const { log } = server.proxy;
+  const port = options.port || process.env.PORT || 3000;
+
+  server.listen(port, options.host, () => {
+    log('info', `${options.name || 'Proxy server'} running on port ${port}`);
+    log('info', `Health check available at: http://localhost:${port}/health`);
+
+    for (const feature of server.proxy.features) {
+      if (typeof feature.describe === 'function') {
+        log('info', feature.describe());
+      }
+    }
+  });
+
+  if (options.shutdownOnSignal !== false) {
+    shutdownOnSignal({
+      log,
+      deadline: () => server.proxy.timeouts.shutdown,
+      shutdown: deadline => server.proxy.shutdown(deadline)
+    });
+  }
+
+  return server;
+}
+
+module.exports = { createProxyServer, startProxyServer };
@@ -0,0 +1,30 @@
+const LEVELS = { debug: 0, info: 1, warn: 2, error: 3 };
+
+const checkLevel = (level) => {
+  if (!(level in LEVELS)) {
+    throw new Error(`Unknown log level "${level}" (expected one of ${Object.keys(LEVELS).join(', ')})`);
+  }
+};
+
+// Leveled console logger shared by the proxy presets: log(level, message).
+// log.level is the current threshold, log.setLevel() changes it at runtime.
+function createLogger(level = 'info') {
+  checkLevel(level);
+
+  function log(messageLevel, message) {
+    if (LEVELS[messageLevel] >= LEVELS[log.level]) {
+      const timestamp = new Date().toISOString();
+      console[messageLevel === 'info' ? 'log' : messageLevel](`[${timestamp}] [${messageLevel.toUpperCase()}] ${message}`);
+    }
+  }
+
+  log.level = level;
+  log.setLevel = (next) => {
+    checkLevel(next);
+    log.level = next;
+  };
+
+  return log;
+}
+
+module.exports = { LEVELS, createLogger };
@@ -0,0 +1,83 @@
+// Graceful shutdown helpers shared by the proxy core and the standalone
+// scripts (jproxy.js, sockProxy.js). Hosting platforms like Render send
+// SIGTERM on every deploy and SIGKILL a while later; in between the server
+// stops accepting, lets what is in flight finish and force-closes the rest
+// at a deadline.
+
+// Default time in-flight requests and tunnels get to finish. Render kills
+// the process 30 s after SIGTERM, so this leaves room for the summary.
+const DEFAULT_DEADLINE = 25000;
+
+// Sockets of server that are still open, kept up to date
+function trackSockets(server) {
+  const sockets = new Set();
+  server.on('connection', (socket) => {
+    sockets.add(socket);
+    socket.once('close', () => sockets.delete(socket));
+  });
+  return sockets;
+}
+
+// Resolve true once isDone() holds, or false when deadline ms pass first
+function waitUntil(isDone, deadline, interval = 100) {
+  return new Promise((resolve) => {
+    if (isDone()) {
+      resolve(true);
+      return;
+    }
+    const poll = setInterval(() => {
+      if (isDone()) {
+        finish(true);
+      }
+    }, interval);
+    const timer = setTimeout(() => finish(false), deadline);
+    function finish(drained) {
+      clearInterval(poll);
+      clearTimeout(timer);
+      resolve(drained);
+    }
+  });
+}
+
+// Human readable duration for the summary lines
+const elapsed = ms => (ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`);
+
+// Run shutdown(deadline) on the first signal and exit once it resolves. A
+// second signal exits right away.
+//
+// options:
+//   shutdown(deadline) - drain the server, resolves when done
+//   deadline           - ms, or a function returning it (read when the signal arrives)
+//   log                - log(level, message), console by default
+//   signals            - defaults to SIGTERM and SIGINT
+function shutdownOnSignal(options) {
+  const {
+    shutdown,
+    log = (level, message) => console[level === 'info' ? 'log' : level](message),
+    signals = ['SIGTERM', 'SIGINT']
+  } = options;
+  const deadlineFor = () => {
+    const deadline = typeof options.deadline === 'function' ? options.deadline() : options.deadline;
+    return deadline !== undefined ? deadline : DEFAULT_DEADLINE;
+  };
+  let shuttingDown = false;
+
+  const onSignal = (signal) => {
+    if (shuttingDown) {
+      log('warn', `${signal} received again, exiting without waiting`);
+      process.exit(1);
+    }
+    shuttingDown = true;
+    const deadline = deadlineFor();
+    log('info', `${signal} received, draining connections (deadline ${elapsed(deadline)})`);
+
+    Promise.resolve(shutdown(deadline))
+      .catch(err => log('error', `Shutdown error: ${err.message}`))
+      .then(() => process.exit(0));
+  };
+  signals.forEach(signal => process.on(signal, onSignal));
+
+  return () => signals.forEach(signal => process.removeListener(signal, onSignal));
+}
+
+module.exports = { DEFAULT_DEADLINE, elapsed, shutdownOnSignal, trackSockets, waitUntil };
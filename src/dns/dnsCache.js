@@ -0,0 +1,142 @@
+const net = require('net');
+
+// TTL-aware hostname cache shared by the proxy servers' resolveHostname.
+// Lookups are keyed by hostname (plus an optional record family), honour the
+// TTL reported by whichever resolver answered, cache failures briefly and
+// coalesce concurrent lookups for the same key into one in-flight promise.
+function createDnsCache(options = {}) {
+  const {
+    maxEntries = 1000,   // LRU bound on cached hostnames
+    minTtl = 5,          // seconds - floor for very short TTLs
+    maxTtl = 3600,       // seconds - ceiling for very long TTLs
+    defaultTtl = 300,    // seconds - used when a resolver reports no TTL
+    negativeTtl = 30     // seconds - how long failed lookups are remembered
+  } = options;
+
+  // key -> { addresses, error, expiresAt }
+  const entries = new Map();
+  // key -> Promise of { addresses, ttl }
+  const inFlight = new Map();
+
+  const counters = {
+    hits: 0,
+    negativeHits: 0,
+    misses: 0,
+    coalesced: 0,
+    evictions: 0
+  };
+
+  function clampTtl(ttl, fallback) {
+    if (typeof ttl !== 'number' || !Number.isFinite(ttl) || ttl < 0) {
+      return fallback;
+    }
+    return Math.min(Math.max(ttl, minTtl), maxTtl);
+  }
+
+  function store(key, entry) {
+    entries.delete(key);
+    entries.set(key, entry);
+
+    // Map iteration order is insertion order, so the first key is least recently used
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+      counters.evictions++;
+    }
+  }
+
+  function getFresh(key) {
+    const entry = entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    // Refresh LRU position
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry;
+  }
+
+  // Resolve key through the cache. resolveFn must return (a promise of)
+  // { addresses: string[], ttl: seconds }. Resolves with a copy of the address list.
+  async function lookup(hostname, resolveFn, family = '') {
+    if (net.isIP(hostname)) {
+      return [hostname];
+    }
+
+    const key = `${hostname.toLowerCase()}${family ? `|${family}` : ''}`;
+
+    const cached = getFresh(key);
+    if (cached) {
+      if (cached.error) {
+        counters.negativeHits++;
+        throw cached.error;
+      }
+      counters.hits++;
+      return [...cached.addresses];
+    }
+
+    if (inFlight.has(key)) {
+      counters.coalesced++;
+      return [...await inFlight.get(key)];
+    }
+
+    counters.misses++;
+
+    const pending = (async () => {
+      try {
+        const { addresses, ttl } = await resolveFn(hostname);
+        if (!addresses || addresses.length === 0) {
+          throw new Error(`No addresses found for ${hostname}`);
+        }
+        store(key, {
+          addresses: [...addresses],
+          expiresAt: Date.now() + clampTtl(ttl, defaultTtl) * 1000
+        });
+        return addresses;
+      } catch (err) {
+        // Negative answers may carry an SOA-derived TTL; never hold them longer than negativeTtl
+        const ttl = Math.min(clampTtl(err.ttl, negativeTtl), negativeTtl);
+        store(key, { error: err, expiresAt: Date.now() + ttl * 1000 });
+        throw err;
+      } finally {
+        inFlight.delete(key);
+      }
+    })();
+
+    inFlight.set(key, pending);
+    return [...await pending];
+  }
+
+  // Drop one hostname (all families) or the whole cache
+  function invalidate(hostname) {
+    if (!hostname) {
+      entries.clear();
+      return;
+    }
+    const prefix = hostname.toLowerCase();
+    for (const key of entries.keys()) {
+      if (key === prefix || key.startsWith(`${prefix}|`)) {
+        entries.delete(key);
+      }
+    }
+  }
+
+  // Snapshot for /health
+  function stats() {
+    const lookups = counters.hits + counters.negativeHits + counters.misses + counters.coalesced;
+    return {
+      size: entries.size,
+      maxEntries,
+      inFlight: inFlight.size,
+      ...counters,
+      hitRate: lookups === 0 ? 0 : Number(((counters.hits + counters.negativeHits + counters.coalesced) / lookups).toFixed(4))
+    };
+  }
+
+  return { lookup, invalidate, stats };
+}
+
+module.exports = { createDnsCache };
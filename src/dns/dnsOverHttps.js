@@ -0,0 +1,222 @@
+const https = require('https');
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+const { URL } = require('url');
+const {
+  RECORD_TYPES,
+  toRecordType,
+  encodeQuery,
+  decodeMessage,
+  extractAddresses,
+  isIpLiteral
+} = require('./dnsPacket');
+const { happyEyeballsOptions } = require('../net/happyEyeballs');
+
+// DNS over HTTPS client speaking both dialects:
+//   'json'      - Google/Cloudflare style application/dns-json (?name=&type=)
+//   'wireformat' - RFC 8484 application/dns-message via GET (?dns=) or POST
+
+const DIALECTS = ['json', 'wireformat'];
+const DEFAULT_PROVIDERS_FILE = path.join(__dirname, '..', 'data', 'dohProviders.json');
+
+// Largest DoH response body we are willing to buffer
+const MAX_RESPONSE_BYTES = 65535;
+
+// Validate one provider entry and fill in defaults
+function normalizeProvider(entry, index = 0) {
+  const where = entry && entry.name ? `DoH provider "${entry.name}"` : `DoH provider #${index}`;
+
+  if (!entry || typeof entry.url !== 'string') {
+    throw new Error(`${where}: "url" is required`);
+  }
+
+  let url;
+  try {
+    url = new URL(entry.url);
+  } catch (err) {
+    throw new Error(`${where}: invalid url "${entry.url}"`);
+  }
+  if (url.protocol !== 'https:') {
+    throw new Error(`${where}: url must use https`);
+  }
+
+  const dialect = entry.dialect || 'wireformat';
+  if (!DIALECTS.includes(dialect)) {
+    throw new Error(`${where}: dialect must be one of ${DIALECTS.join(', ')}`);
+  }
+
+  const method = String(entry.method || 'GET').toUpperCase();
+  if (method !== 'GET' && method !== 'POST') {
+    throw new Error(`${where}: method must be GET or POST`);
+  }
+  if (dialect === 'json' && method !== 'GET') {
+    throw new Error(`${where}: the json dialect only supports GET`);
+  }
+
+  const bootstrap = entry.bootstrap || [];
+  if (!Array.isArray(bootstrap) || bootstrap.some(ip => !isIpLiteral(ip))) {
+    throw new Error(`${where}: bootstrap must be a list of IP addresses`);
+  }
+
+  return {
+    name: entry.name || url.hostname,
+    url: url.toString(),
+    dialect,
+    method,
+    bootstrap,
+    timeout: entry.timeout || 5000
+  };
+}
+
+// Load and validate the provider list (defaults to src/data/dohProviders.json)
+function loadDohProviders(file) {
+  const source = file || DEFAULT_PROVIDERS_FILE;
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(source, 'utf8'));
+  } catch (err) {
+    throw new Error(`Unable to read DoH providers from ${source}: ${err.message}`);
+  }
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`DoH providers file ${source} must contain a non-empty array`);
+  }
+  return entries.map(normalizeProvider);
+}
+
+// Encode bytes as unpadded base64url (RFC 8484 section 4.1)
+function toBase64Url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Convert a dns-json body into the shape decodeMessage() produces so the
+// same CNAME chasing and RCODE handling applies to both dialects
+function jsonToMessage(body) {
+  const toRecord = (answer) => {
+    const record = {
+      name: String(answer.name || '').replace(/\.$/, ''),
+      type: answer.type,
+      ttl: answer.TTL,
+      data: answer.data
+    };
+    if (answer.type === RECORD_TYPES.CNAME) {
+      record.data = String(answer.data).replace(/\.$/, '');
+    } else if (answer.type === RECORD_TYPES.SOA) {
+      const minimum = parseInt(String(answer.data).trim().split(/\s+/)[6], 10);
+      record.data = { minimum: Number.isNaN(minimum) ? answer.TTL : minimum };
+    }
+    return record;
+  };
+
+  return {
+    rcode: body.Status || 0,
+    truncated: Boolean(body.TC),
+    answers: (body.Answer || []).map(toRecord),
+    authorities: (body.Authority || []).map(toRecord),
+    additionals: []
+  };
+}
+
+// Perform one HTTPS exchange and resolve with the raw response body
+function exchange(provider, requestOptions, body) {
+  return new Promise((resolve, reject) => {
+    const req = https.request(requestOptions, (res) => {
+      const chunks = [];
+      let size = 0;
+
+      if (res.statusCode !== 200) {
+        res.resume();
+        reject(new Error(`DoH provider ${provider.name} answered HTTP ${res.statusCode}`));
+        return;
+      }
+
+      res.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_RESPONSE_BYTES) {
+          req.destroy(new Error(`DoH response from ${provider.name} is too large`));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      res.on('end', () => resolve(Buffer.concat(chunks)));
+      res.on('error', reject);
+    });
+
+    req.on('error', reject);
+    req.on('timeout', () => {
+      req.destroy(new Error(`DoH request to ${provider.name} timed out`));
+    });
+    req.end(body);
+  });
+}
+
+// Query a single provider and resolve with { addresses, ttl, cnames }.
+// options.headers adds extra request headers (e.g. User-Agent).
+async function queryDnsOverHttps(provider, hostname, type = 'A', options = {}) {
+  if (isIpLiteral(hostname)) {
+    return { addresses: [hostname], ttl: Infinity, cnames: [] };
+  }
+
+  const url = new URL(provider.url);
+  const qtype = toRecordType(type);
+  const headers = { ...options.headers };
+  let body;
+
+  if (provider.dialect === 'json') {
+    url.searchParams.set('name', hostname);
+    url.searchParams.set('type', String(qtype));
+    headers['Accept'] = 'application/dns-json';
+  } else {
+    // RFC 8484 section 4.1: use ID 0 so responses stay HTTP-cache friendly
+    const { buffer } = encodeQuery(hostname, qtype, { id: 0 });
+    headers['Accept'] = 'application/dns-message';
+    if (provider.method === 'POST') {
+      headers['Content-Type'] = 'application/dns-message';
+      headers['Content-Length'] = buffer.length;
+      body = buffer;
+    } else {
+      url.searchParams.set('dns', toBase64Url(buffer));
+    }
+  }
+
+  const requestOptions = {
+    hostname: url.hostname,
+    port: url.port || 443,
+    path: url.pathname + url.search,
+    method: provider.method,
+    headers,
+    timeout: provider.timeout,
+    servername: url.hostname
+  };
+
+  // Connect straight to the bootstrap IPs so the resolver never depends on itself
+  if (provider.bootstrap.length > 0) {
+    Object.assign(requestOptions, happyEyeballsOptions(provider.bootstrap.map(address => ({
+      address,
+      family: net.isIP(address)
+    }))));
+  }
+
+  const raw = await exchange(provider, requestOptions, body);
+
+  let message;
+  if (provider.dialect === 'json') {
+    try {
+      message = jsonToMessage(JSON.parse(raw.toString('utf8')));
+    } catch (err) {
+      throw new Error(`Invalid dns-json response from ${provider.name}: ${err.message}`);
+    }
+  } else {
+    message = decodeMessage(raw);
+  }
+
+  return extractAddresses(message, hostname, qtype);
+}
+
+module.exports = {
+  DIALECTS,
+  DEFAULT_PROVIDERS_FILE,
+  normalizeProvider,
+  loadDohProviders,
+  queryDnsOverHttps
+};
@@ -0,0 +1,72 @@
+const tls = require('tls');
+const {
+  encodeQuery,
+  decodeMessage,
+  matchesQuery,
+  extractAddresses,
+  frameTcpMessage,
+  createTcpMessageReader,
+  isIpLiteral
+} = require('./dnsPacket');
+
+// Send a single query to a DNS-over-TLS server (RFC 7858) and resolve with
+// { addresses, ttl, cnames } for the requested record type.
+// provider: { host, port = 853, servername, timeout = 5000, ...extra tls.connect options }
+function queryDnsOverTls(provider, hostname, type = 'A') {
+  if (isIpLiteral(hostname)) {
+    return Promise.resolve({ addresses: [hostname], ttl: Infinity, cnames: [] });
+  }
+
+  const { host, port = 853, servername, timeout = 5000, ...tlsOptions } = provider;
+  const query = { ...encodeQuery(hostname, type), hostname, type };
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+
+    const finish = (err, result) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      if (err) {
+        reject(err);
+      } else {
+        resolve(result);
+      }
+    };
+
+    const socket = tls.connect({
+      host,
+      port,
+      servername: servername || host,
+      timeout,
+      ...tlsOptions
+    }, () => {
+      socket.write(frameTcpMessage(query.buffer));
+    });
+
+    socket.on('data', createTcpMessageReader((buffer) => {
+      try {
+        const message = decodeMessage(buffer);
+        // Ignore anything that isn't the answer to our query ID/question
+        if (!matchesQuery(message, query)) {
+          return;
+        }
+        finish(null, extractAddresses(message, hostname, type));
+      } catch (err) {
+        finish(err);
+      }
+    }));
+
+    socket.on('error', finish);
+
+    socket.on('timeout', () => {
+      finish(new Error(`DoT query to ${host} timed out`));
+    });
+
+    socket.on('end', () => {
+      finish(new Error(`DoT server ${host} closed the connection without answering`));
+    });
+  });
+}
+
+module.exports = { queryDnsOverTls };
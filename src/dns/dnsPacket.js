@@ -0,0 +1,395 @@
+const crypto = require('crypto');
+const net = require('net');
+
+// RFC 1035 wire-format encoder/decoder shared by the DoT (and wire-format DoH) clients
+
+// Resource record types we care about
+const RECORD_TYPES = {
+  A: 1,
+  NS: 2,
+  CNAME: 5,
+  SOA: 6,
+  PTR: 12,
+  AAAA: 28
+};
+
+const CLASS_IN = 1;
+
+// RCODE values mapped to the error codes Node's own dns module uses
+const RCODE_ERRORS = {
+  1: 'EFORMERR',
+  2: 'ESERVFAIL',
+  3: 'ENOTFOUND',
+  4: 'ENOTIMP',
+  5: 'EREFUSED'
+};
+
+// Upper bound on CNAME hops we follow inside a single response
+const MAX_CNAME_CHAIN = 8;
+
+// Build an Error carrying a dns-module style code (ENOTFOUND, ESERVFAIL, ...)
+function dnsError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// Short outcome label for a finished lookup (metrics, logs)
+function lookupOutcome(err) {
+  if (!err) {
+    return 'success';
+  }
+  switch (err.code) {
+    case 'ENOTFOUND':
+      return 'nxdomain';
+    case 'ENODATA':
+      return 'nodata';
+    case 'ESERVFAIL':
+      return 'servfail';
+    case 'EREFUSED':
+      return 'refused';
+    case 'ETIMEOUT':
+      return 'timeout';
+    default:
+      return /timed out/.test(err.message) ? 'timeout' : 'error';
+  }
+}
+
+// Resolve a record type given as name ('AAAA') or number (28)
+function toRecordType(type) {
+  if (typeof type === 'number') {
+    return type;
+  }
+  const value = RECORD_TYPES[String(type).toUpperCase()];
+  if (!value) {
+    throw new Error(`Unsupported DNS record type: ${type}`);
+  }
+  return value;
+}
+
+// Encode a hostname as a sequence of length-prefixed labels
+function encodeName(hostname) {
+  const name = hostname.replace(/\.$/, '');
+  if (name.length > 253) {
+    throw new Error(`Hostname too long: ${hostname}`);
+  }
+
+  const parts = [];
+  if (name.length > 0) {
+    for (const label of name.split('.')) {
+      const bytes = Buffer.from(label, 'ascii');
+      if (bytes.length === 0 || bytes.length > 63) {
+        throw new Error(`Invalid label in hostname: ${hostname}`);
+      }
+      parts.push(Buffer.from([bytes.length]), bytes);
+    }
+  }
+  parts.push(Buffer.from([0]));
+  return Buffer.concat(parts);
+}
+
+// Build a standard recursive query for a single question
+function encodeQuery(hostname, type = 'A', options = {}) {
+  const id = options.id !== undefined ? options.id : crypto.randomInt(0, 65536);
+  const recursionDesired = options.recursionDesired !== false;
+
+  const header = Buffer.alloc(12);
+  header.writeUInt16BE(id, 0);
+  header.writeUInt16BE(recursionDesired ? 0x0100 : 0x0000, 2); // QR=0, OPCODE=0, RD
+  header.writeUInt16BE(1, 4);  // QDCOUNT
+  header.writeUInt16BE(0, 6);  // ANCOUNT
+  header.writeUInt16BE(0, 8);  // NSCOUNT
+  header.writeUInt16BE(0, 10); // ARCOUNT
+
+  const question = Buffer.alloc(4);
+  question.writeUInt16BE(toRecordType(type), 0);
+  question.writeUInt16BE(CLASS_IN, 2);
+
+  return {
+    id,
+    buffer: Buffer.concat([header, encodeName(hostname), question])
+  };
+}
+
+// Read a (possibly compressed) domain name starting at offset
+function decodeName(buffer, offset) {
+  const labels = [];
+  let position = offset;
+  let nextOffset = null;
+  let jumps = 0;
+
+  while (true) {
+    if (position >= buffer.length) {
+      throw dnsError('EBADRESP', 'Truncated name in DNS message');
+    }
+
+    const length = buffer[position];
+
+    if ((length & 0xc0) === 0xc0) {
+      // Compression pointer - the remaining labels live elsewhere in the message
+      if (position + 1 >= buffer.length) {
+        throw dnsError('EBADRESP', 'Truncated compression pointer in DNS message');
+      }
+      if (++jumps > 64) {
+        throw dnsError('EBADRESP', 'Compression loop in DNS message');
+      }
+      if (nextOffset === null) {
+        nextOffset = position + 2;
+      }
+      position = buffer.readUInt16BE(position) & 0x3fff;
+      continue;
+    }
+
+    if (length & 0xc0) {
+      throw dnsError('EBADRESP', 'Unsupported label type in DNS message');
+    }
+
+    position += 1;
+    if (length === 0) {
+      break;
+    }
+    if (position + length > buffer.length) {
+      throw dnsError('EBADRESP', 'Truncated label in DNS message');
+    }
+    labels.push(buffer.toString('ascii', position, position + length));
+    position += length;
+  }
+
+  return {
+    name: labels.join('.'),
+    offset: nextOffset === null ? position : nextOffset
+  };
+}
+
+// Format a 16-byte buffer as a compressed IPv6 address
+function formatIPv6(bytes) {
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) {
+    groups.push(bytes.readUInt16BE(i));
+  }
+
+  // Find the longest run of zero groups (length >= 2) to collapse into '::'
+  let bestStart = -1;
+  let bestLength = 0;
+  for (let i = 0; i < groups.length;) {
+    if (groups[i] !== 0) {
+      i++;
+      continue;
+    }
+    let j = i;
+    while (j < groups.length && groups[j] === 0) j++;
+    if (j - i > bestLength && j - i >= 2) {
+      bestStart = i;
+      bestLength = j - i;
+    }
+    i = j;
+  }
+
+  const hex = groups.map(g => g.toString(16));
+  if (bestStart === -1) {
+    return hex.join(':');
+  }
+  const head = hex.slice(0, bestStart).join(':');
+  const tail = hex.slice(bestStart + bestLength).join(':');
+  return `${head}::${tail}`;
+}
+
+// Decode the RDATA of a record into something useful for its type
+function decodeRecordData(buffer, type, offset, length) {
+  const end = offset + length;
+
+  switch (type) {
+    case RECORD_TYPES.A:
+      if (length !== 4) throw dnsError('EBADRESP', 'Invalid A record length');
+      return Array.from(buffer.subarray(offset, end)).join('.');
+
+    case RECORD_TYPES.AAAA:
+      if (length !== 16) throw dnsError('EBADRESP', 'Invalid AAAA record length');
+      return formatIPv6(buffer.subarray(offset, end));
+
+    case RECORD_TYPES.CNAME:
+    case RECORD_TYPES.NS:
+    case RECORD_TYPES.PTR:
+      return decodeName(buffer, offset).name;
+
+    case RECORD_TYPES.SOA: {
+      const mname = decodeName(buffer, offset);
+      const rname = decodeName(buffer, mname.offset);
+      let position = rname.offset;
+      if (position + 20 > end) throw dnsError('EBADRESP', 'Invalid SOA record length');
+      return {
+        mname: mname.name,
+        rname: rname.name,
+        serial: buffer.readUInt32BE(position),
+        refresh: buffer.readUInt32BE(position += 4),
+        retry: buffer.readUInt32BE(position += 4),
+        expire: buffer.readUInt32BE(position += 4),
+        minimum: buffer.readUInt32BE(position += 4)
+      };
+    }
+
+    default:
+      return Buffer.from(buffer.subarray(offset, end));
+  }
+}
+
+// Decode a full DNS message (header, questions and all record sections)
+function decodeMessage(buffer) {
+  if (buffer.length < 12) {
+    throw dnsError('EBADRESP', 'DNS message shorter than header');
+  }
+
+  const flags = buffer.readUInt16BE(2);
+  const counts = [4, 6, 8, 10].map(pos => buffer.readUInt16BE(pos));
+  const message = {
+    id: buffer.readUInt16BE(0),
+    isResponse: Boolean(flags & 0x8000),
+    opcode: (flags >> 11) & 0x0f,
+    authoritative: Boolean(flags & 0x0400),
+    truncated: Boolean(flags & 0x0200),
+    recursionDesired: Boolean(flags & 0x0100),
+    recursionAvailable: Boolean(flags & 0x0080),
+    rcode: flags & 0x000f,
+    questions: [],
+    answers: [],
+    authorities: [],
+    additionals: []
+  };
+
+  let offset = 12;
+
+  for (let i = 0; i < counts[0]; i++) {
+    const { name, offset: next } = decodeName(buffer, offset);
+    if (next + 4 > buffer.length) throw dnsError('EBADRESP', 'Truncated question in DNS message');
+    message.questions.push({
+      name,
+      type: buffer.readUInt16BE(next),
+      class: buffer.readUInt16BE(next + 2)
+    });
+    offset = next + 4;
+  }
+
+  const sections = [message.answers, message.authorities, message.additionals];
+  sections.forEach((records, index) => {
+    for (let i = 0; i < counts[index + 1]; i++) {
+      const { name, offset: next } = decodeName(buffer, offset);
+      if (next + 10 > buffer.length) throw dnsError('EBADRESP', 'Truncated record in DNS message');
+      const type = buffer.readUInt16BE(next);
+      const rdLength = buffer.readUInt16BE(next + 8);
+      const rdOffset = next + 10;
+      if (rdOffset + rdLength > buffer.length) throw dnsError('EBADRESP', 'Truncated record data in DNS message');
+
+      records.push({
+        name,
+        type,
+        class: buffer.readUInt16BE(next + 2),
+        ttl: buffer.readUInt32BE(next + 4),
+        data: decodeRecordData(buffer, type, rdOffset, rdLength)
+      });
+      offset = rdOffset + rdLength;
+    }
+  });
+
+  return message;
+}
+
+// Check a decoded response against the query we sent
+function matchesQuery(message, query) {
+  if (!message.isResponse || message.id !== query.id) {
+    return false;
+  }
+  // Some servers omit the question on errors; only compare when it is echoed back
+  if (message.questions.length === 0) {
+    return true;
+  }
+  const question = message.questions[0];
+  return question.name.toLowerCase() === query.hostname.replace(/\.$/, '').toLowerCase() &&
+    question.type === toRecordType(query.type);
+}
+
+// Pull the addresses for hostname out of a response, following CNAME chains.
+// Returns { addresses, ttl, cnames }; throws dns-style errors on RCODEs and empty answers.
+function extractAddresses(message, hostname, type = 'A') {
+  const wanted = toRecordType(type);
+
+  if (message.rcode !== 0) {
+    const code = RCODE_ERRORS[message.rcode] || 'EBADRESP';
+    throw dnsError(code, `DNS query for ${hostname} failed with ${code} (rcode ${message.rcode})`);
+  }
+
+  const sameName = (a, b) => a.toLowerCase() === b.toLowerCase();
+  let currentName = hostname.replace(/\.$/, '');
+  const cnames = [];
+  let ttl = Infinity;
+
+  for (let hops = 0; hops <= MAX_CNAME_CHAIN; hops++) {
+    const records = message.answers.filter(r => r.type === wanted && sameName(r.name, currentName));
+    if (records.length > 0) {
+      for (const record of records) ttl = Math.min(ttl, record.ttl);
+      return { addresses: records.map(r => r.data), ttl, cnames };
+    }
+
+    const alias = message.answers.find(r => r.type === RECORD_TYPES.CNAME && sameName(r.name, currentName));
+    if (!alias) {
+      break;
+    }
+    ttl = Math.min(ttl, alias.ttl);
+    cnames.push(alias.data);
+    currentName = alias.data;
+  }
+
+  // NODATA - surface the SOA minimum so callers can cache the negative answer
+  const soa = message.authorities.find(r => r.type === RECORD_TYPES.SOA);
+  const err = dnsError('ENODATA', `No ${typeof type === 'number' ? `type ${type}` : type} records found for ${hostname}`);
+  if (soa) {
+    err.ttl = Math.min(soa.ttl, soa.data.minimum);
+  }
+  throw err;
+}
+
+// Prefix a message with the 2-byte length used by DNS over TCP/TLS (RFC 1035 4.2.2, RFC 7858)
+function frameTcpMessage(buffer) {
+  const prefix = Buffer.alloc(2);
+  prefix.writeUInt16BE(buffer.length, 0);
+  return Buffer.concat([prefix, buffer]);
+}
+
+// Returns a function that accepts stream chunks and calls onMessage for every complete framed message
+function createTcpMessageReader(onMessage) {
+  let pending = Buffer.alloc(0);
+
+  return (chunk) => {
+    pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+
+    while (pending.length >= 2) {
+      const length = pending.readUInt16BE(0);
+      if (pending.length < 2 + length) {
+        break;
+      }
+      const message = pending.subarray(2, 2 + length);
+      pending = pending.subarray(2 + length);
+      onMessage(message);
+    }
+  };
+}
+
+// Helper for callers that want to skip the network for literal IPs
+function isIpLiteral(hostname) {
+  return net.isIP(hostname) !== 0;
+}
+
+module.exports = {
+  RECORD_TYPES,
+  dnsError,
+  lookupOutcome,
+  toRecordType,
+  encodeName,
+  encodeQuery,
+  decodeName,
+  decodeMessage,
+  matchesQuery,
+  extractAddresses,
+  frameTcpMessage,
+  createTcpMessageReader,
+  isIpLiteral
+};
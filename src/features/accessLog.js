@@ -0,0 +1,97 @@
+const { createFormatter } = require('../logging/accessLogFormat');
+const { createRotatingFile } = require('../logging/rotatingFile');
+
+const OUTPUTS = ['stdout', 'file', 'both'];
+
+// Access log feature: one line per finished HTTP request and per closed
+// tunnel (CONNECT, SOCKS, WebSocket) with its target, bytes each way,
+// duration and close reason. Lines go to stdout, a rotating file or both,
+// separately from the leveled diagnostic log.
+//
+// options:
+//   format   - 'combined' (Combined Log Format) or 'json' (one object per line)
+//   output   - 'stdout', 'file' or 'both'
+//   file     - log file path for the file output
+//   maxSize  - rotate the file after this many bytes (0 = never)
+//   interval - also rotate 'hourly' or 'daily' (UTC), or 'none'
+//   maxFiles - rotated files to keep (0 = all)
+function accessLog(options = {}) {
+  const {
+    format = 'combined',
+    output = 'stdout',
+    file = 'logs/access.log',
+    maxSize = 0,
+    interval = 'none',
+    maxFiles = 0
+  } = options;
+  if (!OUTPUTS.includes(output)) {
+    throw new Error(`Unknown access log output "${output}" (expected one of ${OUTPUTS.join(', ')})`);
+  }
+  const formatter = createFormatter(format);
+  const toStdout = output !== 'file';
+  const toFile = output !== 'stdout';
+
+  // Opened in setup so a feature that is built but never installed holds no file
+  let logFile = null;
+
+  function write(line) {
+    if (toStdout) {
+      process.stdout.write(`${line}\n`);
+    }
+    if (logFile) {
+      logFile.write(`${line}\n`);
+    }
+  }
+
+  // core.events listeners, kept so a reload can detach them
+  const handlers = {
+    request: ctx => write(formatter.request(ctx)),
+    'tunnel:close': ctx => write(formatter.tunnel(ctx))
+  };
+
+  function closeFile() {
+    const closing = logFile ? logFile.close() : Promise.resolve();
+    logFile = null;
+    return closing;
+  }
+
+  return {
+    name: 'accessLog',
+
+    describe() {
+      const destination = [toStdout && 'stdout', toFile && file].filter(Boolean).join(' + ');
+      return `Access Log: Enabled (${format} to ${destination})`;
+    },
+
+    health(data) {
+      data.features.accessLog = { format, output };
+      return data;
+    },
+
+    setup(core) {
+      if (toFile) {
+        logFile = createRotatingFile({
+          file,
+          maxSize,
+          interval,
+          maxFiles,
+          onError: err => core.log('error', `Access log ${file}: ${err.message}`)
+        });
+      }
+      for (const [event, handler] of Object.entries(handlers)) {
+        core.events.on(event, handler);
+      }
+      core.server.once('close', closeFile);
+    },
+
+    teardown(core) {
+      for (const [event, handler] of Object.entries(handlers)) {
+        core.events.removeListener(event, handler);
+      }
+      core.server.removeListener('close', closeFile);
+      return closeFile();
+    }
+  };
+}
+
+module.exports = { accessLog };
@@ -0,0 +1,61 @@
+const http = require('http');
+const { createAdminApp } = require('../../app');
+
+// Admin API feature: serves the Express admin app (app.js) on its own port
+// next to the proxy - active requests and tunnels, killing one, the
+// effective config and runtime changes to it. Every route needs the token,
+// so there is no API without one.
+//
+// options:
+//   port     - TCP port to listen on
+//   host     - address to bind (loopback by default)
+//   token    - bearer token for every route
+//   config() - -> the effective configuration (the preset's reloader)
+//   update(changes) - apply { 'dotted.key': value } at runtime
+function adminApi(options = {}) {
+  const { port = 3001, host = '127.0.0.1', token, config, update } = options;
+  if (!token) {
+    throw new Error('adminApi.token: the admin API needs a token (admin.token or ADMIN_TOKEN)');
+  }
+  let adminServer = null;
+  let listen = null;
+  let stop = null;
+
+  return {
+    name: 'adminApi',
+
+    describe() {
+      return `Admin API: Enabled (${host}:${port})`;
+    },
+
+    setup(core) {
+      adminServer = http.createServer(createAdminApp({ core, token, config, update }));
+      adminServer.on('error', err => core.log('error', `Admin API: ${err.message}`));
+      listen = () => {
+        adminServer.listen(port, host, () => {
+          core.log('info', `Admin API running on ${host}:${port}`);
+        });
+      };
+      stop = () => adminServer.close();
+
+      // Start and stop together with the HTTP listener, like the SOCKS one
+      if (core.server.listening) {
+        listen();
+      } else {
+        core.server.once('listening', listen);
+      }
+      core.server.once('close', stop);
+    },
+
+    teardown(core) {
+      core.server.removeListener('listening', listen);
+      core.server.removeListener('close', stop);
+      if (adminServer.listening) {
+        adminServer.close();
+        adminServer.closeAllConnections();
+      }
+    }
+  };
+}
+
+module.exports = { adminApi };
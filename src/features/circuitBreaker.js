@@ -0,0 +1,41 @@
+const http = require('http');
+const https = require('https');
+
+// Circuit breaker feature: periodically replaces the global HTTP(S) agents so
+// pooled keep-alive connections don't live long enough to be fingerprinted.
+//
+// options:
+//   resetInterval - ms between pool resets
+//   jitterFactor  - fraction of resetInterval to randomize by
+function circuitBreaker(options = {}) {
+  const { resetInterval = 3600000, jitterFactor = 0.2 } = options;
+  let lastReset = Date.now();
+  let log = () => {};
+
+  return {
+    name: 'circuitBreaker',
+
+    setup(core) {
+      log = core.log;
+    },
+
+    describe() {
+      return `Circuit Breaker: Enabled (every ~${Math.round(resetInterval / 60000)} min)`;
+    },
+
+    beforeRequest() {
+      // Add random jitter to the reset interval
+      const jitter = jitterFactor * resetInterval;
+      const actualResetInterval = resetInterval + (Math.random() * jitter - jitter / 2);
+
+      if (Date.now() - lastReset > actualResetInterval) {
+        log('debug', 'Circuit breaker: Resetting connection pools');
+        http.globalAgent = new http.Agent({ keepAlive: true, maxSockets: 100 });
+        https.globalAgent = new https.Agent({ keepAlive: true, maxSockets: 100 });
+        lastReset = Date.now();
+      }
+    }
+  };
+}
+
+module.exports = { circuitBreaker };
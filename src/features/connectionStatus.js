@@ -0,0 +1,88 @@
+const { formatHostPort } = require('../net/hostPort');
+
+// Connection status feature: a log line when a tunnel opens, one when it
+// closes (bytes each way, duration, why) and one for every outbound connect
+// that failed, so whoever runs a local client (companion.js) can follow each
+// connection. Plain HTTP requests get a line when they finish.
+//
+// options:
+//   requests - also report plain HTTP requests (default true)
+function connectionStatus(options = {}) {
+  const { requests = true } = options;
+  const ids = new WeakMap();
+  let opened = 0;
+  let active = 0;
+
+  const size = (bytes) => {
+    const value = bytes || 0;
+    if (value < 1024) {
+      return `${value} B`;
+    }
+    return value < 1048576 ? `${(value / 1024).toFixed(1)} KB` : `${(value / 1048576).toFixed(1)} MB`;
+  };
+
+  const seconds = ms => `${((ms || 0) / 1000).toFixed(1)}s`;
+
+  let log = () => {};
+
+  // core.events listeners, kept so a reload can detach them
+  const handlers = {
+    'tunnel:open': (ctx) => {
+      opened += 1;
+      active += 1;
+      ids.set(ctx, opened);
+      log('info', `#${opened} open ${ctx.type} ${formatHostPort(ctx.hostname, ctx.port)} from ${ctx.clientAddress} (${active} active)`);
+    },
+
+    'tunnel:close': (ctx) => {
+      if (!ids.has(ctx)) {
+        return;
+      }
+      active -= 1;
+      log('info', `#${ids.get(ctx)} closed ${formatHostPort(ctx.hostname, ctx.port)} `
+        + `sent ${size(ctx.bytesSent)} received ${size(ctx.bytesReceived)} in ${seconds(ctx.duration)} `
+        + `(${ctx.closeReason || 'closed'}, ${active} active)`);
+    },
+
+    connect: (info) => {
+      if (info.error) {
+        log('warn', `failed ${formatHostPort(info.hostname, info.port)} after ${seconds(info.duration)}: ${info.error.message}`);
+      }
+    },
+
+    request: (ctx) => {
+      if (requests && ctx.route !== 'local') {
+        log('info', `${ctx.req.method} ${ctx.req.url} ${ctx.statusCode || 0} `
+          + `received ${size(ctx.bytesReceived)} in ${seconds(ctx.duration)}`);
+      }
+    }
+  };
+
+  return {
+    name: 'connectionStatus',
+
+    describe() {
+      return `Connection Status: Enabled (tunnels${requests ? ', requests' : ''})`;
+    },
+
+    health(data) {
+      data.features.connectionStatus = { opened, active };
+      return data;
+    },
+
+    setup(core) {
+      ({ log } = core);
+      for (const [event, handler] of Object.entries(handlers)) {
+        core.events.on(event, handler);
+      }
+    },
+
+    teardown(core) {
+      for (const [event, handler] of Object.entries(handlers)) {
+        core.events.removeListener(event, handler);
+      }
+    }
+  };
+}
+
+module.exports = { connectionStatus };
@@ -0,0 +1,184 @@
+const dns = require('dns');
+const { Resolver } = dns.promises;
+const { createDnsCache } = require('../dns/dnsCache');
+const { queryDnsOverTls } = require('../dns/dnsOverTls');
+const { queryDnsOverHttps, loadDohProviders } = require('../dns/dnsOverHttps');
+const { resolveDualStack } = require('../net/happyEyeballs');
+const { lookupOutcome } = require('../dns/dnsPacket');
+
+const DEFAULT_SERVERS = [
+  '8.8.8.8', '8.8.4.4',       // Google DNS
+  '1.1.1.1', '1.0.0.1',       // Cloudflare DNS
+  '9.9.9.9',                  // Quad9
+  '208.67.222.222'            // OpenDNS
+];
+
+const DEFAULT_DOT_PROVIDERS = [
+  { host: '1.1.1.1', port: 853, servername: 'cloudflare-dns.com' }  // Cloudflare
+];
+
+// Answers that are authoritative - asking another provider won't change them
+const isDefinitive = err => err.code === 'ENOTFOUND' || err.code === 'ENODATA';
+
+const shuffle = list => [...list].sort(() => Math.random() - 0.5);
+
+// Custom DNS feature: system resolver with explicit servers, DoH and DoT,
+// tried in the configured order, cached by TTL and resolved for A and AAAA.
+//
+// options:
+//   servers        - nameservers for the system resolver
+//   order          - methods to try, any of 'system', 'doh', 'dot'
+//   dohProviders   - normalized provider list (defaults to src/data/dohProviders.json)
+//   dohRetries     - attempts per DoH provider
+//   dotProviders   - [{ host, port, servername }]
+//   shuffleProviders - try DoH/DoT providers in random order
+//   randomizeAddresses - hand out cached addresses in random order
+//   staticHosts    - { hostname: [ip, ...] } last-resort answers
+//   dohHeaders     - function returning extra headers for each DoH request
+//   cache          - options for createDnsCache
+function customDns(options = {}) {
+  const {
+    servers = DEFAULT_SERVERS,
+    order = ['system', 'doh', 'dot'],
+    dohProviders = loadDohProviders(),
+    dohRetries = 1,
+    dotProviders = DEFAULT_DOT_PROVIDERS,
+    shuffleProviders = false,
+    randomizeAddresses = false,
+    staticHosts = {},
+    dohHeaders = () => ({})
+  } = options;
+
+  const resolver = new Resolver();
+  resolver.setServers(servers);
+
+  // Cache resolved addresses for their TTL and share concurrent lookups
+  const cache = createDnsCache(options.cache);
+
+  let log = () => {};
+  let events = null;
+
+  // One 'dns' event per method tried, for metrics
+  const report = (hostname, method, family, err, startedAt) => {
+    if (events) {
+      events.emit('dns', { hostname, method, family, outcome: lookupOutcome(err), duration: Date.now() - startedAt });
+    }
+  };
+
+  async function systemLookup(hostname, family) {
+    const records = family === 6
+      ? await resolver.resolve6(hostname, { ttl: true })
+      : await resolver.resolve4(hostname, { ttl: true });
+    return {
+      addresses: records.map(r => r.address),
+      ttl: Math.min(...records.map(r => r.ttl))
+    };
+  }
+
+  async function dohLookup(hostname, family) {
+    const type = family === 6 ? 'AAAA' : 'A';
+    const providers = shuffleProviders ? shuffle(dohProviders) : dohProviders;
+
+    for (const provider of providers) {
+      for (let attempt = 1; attempt <= dohRetries; attempt++) {
+        try {
+          return await queryDnsOverHttps(provider, hostname, type, { headers: dohHeaders() });
+        } catch (err) {
+          if (isDefinitive(err)) {
+            throw err;
+          }
+          if (attempt === dohRetries) {
+            log('debug', `DoH provider ${provider.name} failed: ${err.message}`);
+          }
+        }
+      }
+    }
+    throw new Error('All DoH providers failed');
+  }
+
+  async function dotLookup(hostname, family) {
+    const providers = shuffleProviders ? shuffle(dotProviders) : dotProviders;
+
+    for (const provider of providers) {
+      try {
+        return await queryDnsOverTls({ timeout: 5000, ...provider }, hostname, family === 6 ? 'AAAA' : 'A');
+      } catch (err) {
+        log('debug', `DoT provider ${provider.host} failed: ${err.message}`);
+        if (isDefinitive(err)) {
+          throw err;
+        }
+      }
+    }
+    throw new Error('All DoT providers failed');
+  }
+
+  const methods = { system: systemLookup, doh: dohLookup, dot: dotLookup };
+
+  // Uncached lookup for one family - resolves with { addresses, ttl }
+  async function lookupHostname(hostname, family) {
+    let lastError;
+
+    for (const method of order) {
+      const startedAt = Date.now();
+      try {
+        const result = await methods[method](hostname, family);
+        report(hostname, method, family, null, startedAt);
+        return result;
+      } catch (err) {
+        report(hostname, method, family, err, startedAt);
+        lastError = err;
+        log('debug', `${method} resolution failed for ${hostname} (IPv${family}): ${err.message}`);
+        // NXDOMAIN or no records of this family: the next method would say the same
+        if (isDefinitive(err)) {
+          break;
+        }
+      }
+    }
+
+    // Last resort: hardcoded addresses for hosts whose DNS is commonly tampered with
+    const baseDomain = hostname.replace(/^www\./, '');
+    for (const domain of [hostname, baseDomain]) {
+      const fallback = (staticHosts[domain] || []).filter(ip => (ip.includes(':') ? 6 : 4) === family);
+      if (fallback.length > 0) {
+        log('info', `Using hardcoded IPs for ${hostname}`);
+        report(hostname, 'static', family, null, Date.now());
+        // No TTL from a resolver - let the cache apply its default
+        return { addresses: fallback, ttl: undefined };
+      }
+    }
+
+    throw lastError || new Error(`No resolution methods configured for ${hostname}`);
+  }
+
+  return {
+    name: 'customDns',
+
+    setup(core) {
+      ({ log, events } = core);
+    },
+
+    describe() {
+      return `Custom DNS: ${order.join(' -> ')} (${servers.length} servers, ${dohProviders.length} DoH providers)`;
+    },
+
+    async resolve(hostname, core) {
+      try {
+        return await resolveDualStack(hostname, async (name, family) => {
+          const addresses = await cache.lookup(name, h => lookupHostname(h, family), family);
+          return randomizeAddresses ? shuffle(addresses) : addresses;
+        }, core.addressFamily.preference);
+      } catch (err) {
+        log('error', `All DNS resolution methods failed for ${hostname}: ${err.message}`);
+        throw err;
+      }
+    },
+
+    health(data) {
+      data.dnsServers = resolver.getServers();
+      data.dnsCache = cache.stats();
+      return data;
+    }
+  };
+}
+
+module.exports = { customDns };
@@ -0,0 +1,41 @@
+const { createDestinationPolicy } = require('../net/destinationPolicy');
+
+// Destination ACL feature: every outbound target - HTTP requests, CONNECT,
+// SOCKS (TCP and UDP) and the WebSocket tunnel - goes through one allow/deny
+// policy. Names are checked before resolution and the resolved addresses
+// again before dialing, so private and metadata addresses stay out of reach
+// unless a rule allows them; blocked clients get a 403 (SOCKS: "not allowed").
+// Behind multi-hop the target is resolved by the upstream, so only its
+// hostname or IP literal is checked here.
+//
+// options:
+//   rules         - [{ action: 'allow' | 'deny', host, cidr, ports }], first match wins
+//   blockPrivate  - deny loopback, link-local and private ranges no rule allowed
+//   defaultAction - 'allow' or 'deny' for everything else
+function destinationAcl(options = {}) {
+  const policy = createDestinationPolicy(options);
+
+  return {
+    name: 'destinationAcl',
+
+    describe() {
+      const privateRanges = policy.blockPrivate ? 'private ranges blocked' : 'private ranges allowed';
+      return `Destination ACL: Enabled (${policy.rules.length} rules, ${privateRanges}, default ${policy.defaultAction})`;
+    },
+
+    health(data) {
+      data.features.destinationRules = policy.rules.length;
+      return data;
+    },
+
+    checkDestination(target, addresses) {
+      if (!addresses) {
+        policy.checkTarget(target);
+        return addresses;
+      }
+      return policy.filterAddresses(target, addresses);
+    }
+  };
+}
+
+module.exports = { destinationAcl };
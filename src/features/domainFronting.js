@@ -0,0 +1,50 @@
+const { matchesHostPattern } = require('../net/hostPattern');
+
+const pick = list => list[Math.floor(Math.random() * list.length)];
+
+// Domain fronting feature: outbound TLS to the origin presents a front
+// domain in SNI while the HTTP Host header keeps the real target.
+//
+// options:
+//   fronts        - [[host pattern, front host]] explicit mappings
+//   defaultFronts - random front used when no mapping matches
+//   sniNames      - random SNI used when there is neither a mapping nor a default front
+function domainFronting(options = {}) {
+  const { fronts = [], defaultFronts = [], sniNames = [] } = options;
+
+  // Get a fronting domain for a specific target
+  function getFrontingDomain(hostname) {
+    for (const [pattern, frontDomain] of fronts) {
+      if (matchesHostPattern(hostname, pattern)) {
+        return frontDomain;
+      }
+    }
+    if (defaultFronts.length > 0) {
+      return pick(defaultFronts);
+    }
+    if (sniNames.length > 0) {
+      return pick(sniNames);
+    }
+    return hostname;
+  }
+
+  return {
+    name: 'domainFronting',
+    getFrontingDomain,
+
+    describe() {
+      return `Domain Fronting: Enabled (${fronts.length} mappings, ${defaultFronts.length} default fronts)`;
+    },
+
+    health(data) {
+      data.features.sniSpoofing = sniNames.length > 0;
+      return data;
+    },
+
+    tlsOptions(hostname, tlsOptions) {
+      return { ...tlsOptions, servername: getFrontingDomain(hostname) };
+    }
+  };
+}
+
+module.exports = { domainFronting };
@@ -0,0 +1,180 @@
+const net = require('net');
+const { URL } = require('url');
+const { CIPHERS, createReplayGuard, deriveMasterKey, secureServer } = require('../transport/aeadStream');
+const { acceptSecureTunnel, handshakeDeadline } = require('../transport/secureTunnel');
+const { serveMuxTunnel } = require('../transport/muxTunnel');
+const { TUNNEL_PROTOCOLS, acceptWebSocket } = require('../transport/websocketStream');
+
+// Encrypted transport feature: tunnels from our own clients over an AEAD
+// stream (src/transport/aeadStream.js) instead of plaintext CONNECT. Clients
+// prove they hold the shared secret with their first record, so no proxy
+// credentials are exchanged. Offered on its own TCP port and, for clients
+// that can only get out over HTTP(S), on the WebSocket tunnel path with
+// ?transport=aead. Targets go through the same DNS, destination policy,
+// upstream chains and tunnel plumbing as CONNECT. ?transport=aead&mux=1 runs
+// a multiplexed session (src/transport/muxSession.js) inside the encrypted
+// stream instead of a single tunnel, as does the 'tunnel-mux.v1' subprotocol.
+//
+// options:
+//   secret           - shared secret (required)
+//   port             - TCP port for the raw listener (none when unset)
+//   host             - address to bind (all interfaces by default)
+//   ciphers          - accepted ciphers, 'aes-256-gcm' and/or 'chacha20-poly1305'
+//   replayWindow     - ms a hello's clock may be off; salts are remembered twice as long
+//   handshakeTimeout - ms allowed for the hello and the target
+//   websocketPath    - Upgrade path that accepts ?transport=aead (false = off)
+//   idleTimeout, maxStreams, keepAlive - for multiplexed sessions, see websocketTunnel.js
+function encryptedTransport(options = {}) {
+  const {
+    port,
+    host,
+    ciphers = Object.keys(CIPHERS),
+    replayWindow,
+    handshakeTimeout,
+    websocketPath = '/ws',
+    idleTimeout,
+    maxStreams,
+    keepAlive = 0
+  } = options;
+
+  ciphers.forEach((cipher) => {
+    if (!CIPHERS[cipher]) {
+      throw new Error(`encryptedTransport.ciphers: unsupported cipher "${cipher}"`);
+    }
+  });
+  if (!options.secret) {
+    throw new Error('encryptedTransport.secret: a shared secret is required');
+  }
+
+  const transport = {
+    masterKey: deriveMasterKey(options.secret),
+    replayGuard: createReplayGuard({ window: replayWindow }),
+    ciphers,
+    handshakeTimeout
+  };
+  let listener = null;
+  let listen = null;
+  let stop = null;
+
+  const accept = (core, socket, ctx) => {
+    socket.on('error', err => core.log('debug', `Encrypted transport connection error: ${err.message}`));
+    acceptSecureTunnel(core, socket, ctx, transport).catch((err) => {
+      core.log('error', `Encrypted transport error: ${err.message}`);
+      socket.destroy();
+    });
+  };
+
+  // Multiplexed session inside the encrypted stream; the client's first
+  // record (its first open) authenticates it, and the handshake deadline
+  // runs until it did
+  const acceptMux = async (core, socket, ctx) => {
+    socket.on('error', err => core.log('debug', `Encrypted transport connection error: ${err.message}`));
+    const done = handshakeDeadline(socket, handshakeTimeout);
+    let stream;
+    try {
+      stream = await secureServer(socket, transport);
+    } catch (err) {
+      done();
+      core.log('warn', `Encrypted transport handshake from ${socket.remoteAddress} failed: ${err.message}`);
+      socket.destroy();
+      return;
+    }
+    // The first record may have come in with the hello
+    if (stream.authenticated) {
+      done();
+    } else {
+      stream.once('authenticated', done);
+      stream.once('close', done);
+    }
+    serveMuxTunnel(core, stream, ctx, { type: 'websocket-encrypted-mux', idleTimeout, maxStreams, keepAlive });
+  };
+
+  return {
+    name: 'encryptedTransport',
+
+    describe() {
+      const carriers = [port && `port ${port}`, websocketPath && `${websocketPath}?transport=aead`].filter(Boolean);
+      return `Encrypted Transport: Enabled (${carriers.join(', ')}; ${ciphers.join(', ')})`;
+    },
+
+    health(data) {
+      data.features.encryptedTransport = {
+        port: port ? Number(port) : null,
+        websocket: Boolean(websocketPath),
+        ciphers
+      };
+      return data;
+    },
+
+    setup(core) {
+      if (!port) {
+        return;
+      }
+      listener = net.createServer(socket => accept(core, socket, { type: 'encrypted', user: null }));
+      listener.on('error', err => core.log('error', `Encrypted transport listener error: ${err.message}`));
+      listen = () => {
+        listener.listen(port, host, () => {
+          core.log('info', `Encrypted transport listening on port ${port}`);
+        });
+      };
+      stop = () => listener.close();
+
+      // Runs alongside the HTTP listener, like the SOCKS one
+      if (core.server.listening) {
+        listen();
+      } else {
+        core.server.once('listening', listen);
+      }
+      core.server.once('close', stop);
+    },
+
+    drain() {
+      if (listener && listener.listening) {
+        listener.close();
+      }
+    },
+
+    teardown(core) {
+      if (!listener) {
+        return;
+      }
+      core.server.removeListener('listening', listen);
+      core.server.removeListener('close', stop);
+      if (listener.listening) {
+        listener.close();
+      }
+    },
+
+    // WebSocket carrier: the encrypted stream rides the binary messages
+    upgrade(ctx, socket, head, core) {
+      if (!websocketPath || !ctx.req.url.startsWith(websocketPath)) {
+        return false;
+      }
+      const url = new URL(ctx.req.url, 'http://localhost');
+      if (url.searchParams.get('transport') !== 'aead') {
+        return false;
+      }
+      socket.on('error', err => core.log('debug', `Encrypted transport connection error: ${err.message}`));
+      acceptWebSocket(ctx.req, socket, head, {
+        protocols: [TUNNEL_PROTOCOLS.stream, TUNNEL_PROTOCOLS.mux],
+        closeReason: () => ctx.closeReason
+      }).then((stream) => {
+        if (!stream) {
+          return null;
+        }
+        if (stream.protocol === TUNNEL_PROTOCOLS.mux || (!stream.protocol && url.searchParams.has('mux'))) {
+          return acceptMux(core, stream, ctx);
+        }
+        ctx.type = 'websocket-encrypted';
+        accept(core, stream, ctx);
+        return null;
+      }).catch((err) => {
+        core.log('error', `Encrypted transport error: ${err.message}`);
+        socket.destroy();
+      });
+      return true;
+    }
+  };
+}
+
+module.exports = { encryptedTransport };
@@ -0,0 +1,265 @@
+const { safeEqual } = require('../auth/credentials');
+const { findHostPattern } = require('../net/hostPattern');
+const { createSubnetMatcher } = require('../net/destinationPolicy');
+const { stripHopByHop } = require('../net/forwardingHeaders');
+const { harEntry, harLog } = require('../logging/harFormat');
+
+// HAR recorder feature: keeps the proxied HTTP exchanges of the selected
+// clients and hosts - request and response headers, timings and, when
+// bodies is on, the bodies up to maxBodySize each - and serves them as a
+// HAR 1.2 file that browser devtools import directly. Requests on
+// intercepted TLS connections (tlsInterception) are recorded like plain ones;
+// tunnels are not, their bytes are opaque.
+//
+// An exchange is recorded when its client address is in clients or its host
+// matches hosts. Both start from the config and change at runtime:
+//
+//   GET    <path>                          the recording as a .har download
+//                                          (?client=<address> / ?host=<pattern> narrow it)
+//   DELETE <path>                          forget what was recorded
+//   GET    <path>/selection                { clients, hosts } being recorded
+//   POST   <path>/selection?client=<cidr>  start recording a client (or ?host=<pattern>)
+//   DELETE <path>/selection?client=<cidr>  ...and stop
+//
+// The recording holds whatever went through, cookies and credentials
+// included: without a token the endpoints only answer loopback clients.
+//
+// options:
+//   clients     - client addresses or CIDRs to record
+//   hosts       - host patterns to record ('api.example.com', '*.example.com')
+//   bodies      - also record request and response bodies
+//   maxBodySize - bytes kept of each body; the rest is counted, not kept
+//   maxEntries  - exchanges kept, oldest dropped first
+//   maxSize     - bytes of bodies kept across all exchanges, oldest dropped first
+//   path        - local endpoint serving the recording
+//   token       - require "Authorization: Bearer <token>" on the endpoints
+function harRecorder(options = {}) {
+  const {
+    bodies = false,
+    maxBodySize = 65536,
+    maxEntries = 1000,
+    maxSize = 33554432,
+    path = '/har',
+    token
+  } = options;
+
+  // Selection, rebuilt whenever the endpoint changes it
+  const selection = { clients: [...(options.clients || [])], hosts: [...(options.hosts || [])] };
+  let clientSelected = createSubnetMatcher(selection.clients, 'harRecorder.clients');
+
+  // ctx -> exchange being recorded
+  const recording = new WeakMap();
+  const exchanges = [];
+  let bodyBytes = 0;
+
+  const selected = ctx => clientSelected(ctx.clientAddress) || Boolean(findHostPattern(ctx.hostname, selection.hosts));
+
+  const newBody = () => ({ chunks: [], kept: 0, size: 0 });
+
+  function collect(body, chunk) {
+    body.size += chunk.length;
+    if (body.kept < maxBodySize) {
+      const part = chunk.subarray(0, maxBodySize - body.kept);
+      body.chunks.push(part);
+      body.kept += part.length;
+    }
+  }
+
+  // The client's raw headers minus the hop-by-hop ones, so this proxy's own
+  // Proxy-Authorization never ends up in a recording
+  function forwardedRawHeaders(req) {
+    const kept = new Set(Object.keys(stripHopByHop(req.headers)));
+    const rawHeaders = [];
+    for (let i = 0; i < req.rawHeaders.length; i += 2) {
+      if (kept.has(req.rawHeaders[i].toLowerCase())) {
+        rawHeaders.push(req.rawHeaders[i], req.rawHeaders[i + 1]);
+      }
+    }
+    return rawHeaders;
+  }
+
+  const finishBody = body => (body ? { data: Buffer.concat(body.chunks), size: body.size, truncated: body.size > body.kept } : null);
+  const keptBytes = exchange => [exchange.requestBody, exchange.responseBody]
+    .reduce((sum, body) => sum + (body ? body.data.length : 0), 0);
+
+  function store(exchange) {
+    exchanges.push(exchange);
+    bodyBytes += keptBytes(exchange);
+    while (exchanges.length > maxEntries || (bodyBytes > maxSize && exchanges.length > 1)) {
+      bodyBytes -= keptBytes(exchanges.shift());
+    }
+  }
+
+  // core.events listeners, kept so a reload can detach them
+  const handlers = {
+    'request:send': (ctx) => {
+      const exchange = recording.get(ctx);
+      if (!exchange) {
+        return;
+      }
+      exchange.sentAt = Date.now();
+      if (exchange.requestBody) {
+        ctx.req.on('data', chunk => collect(exchange.requestBody, chunk));
+      }
+    },
+
+    'request:response': (ctx, response) => {
+      const exchange = recording.get(ctx);
+      if (!exchange) {
+        return;
+      }
+      Object.assign(exchange, { respondedAt: Date.now(), statusCode: response.statusCode, responseHeaders: response.headers });
+      if (bodies) {
+        exchange.responseBody = newBody();
+        response.body.on('data', chunk => collect(exchange.responseBody, chunk));
+      }
+    },
+
+    request: (ctx) => {
+      const exchange = recording.get(ctx);
+      if (!exchange) {
+        return;
+      }
+      recording.delete(ctx);
+      store({
+        ...exchange,
+        finishedAt: Date.now(),
+        statusCode: ctx.statusCode,
+        bytesSent: ctx.bytesSent,
+        bytesReceived: ctx.bytesReceived,
+        requestBody: finishBody(exchange.requestBody),
+        responseBody: finishBody(exchange.responseBody)
+      });
+    }
+  };
+
+  function authorized(req) {
+    if (token) {
+      return safeEqual(req.headers.authorization || '', `Bearer ${token}`);
+    }
+    return ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(req.socket.remoteAddress);
+  }
+
+  function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data, null, 2));
+  }
+
+  function download(res, params) {
+    const client = params.get('client');
+    const host = params.get('host');
+    const chosen = exchanges.filter(exchange => (!client || exchange.clientAddress === client || exchange.clientAddress === `::ffff:${client}`)
+      && (!host || findHostPattern(exchange.hostname, [host])));
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*/, '');
+    res.writeHead(200, {
+      'Content-Type': 'application/json',
+      'Content-Disposition': `attachment; filename="proxy-${stamp}.har"`,
+      'Cache-Control': 'no-store'
+    });
+    res.end(JSON.stringify(harLog(chosen.map(harEntry))));
+  }
+
+  function changeSelection(req, res, params, core) {
+    const client = params.get('client');
+    const host = params.get('host');
+    if (!client && !host) {
+      sendJson(res, 400, { error: 'client or host required' });
+      return;
+    }
+    const next = {
+      clients: selection.clients.filter(entry => entry !== client),
+      hosts: selection.hosts.filter(entry => entry !== host)
+    };
+    if (req.method === 'POST') {
+      next.clients.push(...(client ? [client] : []));
+      next.hosts.push(...(host ? [host] : []));
+    }
+    try {
+      clientSelected = createSubnetMatcher(next.clients, 'client');
+    } catch (err) {
+      sendJson(res, 400, { error: err.message });
+      return;
+    }
+    Object.assign(selection, next);
+    const action = req.method === 'POST' ? 'Recording' : 'Stopped recording';
+    core.log('info', `HAR: ${action} ${[client && `client ${client}`, host && `host ${host}`].filter(Boolean).join(' and ')}`);
+    sendJson(res, 200, selection);
+  }
+
+  return {
+    name: 'harRecorder',
+
+    describe() {
+      const who = [...selection.clients, ...selection.hosts].join(', ') || 'nothing selected yet';
+      return `HAR Recorder: Enabled (${who}; ${bodies ? `bodies up to ${maxBodySize} bytes` : 'headers only'}; at ${path}${token ? ', token required' : ''})`;
+    },
+
+    health(data) {
+      data.features.harRecorder = { ...selection, entries: exchanges.length, bodies };
+      return data;
+    },
+
+    setup(core) {
+      for (const [event, handler] of Object.entries(handlers)) {
+        core.events.on(event, handler);
+      }
+    },
+
+    teardown(core) {
+      for (const [event, handler] of Object.entries(handlers)) {
+        core.events.removeListener(event, handler);
+      }
+    },
+
+    beforeRequest(ctx) {
+      if (!selected(ctx)) {
+        return;
+      }
+      recording.set(ctx, {
+        startedAt: ctx.startedAt,
+        clientAddress: ctx.clientAddress,
+        user: ctx.user,
+        route: ctx.route,
+        hostname: ctx.hostname,
+        method: ctx.req.method,
+        url: ctx.url.href,
+        httpVersion: ctx.req.httpVersion,
+        requestHeaders: forwardedRawHeaders(ctx.req),
+        requestBody: bodies ? newBody() : null,
+        responseBody: null
+      });
+    },
+
+    handleRequest(req, res, core) {
+      const [requestPath, query = ''] = req.url.split('?');
+      if (requestPath !== path && requestPath !== `${path}/selection`) {
+        return false;
+      }
+      if (!authorized(req)) {
+        res.writeHead(401, { 'WWW-Authenticate': 'Bearer', 'Content-Type': 'text/plain' });
+        res.end('Unauthorized');
+        return true;
+      }
+
+      const params = new URLSearchParams(query);
+      if (requestPath === path && req.method === 'GET') {
+        download(res, params);
+      } else if (requestPath === path && req.method === 'DELETE') {
+        const cleared = exchanges.length;
+        exchanges.length = 0;
+        bodyBytes = 0;
+        sendJson(res, 200, { cleared });
+      } else if (requestPath !== path && req.method === 'GET') {
+        sendJson(res, 200, selection);
+      } else if (requestPath !== path && (req.method === 'POST' || req.method === 'DELETE')) {
+        changeSelection(req, res, params, core);
+      } else {
+        res.writeHead(405, { Allow: requestPath === path ? 'GET, DELETE' : 'GET, POST, DELETE', 'Content-Type': 'text/plain' });
+        res.end('Method Not Allowed');
+      }
+      return true;
+    }
+  };
+}
+
+module.exports = { harRecorder };
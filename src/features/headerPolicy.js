@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const browserProfiles = require('../data/browserProfiles.json');
+const { findHostPattern } = require('../net/hostPattern');
+const { applyRequestPolicy, applyResponsePolicy, checkPolicy } = require('../net/forwardingHeaders');
+
+const pick = list => list[Math.floor(Math.random() * list.length)];
+
+const randomIp = () => Array.from({ length: 4 }, () => Math.floor(Math.random() * 256)).join('.');
+
+// Traffic obfuscation - adds realistic browser headers and noise to upstream requests
+//   level 1: request id + no-cache
+//   level 2: full browser header set (accept, sec-ch-ua, sec-fetch-*)
+//   level 3: random subset of extra headers and shuffled header order
+function obfuscateHeaders(headers, level) {
+  const obfuscatedHeaders = { ...headers };
+
+  if (level >= 1) {
+    obfuscatedHeaders['x-request-id'] = crypto.randomBytes(16).toString('hex');
+    obfuscatedHeaders['cache-control'] = 'no-cache, no-store, must-revalidate';
+  }
+
+  if (level >= 2) {
+    obfuscatedHeaders['accept'] = 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7';
+    obfuscatedHeaders['accept-encoding'] = 'gzip, deflate, br';
+    obfuscatedHeaders['accept-language'] = pick(['en-US,en;q=0.9', 'en-GB,en;q=0.8,fr;q=0.6', 'en-US,en;q=0.9,es;q=0.8,de;q=0.7']);
+    obfuscatedHeaders['sec-ch-ua'] = '"Not/A)Brand";v="99", "Google Chrome";v="115", "Chromium";v="115"';
+    obfuscatedHeaders['sec-ch-ua-mobile'] = '?0';
+    obfuscatedHeaders['sec-ch-ua-platform'] = pick(['Windows', 'macOS', 'Linux']);
+    obfuscatedHeaders['sec-fetch-dest'] = pick(['document', 'image', 'style', 'script']);
+    obfuscatedHeaders['sec-fetch-mode'] = pick(['navigate', 'cors', 'no-cors']);
+    obfuscatedHeaders['sec-fetch-site'] = pick(['none', 'same-origin', 'same-site', 'cross-site']);
+    obfuscatedHeaders['sec-fetch-user'] = '?1';
+  }
+
+  if (level >= 3) {
+    const possibleHeaders = {
+      'x-forwarded-for': randomIp(),
+      'x-real-ip': randomIp(),
+      'x-forwarded-proto': 'https',
+      'x-requested-with': 'XMLHttpRequest',
+      'dnt': pick(['0', '1']),
+      'upgrade-insecure-requests': '1'
+    };
+
+    // Add random subset of these headers (70% chance each)
+    Object.keys(possibleHeaders).forEach(header => {
+      if (Math.random() > 0.3) {
+        obfuscatedHeaders[header] = possibleHeaders[header];
+      }
+    });
+
+    // Randomize header order by recreating the headers object
+    const randomizedHeaders = {};
+    Object.keys(obfuscatedHeaders).sort(() => Math.random() - 0.5).forEach(header => {
+      randomizedHeaders[header] = obfuscatedHeaders[header];
+    });
+    return randomizedHeaders;
+  }
+
+  return obfuscatedHeaders;
+}
+
+// Header policy feature: what is stripped, rewritten or added on the way
+// upstream and on the way back to the client. The core has already removed
+// hop-by-hop headers; the named policy (see net/forwardingHeaders.js) decides
+// whether the origin sees the proxy, per listener with per-destination
+// overrides. User-Agent rotation and obfuscation only apply under
+// 'anonymous' - 'transparent' and 'passthrough' forward what the client sent.
+//
+// options:
+//   policy           - 'anonymous' (default), 'transparent' or 'passthrough'
+//   rules            - [{ host: '*.example.com' or [...], policy }], first match
+//                      overrides policy for that destination
+//   pseudonym        - name this proxy uses in Via (transparent)
+//   strip            - extra request headers removed before forwarding
+//   rotateUserAgent  - replace User-Agent/Accept-Language with a random browser profile
+//   obfuscationLevel - 0 (off) to 3, see obfuscateHeaders
+//   stripResponse    - response headers removed before returning to the client
+//   noStore          - force no-store caching headers on responses from these
+//                      hosts (['*.example.com', ...]; true = every host)
+//   securityHeaders  - add CSP / nosniff / frame-options to every response
+function headerPolicy(options = {}) {
+  const {
+    policy = 'anonymous',
+    rules = [],
+    pseudonym = 'proxy',
+    strip = [],
+    rotateUserAgent = false,
+    obfuscationLevel = 0,
+    stripResponse = [],
+    noStore = [],
+    securityHeaders = false
+  } = options;
+
+  checkPolicy(policy, 'headerPolicy.policy');
+  const destinationRules = rules.map((rule, i) => {
+    const where = `headerPolicy.rules[${i}]`;
+    if (!rule || rule.host === undefined) {
+      throw new Error(`${where}: host is required`);
+    }
+    return { hosts: [].concat(rule.host), policy: checkPolicy(rule.policy, `${where}.policy`) };
+  });
+
+  const policyFor = (hostname) => {
+    const rule = destinationRules.find(candidate => findHostPattern(hostname, candidate.hosts) !== null);
+    return rule ? rule.policy : policy;
+  };
+
+  const forceNoStore = hostname => (noStore === true || (Array.isArray(noStore) && findHostPattern(hostname, noStore) !== null));
+
+  return {
+    name: 'headerPolicy',
+
+    describe() {
+      const overrides = destinationRules.length > 0 ? ` (${destinationRules.length} destination rules)` : '';
+      const obfuscation = obfuscationLevel > 0 ? `Enabled (Level ${obfuscationLevel})` : 'Disabled';
+      return `Header Policy: ${policy}${overrides}, Traffic Obfuscation: ${obfuscation}`;
+    },
+
+    health(data) {
+      data.features.headerPolicy = policy;
+      data.features.obfuscation = obfuscationLevel > 0;
+      data.features.obfuscationLevel = obfuscationLevel;
+      data.features.rotateUserAgent = rotateUserAgent;
+      return data;
+    },
+
+    requestHeaders(ctx, headers) {
+      const chosen = policyFor(ctx.hostname);
+      strip.forEach(h => delete headers[h]);
+
+      applyRequestPolicy(chosen, headers, {
+        clientAddress: ctx.clientAddress,
+        host: ctx.url.host,
+        proto: ctx.url.protocol.replace(/:$/, ''),
+        httpVersion: ctx.req.httpVersion,
+        pseudonym
+      });
+      if (chosen !== 'anonymous') {
+        return headers;
+      }
+
+      if (rotateUserAgent) {
+        const profile = pick(browserProfiles);
+        headers['user-agent'] = profile.userAgent;
+        headers['accept-language'] = profile.acceptLanguage;
+      }
+
+      return obfuscationLevel > 0 ? obfuscateHeaders(headers, obfuscationLevel) : headers;
+    },
+
+    responseHeaders(ctx, headers) {
+      stripResponse.forEach(h => delete headers[h]);
+      applyResponsePolicy(policyFor(ctx.hostname), headers, { httpVersion: '1.1', pseudonym });
+
+      if (forceNoStore(ctx.hostname)) {
+        headers['cache-control'] = 'no-store, no-cache, must-revalidate';
+        headers['pragma'] = 'no-cache';
+        headers['expires'] = '0';
+      }
+
+      if (securityHeaders) {
+        headers['content-security-policy'] = "default-src 'self'";
+        headers['x-content-type-options'] = 'nosniff';
+        headers['x-frame-options'] = 'SAMEORIGIN';
+      }
+
+      return headers;
+    }
+  };
+}
+
+module.exports = { headerPolicy };
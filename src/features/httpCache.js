@@ -0,0 +1,268 @@
+const { Readable, Transform, pipeline } = require('stream');
+const { createCacheStore } = require('../cache/cacheStore');
+const {
+  currentAge,
+  mergeNotModified,
+  notModifiedFor,
+  requestDirectives,
+  selectAction,
+  uncacheableReason,
+  validatorHeaders,
+  varyNames,
+  varyValues
+} = require('../cache/cachePolicy');
+const { safeEqual } = require('../auth/credentials');
+const { stripHopByHop } = require('../net/forwardingHeaders');
+
+// Headers a 304 to the client leaves out (RFC 9110 15.4.5)
+const NOT_MODIFIED_OMITS = ['content-length', 'content-encoding', 'content-range', 'content-type'];
+
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'TRACE']);
+
+const megabytes = bytes => `${Math.round(bytes / 1024 / 1024)} MB`;
+
+// HTTP cache feature: a shared RFC 9111 cache for plain-HTTP GET/HEAD
+// responses relayed by the proxy (HTTPS inside CONNECT tunnels is never
+// seen). Honours Cache-Control, Expires, Vary and revalidates stale entries
+// with ETag / Last-Modified; unsafe methods invalidate their URL. Responses
+// carry a Cache-Status header (RFC 9211) and /health reports the tiers.
+//
+// POST or DELETE <purgePath>[?url=<absolute url> | ?host=<host pattern>]
+// drops one URL, one host ('*.example.com' for subdomains) or everything.
+// Without a token only loopback clients may purge.
+//
+// options:
+//   memory    - { maxSize, maxEntrySize } in bytes for the memory tier
+//   disk      - { enabled, dir, maxSize, maxEntrySize } for the disk tier
+//   purgePath - local endpoint for purging
+//   token     - require "Authorization: Bearer <token>" to purge
+//   name      - cache name in Cache-Status
+function httpCache(options = {}) {
+  const { purgePath = '/cache/purge', token, name = 'proxy' } = options;
+  let log = () => {};
+  const store = createCacheStore({
+    memory: options.memory,
+    disk: options.disk,
+    onError: err => log('error', `HTTP cache: ${err.message}`)
+  });
+
+  const cacheStatus = detail => `${name}; ${detail}`;
+
+  // A stored entry as the response to this request
+  function fromEntry(ctx, entry, detail) {
+    const body = ctx.req.method === 'HEAD' ? Readable.from([]) : store.body(entry);
+    if (!body) {
+      return null;
+    }
+    const headers = {
+      ...entry.headers,
+      age: String(currentAge(entry)),
+      'cache-status': cacheStatus(detail)
+    };
+    if (entry.statusCode === 200 && notModifiedFor(ctx.req.headers, entry)) {
+      body.destroy();
+      NOT_MODIFIED_OMITS.forEach(header => delete headers[header]);
+      return { statusCode: 304, headers, body: Readable.from([]) };
+    }
+    headers['content-length'] = String(entry.size);
+    return { statusCode: entry.statusCode, headers, body };
+  }
+
+  // Pass an upstream response on, storing a copy when RFC 9111 allows it
+  function storeResponse(ctx, url, response, requestTime, detail) {
+    const responseTime = Date.now();
+    const reason = uncacheableReason(ctx.req.method, ctx.req.headers, response.statusCode, response.headers);
+    if (reason) {
+      response.headers['cache-status'] = cacheStatus(`${detail}; detail=${reason}`);
+      return response;
+    }
+
+    response.headers['cache-status'] = cacheStatus(`${detail}; stored`);
+    const capture = store.capture();
+    const upstream = response.body;
+    const expectedSize = response.headers['content-length'] !== undefined ? Number(response.headers['content-length']) : null;
+    let size = 0;
+
+    // Copies chunks as the client consumes them, so backpressure still reaches the origin
+    const body = new Transform({
+      transform(chunk, encoding, callback) {
+        size += chunk.length;
+        capture.write(chunk);
+        callback(null, chunk);
+      },
+      flush(callback) {
+        // Only complete bodies are kept
+        if (upstream.complete === false || (expectedSize !== null && size !== expectedSize)) {
+          capture.abort();
+        }
+        capture.finish().then((captured) => {
+          if (captured) {
+            store.put({
+              url,
+              vary: varyValues(varyNames(response.headers), ctx.req.headers),
+              statusCode: response.statusCode,
+              // Hop-by-hop headers are never stored
+              headers: stripHopByHop(response.headers),
+              requestTime,
+              responseTime
+            }, captured);
+          }
+        }, err => log('error', `HTTP cache: ${err.message}`));
+        callback();
+      }
+    });
+    // Upstream errors reach the client through body; a client that leaves tears down upstream
+    pipeline(upstream, body, (err) => {
+      if (err) {
+        capture.abort();
+      }
+    });
+    return { ...response, body };
+  }
+
+  // Unsafe methods invalidate the URL and same-origin Location / Content-Location (RFC 9111 4.4)
+  function invalidateAfter(ctx, response) {
+    if (response.statusCode >= 400) {
+      return;
+    }
+    const urls = [ctx.url.href];
+    for (const header of ['location', 'content-location']) {
+      if (response.headers[header]) {
+        try {
+          const target = new URL(response.headers[header], ctx.url);
+          if (target.origin === ctx.url.origin) {
+            urls.push(target.href);
+          }
+        } catch (err) {
+          // Not a URL, nothing to invalidate
+        }
+      }
+    }
+    urls.forEach(url => store.invalidate(url));
+  }
+
+  function authorized(req) {
+    if (token) {
+      return safeEqual(req.headers.authorization || '', `Bearer ${token}`);
+    }
+    return ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(req.socket.remoteAddress);
+  }
+
+  return {
+    name: 'httpCache',
+
+    describe() {
+      const tiers = [`memory ${megabytes(store.memory.maxSize)}`];
+      if (store.disk.enabled) {
+        tiers.push(`disk ${megabytes(store.disk.maxSize)} in ${store.disk.dir}`);
+      }
+      return `HTTP Cache: Enabled (${tiers.join(', ')}; purge at ${purgePath}${token ? ', token required' : ', loopback only'})`;
+    },
+
+    health(data) {
+      data.features.httpCache = store.stats();
+      return data;
+    },
+
+    setup(core) {
+      ({ log } = core);
+      store.load().catch(err => log('error', `HTTP cache: unable to load ${store.disk.dir}: ${err.message}`));
+    },
+
+    async fetchResponse(ctx, headers, next) {
+      const { method } = ctx.req;
+      if (method !== 'GET' && method !== 'HEAD') {
+        const response = await next(headers);
+        if (!SAFE_METHODS.has(method)) {
+          invalidateAfter(ctx, response);
+        }
+        return response;
+      }
+      // Ranges are passed through rather than cut from stored bodies
+      if (headers.range) {
+        return next(headers);
+      }
+
+      // GET and HEAD share entries. Vary compares the client's headers: the
+      // ones sent upstream may be rewritten per request (header obfuscation
+      // picks a new Accept-Language every time) and would never match again.
+      const url = ctx.url.href;
+      const entry = store.find(url, ctx.req.headers);
+      if (entry && selectAction(entry, ctx.req.headers) === 'fresh') {
+        const response = fromEntry(ctx, entry, 'hit');
+        if (response) {
+          ctx.route = 'cache';
+          return response;
+        }
+      }
+
+      if (requestDirectives(ctx.req.headers)['only-if-cached']) {
+        ctx.route = 'cache';
+        return {
+          statusCode: 504,
+          headers: { 'content-type': 'text/plain', 'cache-status': cacheStatus('fwd=miss; detail=only-if-cached') },
+          body: Readable.from(['Not in cache'])
+        };
+      }
+
+      const requestTime = Date.now();
+      if (!entry) {
+        return storeResponse(ctx, url, await next(headers), requestTime, 'fwd=miss');
+      }
+
+      // Stale (or no-cache): revalidate with the stored validators instead of the client's
+      const conditional = { ...headers };
+      delete conditional['if-none-match'];
+      delete conditional['if-modified-since'];
+      const response = await next({ ...conditional, ...validatorHeaders(entry) });
+      if (response.statusCode !== 304) {
+        return storeResponse(ctx, url, response, requestTime, `fwd=stale; fwd-status=${response.statusCode}`);
+      }
+      response.body.resume();
+      store.update(entry, {
+        headers: stripHopByHop(mergeNotModified(entry.headers, response.headers)),
+        requestTime,
+        responseTime: Date.now()
+      });
+      return fromEntry(ctx, entry, 'fwd=stale; fwd-status=304')
+        || storeResponse(ctx, url, await next(headers), Date.now(), 'fwd=miss');
+    },
+
+    handleRequest(req, res) {
+      const [path, query = ''] = req.url.split('?');
+      if (path !== purgePath) {
+        return false;
+      }
+
+      if (!authorized(req)) {
+        res.writeHead(401, { 'WWW-Authenticate': 'Bearer', 'Content-Type': 'text/plain' });
+        res.end('Unauthorized');
+        return true;
+      }
+      if (req.method !== 'POST' && req.method !== 'DELETE') {
+        res.writeHead(405, { Allow: 'POST, DELETE', 'Content-Type': 'text/plain' });
+        res.end('Method Not Allowed');
+        return true;
+      }
+
+      const params = new URLSearchParams(query);
+      let url;
+      if (params.has('url')) {
+        try {
+          url = new URL(params.get('url')).href;
+        } catch (err) {
+          res.writeHead(400, { 'Content-Type': 'text/plain' });
+          res.end(`Invalid url: ${err.message}`);
+          return true;
+        }
+      }
+      const purged = store.purge({ url, host: params.get('host') || undefined });
+      log('info', `HTTP cache purged ${purged} entries${url ? ` for ${url}` : ''}${params.get('host') ? ` for host ${params.get('host')}` : ''}`);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ purged, ...store.stats() }));
+      return true;
+    }
+  };
+}
+
+module.exports = { httpCache };
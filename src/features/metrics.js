@@ -0,0 +1,108 @@
+const { createRegistry, CONTENT_TYPE } = require('../metrics/registry');
+const { safeEqual } = require('../auth/credentials');
+
+const statusClass = ctx => (ctx.res.headersSent ? `${Math.floor(ctx.statusCode / 100)}xx` : 'aborted');
+const seconds = ms => ms / 1000;
+
+// Metrics feature: Prometheus text endpoint fed from core.events - HTTP
+// requests, tunnels, relayed bytes, resolver lookups and upstream latency.
+//
+// options:
+//   path    - endpoint path
+//   token   - require "Authorization: Bearer <token>" to scrape
+//   buckets - histogram buckets in seconds
+function metrics(options = {}) {
+  const { path = '/metrics', token, buckets } = options;
+  const registry = createRegistry();
+
+  const requests = registry.counter('proxy_http_requests_total',
+    'HTTP requests by method, status class and route (local, direct, upstream, cache)', ['method', 'status_class', 'route']);
+  const tunnelsOpened = registry.counter('proxy_tunnels_opened_total',
+    'Tunnels opened by type (connect, socks5, socks4, websocket)', ['type']);
+  const tunnelsClosed = registry.counter('proxy_tunnels_closed_total',
+    'Tunnels closed by type', ['type']);
+  const tunnelsActive = registry.gauge('proxy_tunnels_active',
+    'Tunnels currently open by type', ['type']);
+  const transferred = registry.counter('proxy_transferred_bytes_total',
+    'Bytes relayed by direction (upstream = client to target, downstream = target to client) and kind (http, tunnel)',
+    ['direction', 'kind']);
+  const dnsLookups = registry.counter('proxy_dns_lookups_total',
+    'Resolver lookups by method (system, doh, dot, static) and outcome', ['method', 'outcome']);
+  const dnsDuration = registry.histogram('proxy_dns_lookup_duration_seconds',
+    'Resolver lookup latency by method', ['method'], buckets);
+  const connectDuration = registry.histogram('proxy_upstream_connect_duration_seconds',
+    'Time to open an outbound connection by route (direct, upstream) and outcome', ['route', 'outcome'], buckets);
+  const ttfb = registry.histogram('proxy_upstream_ttfb_seconds',
+    'Time from sending a request upstream to receiving its response headers', ['route'], buckets);
+
+  // core.events listeners, kept so a reload can detach them
+  const handlers = {
+    request(ctx) {
+      requests.inc({ method: ctx.method, status_class: statusClass(ctx), route: ctx.route });
+      transferred.inc({ direction: 'upstream', kind: 'http' }, ctx.bytesSent);
+      transferred.inc({ direction: 'downstream', kind: 'http' }, ctx.bytesReceived);
+      if (ctx.ttfb !== null) {
+        ttfb.observe({ route: ctx.route }, seconds(ctx.ttfb));
+      }
+    },
+
+    'tunnel:open'(ctx) {
+      tunnelsOpened.inc({ type: ctx.type });
+      tunnelsActive.inc({ type: ctx.type });
+    },
+
+    'tunnel:close'(ctx) {
+      tunnelsClosed.inc({ type: ctx.type });
+      tunnelsActive.dec({ type: ctx.type });
+      transferred.inc({ direction: 'upstream', kind: 'tunnel' }, ctx.bytesSent);
+      transferred.inc({ direction: 'downstream', kind: 'tunnel' }, ctx.bytesReceived);
+    },
+
+    connect(info) {
+      connectDuration.observe({ route: info.route, outcome: info.error ? 'error' : 'success' }, seconds(info.duration));
+    },
+
+    dns(info) {
+      dnsLookups.inc({ method: info.method, outcome: info.outcome });
+      dnsDuration.observe({ method: info.method }, seconds(info.duration));
+    }
+  };
+
+  return {
+    name: 'metrics',
+
+    describe() {
+      return `Metrics: Enabled (${path}${token ? ', token required' : ''})`;
+    },
+
+    setup(core) {
+      for (const [event, handler] of Object.entries(handlers)) {
+        core.events.on(event, handler);
+      }
+    },
+
+    teardown(core) {
+      for (const [event, handler] of Object.entries(handlers)) {
+        core.events.removeListener(event, handler);
+      }
+    },
+
+    handleRequest(req, res) {
+      if (req.url.split('?')[0] !== path) {
+        return false;
+      }
+
+      if (token && !safeEqual(req.headers.authorization || '', `Bearer ${token}`)) {
+        res.writeHead(401, { 'WWW-Authenticate': 'Bearer', 'Content-Type': 'text/plain' });
+        res.end('Unauthorized');
+        return true;
+      }
+
+      res.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+      res.end(registry.render());
+      return true;
+    }
+  };
+}
+
+module.exports = { metrics };
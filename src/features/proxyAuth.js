@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const { URL } = require('url');
+const {
+  DIGEST_ALGORITHMS,
+  safeEqual,
+  verifyPassword,
+  digestHash,
+  hashPassword,
+  loadCredentials
+} = require('../auth/credentials');
+
+const SCHEMES = ['digest', 'basic'];
+
+// Parse the auth-params of a Digest header (RFC 7616 section 3.4)
+function parseAuthParams(input) {
+  const params = {};
+  const pattern = /([a-z0-9_-]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^\s,]*))/gi;
+  let match;
+  while ((match = pattern.exec(input)) !== null) {
+    params[match[1].toLowerCase()] = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3];
+  }
+  return params;
+}
+
+// Path and query of an absolute-form request target
+function originForm(target) {
+  try {
+    const url = new URL(target);
+    return url.pathname + url.search;
+  } catch (err) {
+    return target;
+  }
+}
+
+// Proxy authentication feature: every proxied request, CONNECT and upgrade
+// must carry valid Proxy-Authorization (Basic or Digest) credentials for a
+// user in the credentials file, or it is answered with 407 and challenges.
+// Listeners without HTTP headers (SOCKS) check passwords via verifyCredentials.
+//
+// options:
+//   file        - credentials file, see src/auth/credentials.js
+//   credentials - already loaded { realm, users } instead of file
+//   schemes     - accepted schemes, offered in this order ('digest', 'basic')
+//   algorithms  - Digest algorithms to offer ('SHA-256', 'MD5')
+//   nonceTtl    - ms a Digest nonce stays valid before the client is told it is stale
+//   cacheTtl    - ms a verified password skips the scrypt check
+function proxyAuth(options = {}) {
+  const {
+    schemes = SCHEMES,
+    algorithms = Object.keys(DIGEST_ALGORITHMS),
+    nonceTtl = 300000,
+    cacheTtl = 300000
+  } = options;
+  const { realm, users } = options.credentials || loadCredentials(options.file);
+
+  for (const scheme of schemes) {
+    if (!SCHEMES.includes(scheme)) {
+      throw new Error(`Unknown proxy auth scheme "${scheme}", expected one of ${SCHEMES.join(', ')}`);
+    }
+  }
+
+  const nonceSecret = crypto.randomBytes(32);
+  const nonceCounts = new Map(); // nonce -> { nc, expires } for replay protection
+  const verified = new Map();    // sha256(username:password) -> { user, expires }
+  // Checked for unknown users so their timing matches a real scrypt check
+  const dummyHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+  const sign = value => crypto.createHmac('sha256', nonceSecret).update(value).digest('base64url');
+
+  function createNonce() {
+    const value = `${Date.now()}.${crypto.randomBytes(12).toString('base64url')}`;
+    return `${value}.${sign(value)}`;
+  }
+
+  // -> 'valid', 'stale' or 'invalid'
+  function checkNonce(nonce) {
+    const parts = String(nonce).split('.');
+    if (parts.length !== 3) {
+      return 'invalid';
+    }
+    const value = `${parts[0]}.${parts[1]}`;
+    if (!safeEqual(sign(value), parts[2])) {
+      return 'invalid';
+    }
+    return Date.now() - Number(parts[0]) > nonceTtl ? 'stale' : 'valid';
+  }
+
+  function pruneExpired(map) {
+    const now = Date.now();
+    for (const [key, entry] of map) {
+      if (entry.expires <= now) {
+        map.delete(key);
+      }
+    }
+  }
+
+  function challenges(stale = false) {
+    const list = [];
+    for (const scheme of schemes) {
+      if (scheme === 'digest') {
+        const nonce = createNonce();
+        for (const algorithm of algorithms) {
+          list.push(`Digest realm="${realm}", qop="auth", algorithm=${algorithm}, nonce="${nonce}"${stale ? ', stale=true' : ''}`);
+        }
+      } else {
+        list.push(`Basic realm="${realm}", charset="UTF-8"`);
+      }
+    }
+    return list;
+  }
+
+  // -> username or null
+  async function checkPassword(username, password) {
+    const key = crypto.createHash('sha256').update(`${username}:${password}`).digest('hex');
+    const cached = verified.get(key);
+    if (cached && cached.expires > Date.now()) {
+      return cached.user;
+    }
+
+    const user = users.get(username);
+    const ok = await verifyPassword(password, user && user.password ? user.password : await dummyHash);
+    if (!ok || !user || !user.password) {
+      return null;
+    }
+
+    if (verified.size >= 1000) {
+      pruneExpired(verified);
+    }
+    verified.set(key, { user: username, expires: Date.now() + cacheTtl });
+    return username;
+  }
+
+  function checkBasic(token) {
+    const decoded = Buffer.from(token, 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    if (separator === -1) {
+      return null;
+    }
+    return checkPassword(decoded.slice(0, separator), decoded.slice(separator + 1));
+  }
+
+  // -> username, 'stale' or null
+  function checkDigest(req, params) {
+    const algorithm = params.algorithm || 'MD5';
+    const user = users.get(params.username);
+    if (!algorithms.includes(algorithm) || params.realm !== realm || params.qop !== 'auth' ||
+        !params.nonce || !params.nc || !params.cnonce || !params.response) {
+      return null;
+    }
+    // The digest is bound to the request target it was computed for; clients
+    // differ on whether they send the absolute URL or just its path
+    if (params.uri !== req.url && params.uri !== originForm(req.url)) {
+      return null;
+    }
+
+    const ha1 = user && user.digest[algorithm];
+    const ha2 = digestHash(algorithm, `${req.method}:${params.uri}`);
+    const expected = ha1
+      ? digestHash(algorithm, `${ha1}:${params.nonce}:${params.nc}:${params.cnonce}:${params.qop}:${ha2}`)
+      : '';
+    if (!safeEqual(expected, String(params.response).toLowerCase()) || !ha1) {
+      return null;
+    }
+
+    const nonceState = checkNonce(params.nonce);
+    if (nonceState !== 'valid') {
+      return nonceState === 'stale' ? 'stale' : null;
+    }
+
+    // nc must grow with every use of a nonce, otherwise the request is a replay
+    const nc = parseInt(params.nc, 16);
+    const seen = nonceCounts.get(params.nonce);
+    if (!Number.isFinite(nc) || (seen && nc <= seen.nc)) {
+      return null;
+    }
+    if (nonceCounts.size >= 10000) {
+      pruneExpired(nonceCounts);
+    }
+    nonceCounts.set(params.nonce, { nc, expires: Number(params.nonce.split('.')[0]) + nonceTtl });
+    return params.username;
+  }
+
+  return {
+    name: 'proxyAuth',
+
+    describe() {
+      return `Proxy Authentication: Enabled (${schemes.join(', ')}; ${users.size} users)`;
+    },
+
+    health(data) {
+      data.features.proxyAuthSchemes = schemes;
+      return data;
+    },
+
+    verifyCredentials(username, password) {
+      return checkPassword(username, password);
+    },
+
+    async authenticate(req) {
+      const header = req.headers['proxy-authorization'] || '';
+      const space = header.indexOf(' ');
+      const scheme = header.slice(0, space).toLowerCase();
+      const rest = header.slice(space + 1).trim();
+
+      if (space !== -1 && schemes.includes(scheme)) {
+        if (scheme === 'basic') {
+          const user = await checkBasic(rest);
+          if (user) {
+            return { user };
+          }
+        } else {
+          const result = checkDigest(req, parseAuthParams(rest));
+          if (result === 'stale') {
+            return { challenge: challenges(true) };
+          }
+          if (result) {
+            return { user: result };
+          }
+        }
+      }
+
+      return { challenge: challenges() };
+    }
+  };
+}
+
+module.exports = { proxyAuth };
@@ -0,0 +1,68 @@
+const { createSocksServer } = require('../socks/socksServer');
+
+// SOCKS listener feature: a SOCKS5 (RFC 1928/1929) and SOCKS4/4a server on
+// its own port, sharing the HTTP proxy's DNS, connect and tunnel plumbing.
+// When an auth feature is installed SOCKS5 clients must log in with the same
+// username/password as the HTTP proxy.
+//
+// options:
+//   port - TCP port to listen on
+//   host - address to bind (all interfaces by default)
+//   udp, socks4, handshakeTimeout, udpIdleTimeout - see src/socks/socksServer.js
+function socksListener(options = {}) {
+  const { port = 1080, host, udp = true, socks4 = true } = options;
+  let socksServer = null;
+  let listen = null;
+  let stop = null;
+
+  return {
+    name: 'socksListener',
+
+    describe() {
+      const commands = ['CONNECT', udp && 'UDP ASSOCIATE'].filter(Boolean).join(', ');
+      return `SOCKS Listener: Enabled (port ${port}, ${commands}${socks4 ? ', SOCKS4a' : ''})`;
+    },
+
+    health(data) {
+      data.features.socksPort = Number(port);
+      return data;
+    },
+
+    setup(core) {
+      socksServer = createSocksServer(core, options);
+      listen = () => {
+        socksServer.listen(port, host, () => {
+          core.log('info', `SOCKS server running on port ${port}`);
+        });
+      };
+      stop = () => socksServer.close();
+
+      // Start and stop together with the HTTP listener (a reload may set
+      // the feature up while the proxy is already running)
+      if (core.server.listening) {
+        listen();
+      } else {
+        core.server.once('listening', listen);
+      }
+      core.server.once('close', stop);
+    },
+
+    // Shutdown: stop accepting, open SOCKS tunnels drain with the HTTP ones
+    drain() {
+      if (socksServer.listening) {
+        socksServer.close();
+      }
+    },
+
+    // Stop accepting; SOCKS tunnels that are already open keep running
+    teardown(core) {
+      core.server.removeListener('listening', listen);
+      core.server.removeListener('close', stop);
+      if (socksServer.listening) {
+        socksServer.close();
+      }
+    }
+  };
+}
+
+module.exports = { socksListener };
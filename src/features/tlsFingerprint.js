@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+
+// Cipher suite orderings that mimic popular browsers
+const BROWSER_CIPHER_SUITES = [
+  // Chrome Cipher Suites
+  'TLS_AES_128_GCM_SHA256:TLS_AES_256_GCM_SHA384:TLS_CHACHA20_POLY1305_SHA256:ECDHE-ECDSA-AES128-GCM-SHA256:ECDHE-RSA-AES128-GCM-SHA256:ECDHE-ECDSA-AES256-GCM-SHA384:ECDHE-RSA-AES256-GCM-SHA384:ECDHE-ECDSA-CHACHA20-POLY1305:ECDHE-RSA-CHACHA20-POLY1305:DHE-RSA-AES128-GCM-SHA256:DHE-RSA-AES256-GCM-SHA384',
+  // Firefox Cipher Suites
+  'TLS_AES_128_GCM_SHA256:TLS_CHACHA20_POLY1305_SHA256:TLS_AES_256_GCM_SHA384:ECDHE-ECDSA-AES128-GCM-SHA256:ECDHE-RSA-AES128-GCM-SHA256:ECDHE-ECDSA-CHACHA20-POLY1305:ECDHE-RSA-CHACHA20-POLY1305:ECDHE-ECDSA-AES256-GCM-SHA384:ECDHE-RSA-AES256-GCM-SHA384:DHE-RSA-AES128-GCM-SHA256:DHE-RSA-AES256-GCM-SHA384',
+  // Safari Cipher Suites
+  'TLS_AES_128_GCM_SHA256:TLS_AES_256_GCM_SHA384:TLS_CHACHA20_POLY1305_SHA256:ECDHE-ECDSA-AES256-GCM-SHA384:ECDHE-RSA-AES256-GCM-SHA384:ECDHE-ECDSA-AES128-GCM-SHA256:ECDHE-RSA-AES128-GCM-SHA256:ECDHE-RSA-CHACHA20-POLY1305:ECDHE-ECDSA-CHACHA20-POLY1305'
+];
+
+// Fixed modern profile
+function basicProfile() {
+  return {
+    ecdhCurve: 'X25519:secp256r1:secp384r1',
+    ciphers: 'TLS_AES_128_GCM_SHA256:TLS_AES_256_GCM_SHA384:TLS_CHACHA20_POLY1305_SHA256:ECDHE-RSA-AES128-GCM-SHA256:ECDHE-RSA-AES256-GCM-SHA384',
+    minVersion: 'TLSv1.2',
+    maxVersion: 'TLSv1.3',
+    honorCipherOrder: true,
+    sessionTimeout: 600,
+    ticketKeys: crypto.randomBytes(48)
+  };
+}
+
+// Rotating browser-like profile; ticket keys roll every 5 minutes
+function browserProfile(secret) {
+  const sessionKeyUpdateTime = Math.floor(Date.now() / 300000) * 300000;
+  const sessionKeyBase = crypto.createHash('sha256').update(String(sessionKeyUpdateTime) + secret).digest();
+
+  return {
+    ecdhCurve: 'X25519:P-256:P-384',
+    ciphers: BROWSER_CIPHER_SUITES[Math.floor(Math.random() * BROWSER_CIPHER_SUITES.length)],
+    minVersion: 'TLSv1.2',
+    maxVersion: 'TLSv1.3',
+    honorCipherOrder: true,
+    sessionTimeout: 300 + Math.floor(Math.random() * 300), // 5-10 minutes
+    ticketKeys: Buffer.concat([sessionKeyBase, crypto.randomBytes(16)]),
+    sigalgs: 'ecdsa_secp256r1_sha256:rsa_pss_rsae_sha256:rsa_pkcs1_sha256',
+    secureOptions: crypto.constants.SSL_OP_NO_RENEGOTIATION |
+                  crypto.constants.SSL_OP_NO_TICKET |
+                  crypto.constants.SSL_OP_ALL
+  };
+}
+
+// TLS fingerprinting evasion feature for outbound TLS sessions.
+//
+// options:
+//   profile            - 'basic' (fixed modern suite) or 'browser' (rotating browser suites)
+//   secret             - seed for the browser profile's session ticket keys
+//   rejectUnauthorized - verify origin certificates (spoofed SNI usually needs false)
+function tlsFingerprint(options = {}) {
+  const { profile = 'basic', secret = crypto.randomBytes(16).toString('hex'), rejectUnauthorized = true } = options;
+
+  if (profile !== 'basic' && profile !== 'browser') {
+    throw new Error(`Unknown TLS fingerprint profile "${profile}" (expected basic or browser)`);
+  }
+
+  return {
+    name: 'tlsFingerprinting',
+
+    describe() {
+      return `TLS Anti-fingerprinting: Enabled (${profile} profile)`;
+    },
+
+    tlsOptions(hostname, tlsOptions) {
+      return {
+        ...tlsOptions,
+        ...(profile === 'browser' ? browserProfile(secret) : basicProfile()),
+        rejectUnauthorized
+      };
+    }
+  };
+}
+
+module.exports = { tlsFingerprint };
@@ -0,0 +1,136 @@
+const path = require('path');
+const tls = require('tls');
+const { findHostPattern } = require('../net/hostPattern');
+const { formatHostPort } = require('../net/hostPort');
+const { createSubnetMatcher } = require('../net/destinationPolicy');
+const { CA_CERT_FILE, createCertificateAuthority } = require('../tls/certificateAuthority');
+
+// TLS interception feature, for debugging our own test devices: CONNECTs to
+// the selected hosts are answered by the proxy itself instead of being
+// tunnelled. It completes the client's TLS handshake with a certificate for
+// the name the client asked for (SNI), minted by a local CA
+// (src/tls/certificateAuthority.js, created in caDir on first run), and
+// hands the decrypted connection to the core's HTTP server. Its requests then
+// take the same path as plain HTTP ones - access log, metrics, header
+// policy, body transforms, cache - and go to the origin over a new TLS
+// session (with the tlsOptions of the other features). Upgrades on it
+// (WebSocket) are passed to the origin as they are.
+//
+// Only clients that trust the CA's certificate (ca.pem, also served at
+// certificatePath) accept this; every other host or client stays a plain tunnel.
+//
+// options:
+//   hosts           - host patterns to intercept ('api.example.com', '*.example.com')
+//   clients         - client addresses or CIDRs allowed to be intercepted (all when empty)
+//   caDir           - directory of the CA's key and certificate
+//   caName          - the CA's common name, as devices show it
+//   certificatePath - local URL path serving the CA certificate (false = off)
+//   cacheSize       - leaf certificates kept in memory
+function tlsInterception(options = {}) {
+  const {
+    hosts = [],
+    clients = [],
+    caDir = path.join(process.cwd(), '.proxy-ca'),
+    caName,
+    certificatePath = '/proxy-ca.pem',
+    cacheSize
+  } = options;
+
+  if (hosts.length === 0) {
+    throw new Error('tlsInterception.hosts: list the hosts to intercept');
+  }
+  const allowedClient = createSubnetMatcher(clients, 'tlsInterception.clients');
+
+  const authority = createCertificateAuthority({ dir: caDir, commonName: caName, cacheSize });
+
+  function selected(hostname, clientAddress) {
+    if (!findHostPattern(hostname, hosts)) {
+      return false;
+    }
+    return clients.length === 0 || allowedClient(clientAddress);
+  }
+
+  return {
+    name: 'tlsInterception',
+
+    describe() {
+      const who = clients.length > 0 ? `, clients ${clients.join(', ')}` : '';
+      return `TLS Interception: Enabled (${hosts.join(', ')}${who}; CA ${path.join(caDir, CA_CERT_FILE)})`;
+    },
+
+    health(data) {
+      data.features.tlsInterception = {
+        hosts,
+        caFingerprint: authority.fingerprint,
+        cachedCertificates: authority.cached
+      };
+      return data;
+    },
+
+    setup(core) {
+      const action = authority.created ? 'Created' : 'Using';
+      core.log('info', `${action} interception CA ${path.join(caDir, CA_CERT_FILE)} (SHA-256 ${authority.fingerprint}); `
+        + 'install it as trusted on the devices to intercept');
+    },
+
+    handleRequest(req, res) {
+      if (!certificatePath || req.url !== certificatePath) {
+        return false;
+      }
+      res.writeHead(200, {
+        'Content-Type': 'application/x-pem-file',
+        'Content-Disposition': `attachment; filename="${CA_CERT_FILE}"`
+      });
+      res.end(authority.certPem);
+      return true;
+    },
+
+    // Answer the CONNECT ourselves and feed the decrypted stream to the core's server
+    interceptConnect(ctx, clientSocket, head, core) {
+      const { hostname, port, user } = ctx;
+      if (!selected(hostname, clientSocket.remoteAddress)) {
+        return false;
+      }
+      core.checkDestination({ hostname, port });
+
+      core.log('info', `Intercepting TLS to ${formatHostPort(hostname, port)} from ${clientSocket.remoteAddress}`);
+      clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+      if (head && head.length > 0) {
+        clientSocket.unshift(head);
+      }
+
+      const secure = new tls.TLSSocket(clientSocket, {
+        isServer: true,
+        // Without SNI the certificate is for the CONNECT target
+        secureContext: authority.contextFor(hostname),
+        SNICallback: (servername, callback) => {
+          try {
+            callback(null, authority.contextFor(servername));
+          } catch (err) {
+            callback(err);
+          }
+        },
+        ALPNProtocols: ['http/1.1']
+      });
+      // What the core's request handler reads to rebuild the absolute URL
+      secure.interception = { hostname, port, user };
+      let established = false;
+      secure.once('secure', () => {
+        established = true;
+      });
+      secure.on('error', (err) => {
+        if (established) {
+          core.log('debug', `Intercepted connection to ${formatHostPort(hostname, port)} error: ${err.message}`);
+        } else {
+          core.log('warn', `TLS interception of ${formatHostPort(hostname, port)} failed: ${err.message} `
+            + '(does the client trust the interception CA?)');
+        }
+        secure.destroy();
+      });
+      core.server.emit('connection', secure);
+      return true;
+    }
+  };
+}
+
+module.exports = { tlsInterception };
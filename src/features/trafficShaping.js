@@ -0,0 +1,120 @@
+// Queued chunks per direction before the source is paused
+const MAX_QUEUED_CHUNKS = 64;
+
+// Split data into random-sized chunks within [minSize, maxSize]
+function fragmentData(data, fragmentation) {
+  if (!fragmentation) {
+    return [data];
+  }
+
+  const chunks = [];
+  let offset = 0;
+
+  while (offset < data.length) {
+    const chunkSize = Math.floor(
+      Math.random() * (fragmentation.maxSize - fragmentation.minSize) + fragmentation.minSize
+    );
+    const end = Math.min(offset + chunkSize, data.length);
+    chunks.push(data.slice(offset, end));
+    offset = end;
+  }
+
+  return chunks;
+}
+
+// Relay source into destination one chunk at a time, waiting a random delay
+// between chunks. Order is preserved, the source is paused while the queue
+// is full and destination is ended only after everything queued was written.
+function shapeStream(source, destination, { fragmentation, delay }) {
+  const queue = [];
+  let sending = false;
+  let ended = false;
+
+  const nextDelay = () => (delay ? Math.floor(Math.random() * (delay.max - delay.min) + delay.min) : 0);
+
+  const pump = () => {
+    if (destination.destroyed) {
+      return;
+    }
+    if (queue.length === 0) {
+      sending = false;
+      if (ended) {
+        destination.end();
+      } else if (source.isPaused()) {
+        source.resume();
+      }
+      return;
+    }
+
+    sending = true;
+    destination.write(queue.shift());
+    setTimeout(pump, nextDelay());
+  };
+
+  source.on('data', (data) => {
+    queue.push(...fragmentData(data, fragmentation));
+    if (queue.length > MAX_QUEUED_CHUNKS) {
+      source.pause();
+    }
+    if (!sending) {
+      setTimeout(pump, nextDelay());
+      sending = true;
+    }
+  });
+
+  source.on('end', () => {
+    ended = true;
+    if (!sending) {
+      destination.end();
+    }
+  });
+
+  // Like pipe(), start the flow even if a handshake left the source paused
+  source.resume();
+}
+
+// Traffic shaping feature: fragments tunnel traffic into random-sized
+// chunks and adds jitter between them to mimic regular browsing patterns.
+//
+// options:
+//   fragmentation - { minSize, maxSize } in bytes, or false
+//   delay         - { min, max } in ms between chunks, or false
+function trafficShaping(options = {}) {
+  const {
+    fragmentation = { minSize: 400, maxSize: 1400 },
+    delay = { min: 10, max: 100 }
+  } = options;
+
+  const shaping = { fragmentation, delay };
+
+  return {
+    name: 'trafficShaping',
+
+    describe() {
+      return `Traffic Shaping: ${delay ? `${delay.min}-${delay.max}ms jitter` : 'no jitter'}, ` +
+        `Packet Fragmentation: ${fragmentation ? `${fragmentation.minSize}-${fragmentation.maxSize} bytes` : 'Disabled'}`;
+    },
+
+    health(data) {
+      data.features.fragmentation = Boolean(fragmentation);
+      return data;
+    },
+
+    // Request bodies only get the timing jitter - fragmenting them buys nothing
+    pipeRequestBody(ctx, req, proxyReq) {
+      if (!delay) {
+        return false;
+      }
+      shapeStream(req, proxyReq, { fragmentation: false, delay });
+      return true;
+    },
+
+    pipeTunnel(ctx, clientSocket, targetSocket) {
+      shapeStream(targetSocket, clientSocket, shaping);
+      shapeStream(clientSocket, targetSocket, shaping);
+      return true;
+    }
+  };
+}
+
+module.exports = { fragmentData, shapeStream, trafficShaping };
@@ -0,0 +1,187 @@
+const { URL } = require('url');
+const { isDestinationDenied, forbiddenResponse } = require('../net/destinationPolicy');
+const { safeEqual } = require('../auth/credentials');
+const { serveMuxTunnel } = require('../transport/muxTunnel');
+const { TUNNEL_PROTOCOLS, acceptWebSocket, offeredProtocols } = require('../transport/websocketStream');
+
+// WebSocket tunnel feature: an Upgrade request on `path` with
+// ?target=<http(s) url> is spliced onto a TCP (or TLS for https targets)
+// connection to that target. Any other scheme (tcp://host:port, what
+// companion.js sends) gets the raw TCP connection. With ?mux=1 the
+// connection carries a multiplexed session instead (src/transport/muxSession.js)
+// and the client opens as many targets over it as it likes.
+//
+// The handshake is a real RFC 6455 one (src/transport/websocketStream.js),
+// so browsers and WebSocket libraries can use the tunnel: binary messages
+// carry the bytes, and closing the tunnel sends a close frame whose code
+// says why (1000 done, 1014 target failed, 1001 shutting down). Clients may
+// pick the mode with a subprotocol instead of the query string:
+// 'tunnel.v1' for one target, 'tunnel-mux.v1' for a multiplexed session.
+//
+// options:
+//   path        - URL path prefix the tunnel answers on
+//   idleTimeout - ms of inactivity before both sides are closed (0 = none)
+//   token       - require "Authorization: Bearer <token>" or ?token=<token>
+//   multiplex   - accept ?mux=1 sessions
+//   maxStreams  - concurrent streams per multiplexed session
+//   keepAlive   - ms of silence before a multiplexed session is pinged (0 = leave it to the client)
+function websocketTunnel(options = {}) {
+  const {
+    path = '/ws',
+    idleTimeout = 0,
+    token,
+    multiplex = true,
+    maxStreams,
+    keepAlive = 0
+  } = options;
+
+  // Browsers can't set headers on a WebSocket, hence the query parameter
+  function authorized(req, url) {
+    const bearer = req.headers.authorization || '';
+    return safeEqual(bearer, `Bearer ${token}`) || safeEqual(url.searchParams.get('token') || '', token);
+  }
+
+  async function tunnel(ctx, socket, head, core) {
+    const { req } = ctx;
+    const { log } = core;
+
+    let targetSocket;
+
+    const onSocketError = (err) => {
+      log('error', `WebSocket client error: ${err.message}`);
+      if (targetSocket && !targetSocket.destroyed) {
+        targetSocket.destroy();
+      }
+    };
+    socket.on('error', onSocketError);
+
+    try {
+      // Extract target from query parameters
+      const urlObj = new URL(`http://localhost${req.url}`);
+      const target = urlObj.searchParams.get('target');
+
+      if (!target) {
+        socket.write('HTTP/1.1 400 Bad Request\r\n\r\n');
+        socket.destroy();
+        return;
+      }
+
+      // Parse target URL
+      const targetUrl = new URL(target);
+      const hostname = targetUrl.hostname.replace(/^\[|\]$/g, '');
+      const port = Number(targetUrl.port) || (targetUrl.protocol === 'https:' ? 443 : 80);
+      Object.assign(ctx, { hostname, port, type: 'websocket', idleTimeout });
+
+      log('info', `WebSocket tunnel request to: ${hostname}:${port}`);
+
+      targetSocket = await core.connectTarget({ hostname, port });
+
+      if (targetUrl.protocol === 'https:') {
+        // For HTTPS targets wrap the connection in TLS with our SNI/fingerprint options
+        targetSocket = await core.secureSocket(targetSocket, hostname);
+      }
+
+      if (socket.destroyed) {
+        targetSocket.destroy();
+        return;
+      }
+
+      // The tunnel's close reason picks the close code the client gets
+      const stream = await acceptWebSocket(req, socket, head, {
+        protocols: [TUNNEL_PROTOCOLS.stream],
+        closeReason: () => ctx.closeReason
+      });
+      if (!stream) {
+        targetSocket.destroy();
+        return;
+      }
+      socket.removeListener('error', onSocketError);
+      // A close frame with an error code (or none at all) drops the target
+      stream.on('error', (err) => {
+        log('debug', `WebSocket tunnel to ${hostname}:${port}: ${err.message}`);
+        if (!targetSocket.destroyed) {
+          targetSocket.destroy();
+        }
+      });
+
+      core.openTunnel(ctx, stream, targetSocket);
+    } catch (err) {
+      if (targetSocket && !targetSocket.destroyed) {
+        targetSocket.destroy();
+      }
+      if (isDestinationDenied(err)) {
+        log('warn', `Blocked WebSocket tunnel ${req.url}: ${err.message}`);
+        if (!socket.destroyed) {
+          socket.end(forbiddenResponse(err));
+        }
+        return;
+      }
+      log('error', `WebSocket tunnel error: ${err.message}`);
+      if (!socket.destroyed) {
+        socket.write('HTTP/1.1 502 Bad Gateway\r\n\r\n');
+        socket.destroy();
+      }
+    }
+  }
+
+  // The request's url minus the ?token= credential, for everything that logs
+  // or records it (access log, HAR, connection status)
+  function withoutToken(rawUrl) {
+    const [pathname, query = ''] = rawUrl.split('?');
+    const kept = query.split('&').filter(part => new URLSearchParams(part).keys().next().value !== 'token');
+    return kept.length > 0 ? `${pathname}?${kept.join('&')}` : pathname;
+  }
+
+  // One session, many targets; each stream becomes a tunnel of its own
+  async function multiplexed(ctx, socket, head, core) {
+    socket.on('error', err => core.log('debug', `WebSocket multiplexed session error: ${err.message}`));
+    const stream = await acceptWebSocket(ctx.req, socket, head, { protocols: [TUNNEL_PROTOCOLS.mux] });
+    if (stream) {
+      serveMuxTunnel(core, stream, ctx, { type: 'websocket-mux', idleTimeout, maxStreams, keepAlive });
+    }
+  }
+
+  // The subprotocol the client asked for, then the query string, picks the mode
+  function wantsMux(req, url) {
+    const offered = offeredProtocols(req);
+    if (offered.includes(TUNNEL_PROTOCOLS.mux)) {
+      return true;
+    }
+    return !offered.includes(TUNNEL_PROTOCOLS.stream) && url.searchParams.has('mux');
+  }
+
+  return {
+    name: 'websocketTunnel',
+
+    describe() {
+      const extras = [token && 'token required', multiplex && 'multiplexing'].filter(Boolean);
+      return `WebSocket Tunnel: Enabled (${[path, ...extras].join(', ')})`;
+    },
+
+    upgrade(ctx, socket, head, core) {
+      if (!ctx.req.url.startsWith(path)) {
+        return false;
+      }
+      const url = new URL(`http://localhost${ctx.req.url}`);
+      if (token && !authorized(ctx.req, url)) {
+        core.log('warn', `WebSocket tunnel token missing or wrong from ${socket.remoteAddress}`);
+        socket.end('HTTP/1.1 401 Unauthorized\r\nWWW-Authenticate: Bearer\r\nContent-Length: 0\r\nConnection: close\r\n\r\n');
+        return true;
+      }
+      if (url.searchParams.has('token')) {
+        ctx.req.url = withoutToken(ctx.req.url);
+      }
+      if (multiplex && wantsMux(ctx.req, url)) {
+        multiplexed(ctx, socket, head, core).catch((err) => {
+          core.log('error', `WebSocket multiplexed session error: ${err.message}`);
+          socket.destroy();
+        });
+      } else {
+        tunnel(ctx, socket, head, core);
+      }
+      return true;
+    }
+  };
+}
+
+module.exports = { websocketTunnel };
@@ -0,0 +1,238 @@
+const { URL } = require('url');
+const { openWebSocket, isRetryable } = require('../transport/websocketClient');
+const { TUNNEL_PROTOCOLS } = require('../transport/websocketStream');
+const { CIPHERS, deriveMasterKey, secureClient } = require('../transport/aeadStream');
+const { createMuxSession } = require('../transport/muxSession');
+const { REPLIES, openSecureTunnel } = require('../transport/secureTunnel');
+const { deniedError } = require('../net/destinationPolicy');
+const { formatHostPort } = require('../net/hostPort');
+
+// WebSocket upstream feature: the client half of the server's WebSocket
+// tunnel (websocketTunnel / encryptedTransport). Every outbound connection -
+// CONNECT, SOCKS or a plain HTTP request - becomes its own Upgrade to the
+// tunnel url, so a proxy running on a laptop (companion.js) can reach
+// everything through a server it can only talk HTTPS to. With a secret the
+// tunnel's bytes ride the encrypted transport (?transport=aead) and the
+// target never appears in the URL.
+//
+// With multiplex on, one upgrade carries every connection instead: a
+// session (src/transport/muxSession.js) is opened on first use, shared by
+// all connections, kept alive with pings and opened again when it drops.
+//
+// Connections that fail before the server answered, or that it answers with
+// 502/503/504 (restarting, deploying, asleep), are retried with exponential
+// backoff; refusals (401, 403, 407) are not. The tunnel counts as down after
+// a failed attempt and up again with the next upgrade that succeeds.
+//
+// options:
+//   url                - ws:// or wss:// url of the tunnel path, e.g. wss://proxy.example.com/api/stream
+//   token              - sent as "Authorization: Bearer <token>"
+//   username, password - proxy credentials (Proxy-Authorization: Basic)
+//   secret             - encrypted transport secret (tunnel over ?transport=aead)
+//   cipher             - 'aes-256-gcm' or 'chacha20-poly1305' with a secret
+//   multiplex          - carry all connections over one upgrade ('tunnel-mux.v1')
+//   keepAlive          - ms of silence before the multiplexed session is pinged (0 = off)
+//   retries            - extra attempts per connection
+//   retryDelay         - ms before the first retry, doubled for each one after
+//   timeout            - ms for the upgrade and, with a secret, the encrypted handshake
+//   rejectUnauthorized - verify the server's certificate for wss://
+function websocketUpstream(options = {}) {
+  const {
+    token,
+    username,
+    password,
+    secret,
+    cipher = 'aes-256-gcm',
+    multiplex = false,
+    keepAlive = 25000,
+    retries = 3,
+    retryDelay = 500,
+    timeout = 10000,
+    rejectUnauthorized = true
+  } = options;
+
+  let base;
+  try {
+    base = new URL(options.url);
+  } catch (err) {
+    throw new Error(`websocketUpstream.url: invalid url "${options.url}"`);
+  }
+  if (!['ws:', 'wss:'].includes(base.protocol)) {
+    throw new Error('websocketUpstream.url: expected a ws:// or wss:// url');
+  }
+  if (secret && !CIPHERS[cipher]) {
+    throw new Error(`websocketUpstream.cipher: unsupported cipher "${cipher}"`);
+  }
+
+  const masterKey = secret ? deriveMasterKey(secret) : null;
+  const headers = {};
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  if (username !== undefined) {
+    headers['Proxy-Authorization'] = `Basic ${Buffer.from(`${username}:${password || ''}`).toString('base64')}`;
+  }
+
+  // Tunnel health as seen from here: null until the first attempt
+  const state = { up: null, since: null, failures: 0 };
+
+  // The subprotocol tells the server which of the two it is
+  const upgradeOptions = {
+    headers,
+    protocols: [multiplex ? TUNNEL_PROTOCOLS.mux : TUNNEL_PROTOCOLS.stream],
+    timeout,
+    rejectUnauthorized
+  };
+
+  // Upgrade url for one target, or for the multiplexed session (no target)
+  const tunnelUrl = (target) => {
+    const url = new URL(base.href);
+    if (masterKey) {
+      url.searchParams.set('transport', 'aead');
+    }
+    if (!multiplex && !masterKey) {
+      // tcp: asks for the raw connection, the server only adds TLS for https: targets
+      url.searchParams.set('target', `tcp://${formatHostPort(target.hostname, target.port)}`);
+    }
+    return url;
+  };
+
+  function markUp(core) {
+    if (state.up !== true) {
+      const after = state.failures > 0 ? ` after ${state.failures} failed attempts` : '';
+      core.log('info', `WebSocket tunnel ${base.host} is up${after}`);
+      Object.assign(state, { up: true, since: Date.now(), failures: 0 });
+    }
+  }
+
+  function markDown(core, err) {
+    state.failures += 1;
+    if (state.up !== false) {
+      core.log('warn', `WebSocket tunnel ${base.host} is down: ${err.message}`);
+      Object.assign(state, { up: false, since: Date.now() });
+    }
+  }
+
+  // The shared session, opened by whichever connection needs it first
+  let session = null;
+  let opening = null;
+
+  function getSession(core) {
+    if (session && !session.closed) {
+      return Promise.resolve(session);
+    }
+    if (!opening) {
+      opening = openWebSocket(tunnelUrl(), upgradeOptions)
+        .then((socket) => {
+          const carrier = masterKey ? secureClient(socket, { masterKey, cipher }) : socket;
+          const next = createMuxSession(carrier, { keepAlive });
+          next.on('close', (err) => {
+            if (session === next) {
+              session = null;
+            }
+            const detail = err ? `: ${err.message}` : '';
+            core.log(err ? 'warn' : 'info', `Multiplexed tunnel session closed after ${next.opened} streams${detail}`);
+          });
+          session = next;
+          return next;
+        })
+        .finally(() => {
+          opening = null;
+        });
+    }
+    return opening;
+  }
+
+  // One upgrade (plus the encrypted handshake) -> socket carrying the target's bytes
+  async function attempt(target, core) {
+    if (multiplex) {
+      return (await getSession(core)).openStream(target, timeout);
+    }
+    const socket = await openWebSocket(tunnelUrl(target), upgradeOptions);
+    if (!masterKey) {
+      return socket;
+    }
+    try {
+      return await openSecureTunnel(socket, {
+        masterKey,
+        cipher,
+        hostname: target.hostname,
+        port: target.port,
+        handshakeTimeout: timeout
+      });
+    } catch (err) {
+      socket.destroy();
+      throw err;
+    }
+  }
+
+  async function connectViaTunnel(target, core) {
+    const authority = formatHostPort(target.hostname, target.port);
+    for (let attemptNumber = 0; ; attemptNumber++) {
+      try {
+        const socket = await attempt(target, core);
+        markUp(core);
+        return socket;
+      } catch (err) {
+        // The server was reached and said no to this target
+        if (err.statusCode === 403 || err.reply === REPLIES.notAllowed) {
+          markUp(core);
+          throw deniedError(target, null, `refused by the tunnel server (${err.message})`);
+        }
+        if (err.reply !== undefined) {
+          markUp(core);
+          throw new Error(`Tunnel to ${authority}: ${err.message}`);
+        }
+        if (!isRetryable(err)) {
+          const hint = [401, 407].includes(err.statusCode) ? ' - check the token / credentials' : '';
+          core.log('error', `WebSocket tunnel ${base.host} rejected us: ${err.message}${hint}`);
+          throw new Error(`Tunnel to ${authority}: ${err.message}`);
+        }
+        markDown(core, err);
+        if (attemptNumber >= retries) {
+          throw new Error(`Tunnel to ${authority} failed after ${attemptNumber + 1} attempts: ${err.message}`);
+        }
+        const delay = retryDelay * 2 ** attemptNumber;
+        core.log('debug', `Tunnel to ${authority} failed (${err.message}), retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  return {
+    name: 'websocketUpstream',
+
+    describe() {
+      const extras = [
+        masterKey && `encrypted, ${cipher}`,
+        multiplex && 'multiplexed',
+        token && 'token',
+        username !== undefined && 'credentials'
+      ];
+      return `WebSocket Upstream: ${base.origin}${base.pathname} (${extras.filter(Boolean).join(', ') || 'plain'})`;
+    },
+
+    health(data) {
+      data.features.websocketUpstream = {
+        url: `${base.origin}${base.pathname}`,
+        encrypted: Boolean(masterKey),
+        up: state.up,
+        since: state.since && new Date(state.since).toISOString(),
+        failures: state.failures,
+        streams: session ? session.streams.size : 0
+      };
+      return data;
+    },
+
+    // Connections already on the session finish; new ones get a new feature's session
+    teardown() {
+      if (session) {
+        session.end();
+      }
+    },
+
+    connect: connectViaTunnel
+  };
+}
+
+module.exports = { websocketUpstream };
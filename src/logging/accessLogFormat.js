@@ -0,0 +1,111 @@
+// Access log lines for the 'request' and 'tunnel:close' events of the proxy
+// core, in Combined Log Format or as JSON lines.
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const pad = value => String(value).padStart(2, '0');
+
+// [19/Oct/2026:11:50:00 +0000] - always UTC
+function clfTime(ms) {
+  const date = new Date(ms);
+  return `${pad(date.getUTCDate())}/${MONTHS[date.getUTCMonth()]}/${date.getUTCFullYear()}:`
+    + `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} +0000`;
+}
+
+// Quoted CLF field: "-" when empty, quotes/backslashes/control characters escaped
+function quoted(value) {
+  if (value === undefined || value === null || value === '') {
+    return '"-"';
+  }
+  return `"${String(value).replace(/["\\]/g, '\\$&').replace(/[\x00-\x1f\x7f]/g, c => `\\x${c.charCodeAt(0).toString(16).padStart(2, '0')}`)}"`;
+}
+
+const field = value => (value === undefined || value === null || value === '' ? '-' : String(value).replace(/\s/g, '_'));
+
+const header = (req, name) => (req ? req.headers[name] : undefined);
+
+const hostPort = ctx => (ctx.hostname && ctx.hostname.includes(':') ? `[${ctx.hostname}]:${ctx.port}` : `${ctx.hostname}:${ctx.port}`);
+
+// CONNECT via HTTP, SOCKS or a WebSocket upgrade, as a request line; an
+// upgrade passed through an intercepted TLS connection keeps its own
+function tunnelRequestLine(ctx) {
+  if (ctx.type === 'websocket' || ctx.type === 'upgrade') {
+    return `${ctx.req ? ctx.req.method : 'GET'} ${ctx.req ? ctx.req.url : '-'} HTTP/${ctx.req ? ctx.req.httpVersion : '1.1'}`;
+  }
+  const protocol = ctx.type === 'connect' ? `HTTP/${ctx.req ? ctx.req.httpVersion : '1.1'}` : ctx.type.toUpperCase();
+  return `CONNECT ${hostPort(ctx)} ${protocol}`;
+}
+
+// Requests aborted before a response went out are logged with status 0
+const requestStatus = ctx => (ctx.res.headersSent ? ctx.statusCode : 0);
+
+const formats = {
+  combined: {
+    request(ctx) {
+      const { req } = ctx;
+      return `${field(ctx.clientAddress)} - ${field(ctx.user)} [${clfTime(ctx.startedAt)}] `
+        + `${quoted(`${req.method} ${req.url} HTTP/${req.httpVersion}`)} ${requestStatus(ctx)} ${ctx.bytesReceived || '-'} `
+        + `${quoted(header(req, 'referer'))} ${quoted(header(req, 'user-agent'))}`;
+    },
+
+    // Tunnels have no response body; the byte field carries target -> client
+    // and the extra key=value pairs the rest
+    tunnel(ctx) {
+      return `${field(ctx.clientAddress)} - ${field(ctx.user)} [${clfTime(ctx.openedAt)}] `
+        + `${quoted(tunnelRequestLine(ctx))} 200 ${ctx.bytesReceived || '-'} `
+        + `${quoted(header(ctx.req, 'referer'))} ${quoted(header(ctx.req, 'user-agent'))} `
+        + `tunnel=${ctx.type} target=${field(hostPort(ctx))} sent=${ctx.bytesSent} received=${ctx.bytesReceived} `
+        + `duration=${ctx.duration}ms close=${field(ctx.closeReason)}`;
+    }
+  },
+
+  json: {
+    request(ctx) {
+      const { req } = ctx;
+      return JSON.stringify({
+        type: 'request',
+        time: new Date(ctx.startedAt).toISOString(),
+        client: ctx.clientAddress || null,
+        user: ctx.user || null,
+        method: req.method,
+        url: req.url,
+        httpVersion: req.httpVersion,
+        status: requestStatus(ctx),
+        route: ctx.route,
+        bytesSent: ctx.bytesSent,
+        bytesReceived: ctx.bytesReceived,
+        ttfb: ctx.ttfb,
+        duration: ctx.duration,
+        referer: header(req, 'referer') || null,
+        userAgent: header(req, 'user-agent') || null
+      });
+    },
+
+    tunnel(ctx) {
+      return JSON.stringify({
+        type: 'tunnel',
+        time: new Date(ctx.openedAt).toISOString(),
+        client: ctx.clientAddress || null,
+        user: ctx.user || null,
+        protocol: ctx.type,
+        target: hostPort(ctx),
+        bytesSent: ctx.bytesSent,
+        bytesReceived: ctx.bytesReceived,
+        duration: ctx.duration,
+        closeReason: ctx.closeReason
+      });
+    }
+  }
+};
+
+const FORMATS = Object.keys(formats);
+
+// -> { request(ctx), tunnel(ctx) } returning one line without the newline
+function createFormatter(format = 'combined') {
+  if (!formats[format]) {
+    throw new Error(`Unknown access log format "${format}" (expected one of ${FORMATS.join(', ')})`);
+  }
+  return formats[format];
+}
+
+module.exports = { FORMATS, clfTime, createFormatter };
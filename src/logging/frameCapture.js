@@ -0,0 +1,166 @@
+const fs = require('fs');
+const WebSocket = require('ws');
+
+// WebSocket frame captures as JSON lines, one file per relayed session
+// (sockProxy.js), and their replay (sockReplay.js):
+//
+//   {"event":"open","time":"2026-10-19T12:00:00.000Z","target":"wss://...","client":"1.2.3.4","protocol":"chat"}
+//   {"event":"frame","t":12,"from":"client","opcode":1,"payload":"hello"}
+//   {"event":"frame","t":40,"from":"target","opcode":2,"payload":"AAEC","encoding":"base64"}
+//   {"event":"close","t":900,"from":"client","opcode":8,"code":1000,"reason":""}
+//
+// t is ms since the session opened and opcodes are RFC 6455's (1 text,
+// 2 binary, 8 close). A capture that reached its size cap ends with a
+// {"event":"truncated"} line.
+
+const OPCODES = { text: 1, binary: 2, close: 8 };
+
+const DEFAULT_MAX_BYTES = 50 * 1024 * 1024;
+
+// Close codes that never go on the wire (no status, abnormal closure)
+const UNSENDABLE_CODES = new Set([1005, 1006, 1015]);
+
+// options:
+//   maxBytes - size cap of the file
+//   onError  - (err) for write errors; the capture stops recording
+function createFrameCapture(file, meta, options = {}) {
+  const { maxBytes = DEFAULT_MAX_BYTES, onError = () => {} } = options;
+  const startedAt = Date.now();
+  const stream = fs.createWriteStream(file, { flags: 'wx' });
+  let written = 0;
+  let stopped = false;
+
+  stream.on('error', (err) => {
+    stopped = true;
+    onError(err);
+  });
+
+  const write = (record) => {
+    if (stopped) {
+      return;
+    }
+    const line = `${JSON.stringify(record)}\n`;
+    if (written + Buffer.byteLength(line) > maxBytes) {
+      stopped = true;
+      stream.write(`${JSON.stringify({ event: 'truncated', t: Date.now() - startedAt })}\n`);
+      return;
+    }
+    written += Buffer.byteLength(line);
+    stream.write(line);
+  };
+
+  write({ event: 'open', time: new Date(startedAt).toISOString(), ...meta });
+
+  return {
+    file,
+
+    // A data message `from` ('client' or 'target') sent
+    frame(from, data, isBinary) {
+      const record = { event: 'frame', t: Date.now() - startedAt, from, opcode: isBinary ? OPCODES.binary : OPCODES.text };
+      if (isBinary) {
+        Object.assign(record, { payload: Buffer.from(data).toString('base64'), encoding: 'base64' });
+      } else {
+        record.payload = data.toString('utf8');
+      }
+      write(record);
+    },
+
+    close(from, code, reason) {
+      write({ event: 'close', t: Date.now() - startedAt, from, opcode: OPCODES.close, code, reason: String(reason || '') });
+    },
+
+    end() {
+      stopped = true;
+      stream.end();
+    }
+  };
+}
+
+// -> { open, records } with the open line (null when missing) and the
+// frame and close records in order
+function readCapture(file) {
+  const records = [];
+  let open = null;
+  fs.readFileSync(file, 'utf8').split('\n').forEach((line, index) => {
+    if (!line.trim()) {
+      return;
+    }
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (err) {
+      throw new Error(`${file}:${index + 1}: invalid JSON (${err.message})`);
+    }
+    if (record.event === 'open') {
+      open = record;
+    } else if (record.event === 'frame' || record.event === 'close') {
+      records.push(record);
+    }
+  });
+  return { open, records };
+}
+
+const payloadOf = record => Buffer.from(record.payload || '', record.encoding === 'base64' ? 'base64' : 'utf8');
+
+// Send what `from` sent in the capture over ws, spaced as recorded
+// (divided by speed), ending with its close frame if it sent one.
+//
+// options:
+//   from   - 'client' or 'target'
+//   speed  - 2 plays twice as fast, 0 sends everything at once
+//   onSend - (record) before each one goes out
+// -> promise, resolved once the last one went out or ws closed
+function replayFrames(ws, records, options = {}) {
+  const { from, speed = 1, onSend = () => {} } = options;
+  const own = records.filter(record => record.from === from);
+  const startedAt = Date.now();
+
+  return new Promise((resolve) => {
+    let index = 0;
+    let timer = null;
+    ws.once('close', () => {
+      clearTimeout(timer);
+      resolve();
+    });
+
+    const send = (record) => {
+      onSend(record);
+      if (record.event === 'frame') {
+        ws.send(payloadOf(record), { binary: record.opcode === OPCODES.binary });
+      } else if (UNSENDABLE_CODES.has(record.code)) {
+        // The recorded side vanished without a close frame of its own
+        if (record.code === 1005) {
+          ws.close();
+        } else {
+          ws.terminate();
+        }
+      } else {
+        ws.close(record.code, record.reason);
+      }
+    };
+
+    const next = () => {
+      if (ws.readyState !== WebSocket.OPEN || index >= own.length) {
+        resolve();
+        return;
+      }
+      const record = own[index];
+      const due = speed > 0 ? record.t / speed - (Date.now() - startedAt) : 0;
+      timer = setTimeout(() => {
+        index += 1;
+        send(record);
+        next();
+      }, Math.max(0, due));
+    };
+    next();
+  });
+}
+
+module.exports = {
+  DEFAULT_MAX_BYTES,
+  OPCODES,
+  createFrameCapture,
+  payloadOf,
+  readCapture,
+  replayFrames
+};
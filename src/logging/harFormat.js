@@ -0,0 +1,229 @@
+const http = require('http');
+const zlib = require('zlib');
+const { contentCodings } = require('../core/bodyPipeline');
+
+// HAR 1.2 (http://www.softwareishard.com/blog/har-12-spec/) entries for
+// proxied HTTP exchanges, as the HAR recorder feature collects them. The
+// files open in browser devtools (Network panel, "Import HAR file").
+//
+// A recorded exchange is
+//
+//   { startedAt, sentAt, respondedAt, finishedAt, clientAddress, user, route,
+//     method, url, httpVersion, requestHeaders (raw [name, value, ...]),
+//     requestBody, statusCode, responseHeaders ({ name: value | [values] }),
+//     responseBody, bytesSent, bytesReceived }
+//
+// with the times in ms and each body null (not recorded) or
+// { data: Buffer, size, truncated }.
+
+const CREATOR = { name: 'proxy-har-recorder', version: '1.0' };
+
+// Bodies shown as text rather than base64
+const TEXT_TYPE = /^text\/|[/+](json|xml|javascript|ecmascript|x-www-form-urlencoded)\b/i;
+
+const pairs = entries => entries.map(([name, value]) => ({ name, value: String(value) }));
+
+// { name: value | [values] } -> [[name, value], ...]
+const headerEntries = headers => Object.entries(headers || {})
+  .flatMap(([name, value]) => [].concat(value).map(item => [name, item]));
+
+function rawHeaderEntries(rawHeaders) {
+  const entries = [];
+  for (let i = 0; i < rawHeaders.length; i += 2) {
+    entries.push([rawHeaders[i], rawHeaders[i + 1]]);
+  }
+  return entries;
+}
+
+const headerValue = (entries, wanted) => {
+  const found = entries.find(([name]) => name.toLowerCase() === wanted);
+  return found ? String(found[1]) : undefined;
+};
+
+function requestCookies(entries) {
+  return entries
+    .filter(([name]) => name.toLowerCase() === 'cookie')
+    .flatMap(([, value]) => String(value).split(';'))
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const index = part.indexOf('=');
+      return index === -1 ? { name: part, value: '' } : { name: part.slice(0, index), value: part.slice(index + 1) };
+    });
+}
+
+function responseCookies(entries) {
+  return entries
+    .filter(([name]) => name.toLowerCase() === 'set-cookie')
+    .map(([, value]) => {
+      const [pair, ...attributes] = String(value).split(';').map(part => part.trim());
+      const index = pair.indexOf('=');
+      const cookie = index === -1 ? { name: pair, value: '' } : { name: pair.slice(0, index), value: pair.slice(index + 1) };
+      attributes.forEach((attribute) => {
+        const [key, ...rest] = attribute.split('=');
+        const attributeValue = rest.join('=');
+        switch (key.toLowerCase()) {
+          case 'path': cookie.path = attributeValue; break;
+          case 'domain': cookie.domain = attributeValue; break;
+          case 'expires': {
+            const expires = new Date(attributeValue);
+            if (!Number.isNaN(expires.getTime())) {
+              cookie.expires = expires.toISOString();
+            }
+            break;
+          }
+          case 'httponly': cookie.httpOnly = true; break;
+          case 'secure': cookie.secure = true; break;
+          default: break;
+        }
+      });
+      return cookie;
+    });
+}
+
+// Undo the content codings so devtools shows the body; a body cut off by
+// the size cap decodes as far as it goes. null when it can't be decoded.
+function decodeBody(data, codings) {
+  let decoded = data;
+  try {
+    for (const coding of [...codings].reverse()) {
+      if (coding === 'gzip') {
+        decoded = zlib.gunzipSync(decoded, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+      } else if (coding === 'br') {
+        decoded = zlib.brotliDecompressSync(decoded, { finishFlush: zlib.constants.BROTLI_OPERATION_FLUSH });
+      } else if (coding === 'deflate') {
+        // zlib-wrapped as the RFC says, or raw as some servers send it
+        decoded = (decoded[0] & 0x0f) === 0x08
+          ? zlib.inflateSync(decoded, { finishFlush: zlib.constants.Z_SYNC_FLUSH })
+          : zlib.inflateRawSync(decoded, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+      } else {
+        return null;
+      }
+    }
+  } catch (err) {
+    return null;
+  }
+  return decoded;
+}
+
+// { text, encoding?, comment? } for a recorded body
+function bodyText(body, mimeType, codings = []) {
+  const decoded = codings.length > 0 ? decodeBody(body.data, codings) : body.data;
+  const notes = [];
+  if (body.truncated) {
+    notes.push(`truncated to the first ${body.data.length} of ${body.size} bytes`);
+  }
+  let content;
+  if (!decoded) {
+    notes.push(`still ${codings.join(', ')} encoded`);
+    content = { text: body.data.toString('base64'), encoding: 'base64' };
+  } else if (TEXT_TYPE.test(mimeType)) {
+    content = { text: decoded.toString('utf8') };
+  } else {
+    content = { text: decoded.toString('base64'), encoding: 'base64' };
+  }
+  if (notes.length > 0) {
+    content.comment = notes.join('; ');
+  }
+  return { content, decodedSize: decoded && !body.truncated ? decoded.length : null };
+}
+
+function queryString(url) {
+  try {
+    return pairs([...new URL(url).searchParams]);
+  } catch (err) {
+    return [];
+  }
+}
+
+// Phases of the exchange in ms, -1 where the proxy can't tell them apart:
+// blocked covers everything before the request went upstream (auth,
+// resolution, connecting), wait the time to the response headers and
+// receive the body
+function timings(exchange) {
+  const end = exchange.finishedAt;
+  const sentAt = exchange.sentAt || end;
+  const respondedAt = exchange.respondedAt || end;
+  return {
+    blocked: Math.max(0, sentAt - exchange.startedAt),
+    dns: -1,
+    connect: -1,
+    send: 0,
+    wait: Math.max(0, respondedAt - sentAt),
+    receive: Math.max(0, end - respondedAt),
+    ssl: -1
+  };
+}
+
+// One HAR entry for a recorded exchange
+function harEntry(exchange) {
+  const requestHeaders = rawHeaderEntries(exchange.requestHeaders);
+  const responseHeaders = headerEntries(exchange.responseHeaders);
+  const httpVersion = `HTTP/${exchange.httpVersion}`;
+  const phases = timings(exchange);
+
+  const request = {
+    method: exchange.method,
+    url: exchange.url,
+    httpVersion,
+    cookies: requestCookies(requestHeaders),
+    headers: pairs(requestHeaders),
+    queryString: queryString(exchange.url),
+    headersSize: -1,
+    bodySize: exchange.bytesSent
+  };
+  if (exchange.requestBody && exchange.requestBody.size > 0) {
+    const mimeType = headerValue(requestHeaders, 'content-type') || 'application/octet-stream';
+    const { content } = bodyText(exchange.requestBody, mimeType);
+    request.postData = { mimeType, params: [], ...content };
+  }
+
+  const mimeType = headerValue(responseHeaders, 'content-type') || '';
+  const content = { size: exchange.bytesReceived, mimeType };
+  if (exchange.responseBody) {
+    const body = bodyText(exchange.responseBody, mimeType, contentCodings(exchange.responseHeaders || {}));
+    Object.assign(content, body.content);
+    if (body.decodedSize !== null) {
+      content.size = body.decodedSize;
+      content.compression = body.decodedSize - exchange.bytesReceived;
+    }
+  }
+
+  const entry = {
+    startedDateTime: new Date(exchange.startedAt).toISOString(),
+    time: Object.values(phases).filter(value => value > 0).reduce((sum, value) => sum + value, 0),
+    request,
+    response: {
+      // 0 for exchanges that ended before a response went out
+      status: exchange.statusCode || 0,
+      statusText: http.STATUS_CODES[exchange.statusCode] || '',
+      httpVersion,
+      cookies: responseCookies(responseHeaders),
+      headers: pairs(responseHeaders),
+      content,
+      redirectURL: headerValue(responseHeaders, 'location') || '',
+      headersSize: -1,
+      bodySize: exchange.bytesReceived
+    },
+    cache: {},
+    timings: phases,
+    // Custom fields are prefixed with an underscore (HAR 1.2)
+    _clientAddress: exchange.clientAddress,
+    _route: exchange.route
+  };
+  if (exchange.user) {
+    entry._user = String(exchange.user);
+  }
+  return entry;
+}
+
+// The HAR document for entries
+function harLog(entries, comment) {
+  const log = { version: '1.2', creator: CREATOR, pages: [], entries };
+  if (comment) {
+    log.comment = comment;
+  }
+  return { log };
+}
+
+module.exports = { harEntry, harLog };
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+
+const INTERVALS = {
+  none: 0,
+  hourly: 3600000,
+  daily: 86400000
+};
+
+// Start of the next UTC hour/day after now
+const nextBoundary = (now, interval) => (interval ? Math.floor(now / interval) * interval + interval : Infinity);
+
+// 2026-10-19T11:50:00.123Z -> 2026-10-19T11-50-00-123Z, sortable and safe in file names
+const fileStamp = date => date.toISOString().replace(/[:.]/g, '-');
+
+// Append-only log file that rotates by size and/or time. The current file
+// keeps its name; rotated files get a timestamp suffix (access.log.<stamp>)
+// and only the newest maxFiles of them are kept.
+//
+// options:
+//   file     - path of the live log file (its directory is created)
+//   maxSize  - bytes before rotating (0 = no size limit)
+//   interval - 'hourly', 'daily' or 'none', on UTC boundaries
+//   maxFiles - rotated files to keep (0 = keep all)
+//   onError  - called with write/rotate errors (they never throw)
+function createRotatingFile(options) {
+  const { file, maxSize = 0, interval = 'none', maxFiles = 0, onError = () => {} } = options;
+  if (!(interval in INTERVALS)) {
+    throw new Error(`Unknown rotation interval "${interval}" (expected one of ${Object.keys(INTERVALS).join(', ')})`);
+  }
+  const period = INTERVALS[interval];
+  const dir = path.dirname(file);
+  const base = path.basename(file);
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  let stream = null;
+  let size = 0;
+  let rotateAt = Infinity;
+
+  // A file left over from an earlier period rotates on the first write
+  function open() {
+    let modified = Date.now();
+    try {
+      const stats = fs.statSync(file);
+      size = stats.size;
+      modified = stats.mtimeMs;
+    } catch (err) {
+      size = 0;
+    }
+    rotateAt = nextBoundary(modified, period);
+    stream = fs.createWriteStream(file, { flags: 'a' });
+    stream.on('error', onError);
+  }
+
+  // Drop the oldest rotated files beyond maxFiles
+  function prune() {
+    if (!maxFiles) {
+      return;
+    }
+    fs.readdir(dir, (err, names) => {
+      if (err) {
+        onError(err);
+        return;
+      }
+      const rotated = names.filter(name => name.startsWith(`${base}.`)).sort();
+      rotated.slice(0, Math.max(0, rotated.length - maxFiles)).forEach((name) => {
+        fs.unlink(path.join(dir, name), unlinkErr => unlinkErr && onError(unlinkErr));
+      });
+    });
+  }
+
+  // Writes still queued on the old stream land in the renamed file, since
+  // the stream keeps its descriptor across the rename
+  function rotate() {
+    stream.end();
+    try {
+      fs.renameSync(file, path.join(dir, `${base}.${fileStamp(new Date())}`));
+    } catch (err) {
+      onError(err);
+    }
+    open();
+    prune();
+  }
+
+  open();
+
+  return {
+    file,
+
+    write(line) {
+      const bytes = Buffer.byteLength(line);
+      if (size > 0 && ((maxSize && size + bytes > maxSize) || Date.now() >= rotateAt)) {
+        rotate();
+      }
+      size += bytes;
+      stream.write(line);
+    },
+
+    close() {
+      return new Promise(resolve => stream.end(resolve));
+    }
+  };
+}
+
+module.exports = { INTERVALS, createRotatingFile };
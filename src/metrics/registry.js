@@ -0,0 +1,115 @@
+// Minimal Prometheus registry: counters, gauges and histograms with labels,
+// rendered in the text exposition format (version 0.0.4).
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds - covers a local cache hit up to a slow upstream through a chain
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labelNames, values, extra = '') {
+  const pairs = labelNames.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+  if (extra) {
+    pairs.push(extra);
+  }
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+const formatValue = value => (value === Infinity ? '+Inf' : String(value));
+
+function createRegistry() {
+  const metrics = [];
+
+  // Series are keyed by their label values in labelNames order
+  function define(type, name, help, labelNames) {
+    const series = new Map();
+    const keyFor = (labels = {}) => labelNames.map(label => (labels[label] === undefined ? '' : labels[label]));
+
+    const metric = { type, name, help, labelNames, series, keyFor };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function seriesFor(metric, labels, create) {
+    const values = metric.keyFor(labels);
+    const key = JSON.stringify(values);
+    if (!metric.series.has(key)) {
+      metric.series.set(key, { values, ...create() });
+    }
+    return metric.series.get(key);
+  }
+
+  return {
+    counter(name, help, labelNames = []) {
+      const metric = define('counter', name, help, labelNames);
+      return {
+        inc(labels, amount = 1) {
+          seriesFor(metric, labels, () => ({ value: 0 })).value += amount;
+        }
+      };
+    },
+
+    gauge(name, help, labelNames = []) {
+      const metric = define('gauge', name, help, labelNames);
+      return {
+        inc(labels, amount = 1) {
+          seriesFor(metric, labels, () => ({ value: 0 })).value += amount;
+        },
+        dec(labels, amount = 1) {
+          seriesFor(metric, labels, () => ({ value: 0 })).value -= amount;
+        },
+        set(labels, value) {
+          seriesFor(metric, labels, () => ({ value: 0 })).value = value;
+        }
+      };
+    },
+
+    histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+      const metric = define('histogram', name, help, labelNames);
+      metric.buckets = [...buckets].sort((a, b) => a - b);
+      return {
+        observe(labels, value) {
+          const series = seriesFor(metric, labels, () => ({
+            counts: new Array(metric.buckets.length).fill(0),
+            sum: 0,
+            count: 0
+          }));
+          metric.buckets.forEach((bound, i) => {
+            if (value <= bound) {
+              series.counts[i]++;
+            }
+          });
+          series.sum += value;
+          series.count++;
+        }
+      };
+    },
+
+    // Text exposition of every metric
+    render() {
+      const lines = [];
+      for (const metric of metrics) {
+        lines.push(`# HELP ${metric.name} ${metric.help}`);
+        lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+        for (const series of metric.series.values()) {
+          if (metric.type !== 'histogram') {
+            lines.push(`${metric.name}${formatLabels(metric.labelNames, series.values)} ${formatValue(series.value)}`);
+            continue;
+          }
+          metric.buckets.forEach((bound, i) => {
+            const le = `le="${formatValue(bound)}"`;
+            lines.push(`${metric.name}_bucket${formatLabels(metric.labelNames, series.values, le)} ${series.counts[i]}`);
+          });
+          lines.push(`${metric.name}_bucket${formatLabels(metric.labelNames, series.values, 'le="+Inf"')} ${series.count}`);
+          lines.push(`${metric.name}_sum${formatLabels(metric.labelNames, series.values)} ${series.sum}`);
+          lines.push(`${metric.name}_count${formatLabels(metric.labelNames, series.values)} ${series.count}`);
+        }
+      }
+      return `${lines.join('\n')}\n`;
+    }
+  };
+}
+
+module.exports = { CONTENT_TYPE, DEFAULT_BUCKETS, createRegistry };
@@ -0,0 +1,280 @@
+const net = require('net');
+const dns = require('dns');
+const { matchesHostPattern } = require('./hostPattern');
+const { formatHostPort } = require('./hostPort');
+
+// Destination policy shared by every entry point (HTTP, CONNECT, Upgrade,
+// SOCKS, jproxy.js, sockProxy.js): allow/deny rules by hostname wildcard,
+// CIDR and port, checked against the address actually dialed so a public
+// name that resolves to a private address is still caught.
+//
+// A rule is { action: 'allow' | 'deny', host, cidr, ports } where host and
+// cidr may be a string or a list, and ports a list of numbers or 'low-high'
+// ranges. Every field a rule sets must match; the first matching rule wins.
+// Unmatched destinations fall through to the built-in private ranges (when
+// blockPrivate is on) and then to defaultAction.
+
+const ACTIONS = ['allow', 'deny'];
+
+// Loopback, link-local (cloud metadata), RFC 1918, CGNAT, benchmarking,
+// multicast, reserved and their IPv6 counterparts. The IPv6 ranges that
+// carry an IPv4 address (IPv4-compatible, NAT64, 6to4) are blocked whole,
+// or '64:ff9b::a9fe:a9fe' would reach 169.254.169.254.
+const PRIVATE_RANGES = [
+  '0.0.0.0/8',
+  '10.0.0.0/8',
+  '100.64.0.0/10',
+  '127.0.0.0/8',
+  '169.254.0.0/16',
+  '172.16.0.0/12',
+  '192.0.0.0/24',
+  '192.168.0.0/16',
+  '198.18.0.0/15',
+  '224.0.0.0/4',
+  '240.0.0.0/4',
+  '::/96',
+  '::1/128',
+  '64:ff9b::/96',
+  '64:ff9b:1::/48',
+  '2002::/16',
+  'fc00::/7',
+  'fe80::/10',
+  'ff00::/8'
+];
+
+const DENIED_CODE = 'ERR_DESTINATION_DENIED';
+
+// Error thrown for a blocked destination; entry points answer it with 403
+function deniedError(target, address, reason) {
+  const where = address && address !== target.hostname ? `${target.hostname} (${address})` : target.hostname;
+  const err = new Error(`Destination ${formatHostPort(where, target.port)} is not allowed: ${reason}`);
+  err.code = DENIED_CODE;
+  err.statusCode = 403;
+  return err;
+}
+
+const isDestinationDenied = err => Boolean(err && err.code === DENIED_CODE);
+
+// Raw 403 for entry points that only hold a socket (CONNECT, Upgrade)
+function forbiddenResponse(err) {
+  const body = `Forbidden: ${err.message}`;
+  return 'HTTP/1.1 403 Forbidden\r\n' +
+    'Content-Type: text/plain\r\n' +
+    `Content-Length: ${Buffer.byteLength(body)}\r\n` +
+    'Connection: close\r\n\r\n' +
+    body;
+}
+
+// '::ffff:10.0.0.1' is checked as the IPv4 address it carries
+const unmapAddress = address => String(address).replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+
+const toList = value => (value === undefined || value === null ? [] : [].concat(value));
+
+function addSubnet(blockList, cidr, where) {
+  const [address, prefixText] = String(cidr).split('/');
+  const family = net.isIP(address);
+  if (!family) {
+    throw new Error(`${where}: invalid cidr "${cidr}"`);
+  }
+  const maxPrefix = family === 4 ? 32 : 128;
+  const prefix = prefixText === undefined ? maxPrefix : Number(prefixText);
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix) {
+    throw new Error(`${where}: invalid prefix in "${cidr}"`);
+  }
+  blockList.addSubnet(address, prefix, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function parsePorts(ports, where) {
+  return toList(ports).map((entry) => {
+    const [low, high = low] = String(entry).split('-').map(Number);
+    if (!Number.isInteger(low) || !Number.isInteger(high) || low < 1 || high > 65535 || low > high) {
+      throw new Error(`${where}: invalid port "${entry}"`);
+    }
+    return [low, high];
+  });
+}
+
+function normalizeRule(rule, index) {
+  const where = `destination rule ${index}`;
+  if (!rule || typeof rule !== 'object') {
+    throw new Error(`${where}: must be an object`);
+  }
+  if (!ACTIONS.includes(rule.action)) {
+    throw new Error(`${where}: action must be one of ${ACTIONS.join(', ')}`);
+  }
+
+  const hosts = toList(rule.host).map(String);
+  const cidrs = toList(rule.cidr);
+  const ports = parsePorts(rule.ports, where);
+  if (hosts.length === 0 && cidrs.length === 0 && ports.length === 0) {
+    throw new Error(`${where}: needs at least one of host, cidr or ports`);
+  }
+
+  let subnets = null;
+  if (cidrs.length > 0) {
+    subnets = new net.BlockList();
+    cidrs.forEach(cidr => addSubnet(subnets, cidr, where));
+  }
+
+  return { action: rule.action, hosts, subnets, ports, source: rule };
+}
+
+const inSubnets = (blockList, address) => blockList.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// CIDRs or single addresses -> (address) => true when it is in one of them,
+// for features selecting clients by address
+function createSubnetMatcher(cidrs, where) {
+  const subnets = new net.BlockList();
+  cidrs.forEach(cidr => addSubnet(subnets, cidr, where));
+  return (address) => {
+    const ip = unmapAddress(address || '');
+    return net.isIP(ip) !== 0 && inSubnets(subnets, ip);
+  };
+}
+
+// "10.0.0.0/8, *.internal, 169.254.169.254" (or a list of such entries) ->
+// rules with the given action, for policies configured from an environment variable
+function parseRuleList(entries, action) {
+  return [].concat(entries || []).join(',')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => (net.isIP(entry.split('/')[0]) ? { action, cidr: entry } : { action, host: entry }));
+}
+
+// DESTINATION_DENY and DESTINATION_ALLOW, denies first
+function rulesFromEnv(env = process.env) {
+  return [
+    ...parseRuleList(env.DESTINATION_DENY, 'deny'),
+    ...parseRuleList(env.DESTINATION_ALLOW, 'allow')
+  ];
+}
+
+// options:
+//   rules         - ordered allow/deny rules (see above)
+//   blockPrivate  - deny loopback, link-local and private ranges no rule allowed
+//   defaultAction - 'allow' or 'deny' for everything else
+function createDestinationPolicy(options = {}) {
+  const { blockPrivate = true, defaultAction = 'allow' } = options;
+  if (!ACTIONS.includes(defaultAction)) {
+    throw new Error(`destination policy: defaultAction must be one of ${ACTIONS.join(', ')}`);
+  }
+  const rules = (options.rules || []).map(normalizeRule);
+
+  const privateRanges = new net.BlockList();
+  PRIVATE_RANGES.forEach(cidr => addSubnet(privateRanges, cidr, 'private ranges'));
+
+  // Does rule match? undefined when it needs an address that isn't known yet
+  function ruleMatches(rule, target, address) {
+    if (rule.hosts.length > 0 && !rule.hosts.some(pattern => matchesHostPattern(target.hostname, pattern))) {
+      return false;
+    }
+    if (rule.ports.length > 0 && !rule.ports.some(([low, high]) => target.port >= low && target.port <= high)) {
+      return false;
+    }
+    if (rule.subnets) {
+      return address ? inSubnets(rule.subnets, address) : undefined;
+    }
+    return true;
+  }
+
+  // -> { action, reason }, or null while the outcome depends on the address
+  function evaluate(target, address) {
+    const ip = address ? unmapAddress(address) : null;
+    for (let i = 0; i < rules.length; i++) {
+      const matched = ruleMatches(rules[i], target, ip);
+      if (matched === undefined) {
+        return null;
+      }
+      if (matched) {
+        return { action: rules[i].action, reason: `rule ${i} (${rules[i].action})` };
+      }
+    }
+    if (blockPrivate) {
+      if (!ip) {
+        return null;
+      }
+      if (inSubnets(privateRanges, ip)) {
+        return { action: 'deny', reason: 'private or reserved address' };
+      }
+    }
+    return { action: defaultAction, reason: 'default policy' };
+  }
+
+  const policy = {
+    rules,
+    blockPrivate,
+    defaultAction,
+    evaluate,
+
+    // Check { hostname, port } before it is resolved (or when it is not
+    // resolved locally at all, as behind an upstream proxy). IP literals get
+    // the full address check.
+    checkTarget(target) {
+      const address = net.isIP(target.hostname) ? target.hostname : null;
+      const decision = evaluate(target, address);
+      if (decision && decision.action === 'deny') {
+        throw deniedError(target, address, decision.reason);
+      }
+    },
+
+    // Keep the resolved [{ address, family }] the policy allows; throws when none are left
+    filterAddresses(target, addresses) {
+      let lastReason = 'no addresses';
+      const allowed = addresses.filter(({ address }) => {
+        const decision = evaluate(target, address);
+        if (decision.action === 'deny') {
+          lastReason = decision.reason;
+          return false;
+        }
+        return true;
+      });
+      if (allowed.length === 0) {
+        throw deniedError(target, addresses.length > 0 ? addresses[0].address : null, lastReason);
+      }
+      return allowed;
+    },
+
+    // dns.lookup-compatible function for http.request / net.connect / ws that
+    // only hands out allowed addresses, so the check and the dial see the same IP
+    lookup(port) {
+      return (hostname, lookupOptions, callback) => {
+        if (typeof lookupOptions === 'function') {
+          callback = lookupOptions;
+          lookupOptions = {};
+        }
+        const family = typeof lookupOptions === 'number' ? lookupOptions : lookupOptions.family;
+        dns.lookup(hostname, { all: true, family }, (err, records) => {
+          if (err) {
+            callback(err);
+            return;
+          }
+          let allowed;
+          try {
+            allowed = policy.filterAddresses({ hostname, port }, records);
+          } catch (deniedErr) {
+            callback(deniedErr);
+            return;
+          }
+          if (lookupOptions.all) {
+            callback(null, allowed);
+          } else {
+            callback(null, allowed[0].address, allowed[0].family);
+          }
+        });
+      };
+    }
+  };
+  return policy;
+}
+
+module.exports = {
+  PRIVATE_RANGES,
+  createDestinationPolicy,
+  createSubnetMatcher,
+  deniedError,
+  forbiddenResponse,
+  isDestinationDenied,
+  parseRuleList,
+  rulesFromEnv
+};
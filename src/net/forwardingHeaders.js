@@ -0,0 +1,145 @@
+// Header forwarding rules shared by the proxy core, its header policy
+// feature and jproxy.js.
+//
+// Hop-by-hop headers (RFC 9110 7.6.1) describe one connection and are never
+// forwarded, whatever the policy: the fixed set below plus every header the
+// Connection field names. Proxy-Authorization / Proxy-Authenticate belong to
+// the client <-> proxy hop too (RFC 9110 11.7).
+//
+// On top of that a named policy decides what the origin learns about the
+// client:
+//
+//   transparent - announce the proxy: Via, Forwarded (RFC 7239) and X-Forwarded-*
+//   anonymous   - remove headers that reveal a proxy or the client's address
+//   passthrough - forward the end-to-end headers untouched
+
+const HOP_BY_HOP = [
+  'connection',
+  'keep-alive',
+  'proxy-connection',
+  'proxy-authorization',
+  'proxy-authenticate',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade'
+];
+
+const HEADER_POLICIES = ['transparent', 'anonymous', 'passthrough'];
+
+// Headers that reveal the request went through a proxy (removed by 'anonymous')
+const PROXY_HEADERS = [
+  'via',
+  'forwarded',
+  'x-forwarded-for',
+  'x-forwarded-host',
+  'x-forwarded-proto',
+  'x-forwarded-port',
+  'x-real-ip',
+  'client-ip',
+  'true-client-ip'
+];
+
+const fieldValues = value => [].concat(value === undefined ? [] : value)
+  .join(',')
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+// Copy of headers without the hop-by-hop ones (Node-style, lower-case names)
+function stripHopByHop(headers) {
+  const stripped = { ...headers };
+  for (const name of fieldValues(headers.connection)) {
+    delete stripped[name.toLowerCase()];
+  }
+  HOP_BY_HOP.forEach(name => delete stripped[name]);
+  return stripped;
+}
+
+// Append to a list-valued header
+const appendValue = (value, item) => (value ? `${fieldValues(value).join(', ')}, ${item}` : item);
+
+// '::ffff:10.0.0.1' -> '10.0.0.1'
+const plainAddress = address => String(address || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+
+// Forwarded node (RFC 7239 6): IPv6 in brackets and quoted, unknown when absent
+function forwardedNode(address) {
+  const plain = plainAddress(address);
+  if (!plain) {
+    return 'unknown';
+  }
+  return plain.includes(':') ? `"[${plain}]"` : plain;
+}
+
+const quoteIfNeeded = value => (/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(value) ? value : `"${String(value).replace(/["\\]/g, '\\$&')}"`);
+
+// "1.1" for HTTP/1.1, "2" for HTTP/2 (RFC 9110 7.6.3)
+const viaProtocol = httpVersion => (httpVersion === '2.0' ? '2' : httpVersion || '1.1');
+
+// Add this hop to Via
+function addVia(headers, { httpVersion, pseudonym }) {
+  headers.via = appendValue(headers.via, `${viaProtocol(httpVersion)} ${pseudonym}`);
+  return headers;
+}
+
+// Apply a named policy to headers going upstream.
+//   info: { clientAddress, host, proto, httpVersion, pseudonym }
+function applyRequestPolicy(policy, headers, info) {
+  if (policy === 'anonymous') {
+    PROXY_HEADERS.forEach(name => delete headers[name]);
+    return headers;
+  }
+  if (policy !== 'transparent') {
+    return headers;
+  }
+  const client = plainAddress(info.clientAddress);
+  const forwarded = [`for=${forwardedNode(info.clientAddress)}`];
+  if (info.host) {
+    forwarded.push(`host=${quoteIfNeeded(info.host)}`);
+  }
+  if (info.proto) {
+    forwarded.push(`proto=${info.proto}`);
+  }
+  addVia(headers, info);
+  headers.forwarded = appendValue(headers.forwarded, forwarded.join(';'));
+  if (client) {
+    headers['x-forwarded-for'] = appendValue(headers['x-forwarded-for'], client);
+  }
+  // The first proxy's view of host and scheme is the one that counts
+  if (info.host && !headers['x-forwarded-host']) {
+    headers['x-forwarded-host'] = info.host;
+  }
+  if (info.proto && !headers['x-forwarded-proto']) {
+    headers['x-forwarded-proto'] = info.proto;
+  }
+  return headers;
+}
+
+// Apply a named policy to headers coming back to the client
+function applyResponsePolicy(policy, headers, info) {
+  if (policy === 'transparent') {
+    return addVia(headers, info);
+  }
+  if (policy === 'anonymous') {
+    delete headers.via;
+  }
+  return headers;
+}
+
+// Validate a policy name from options or config
+function checkPolicy(policy, where) {
+  if (!HEADER_POLICIES.includes(policy)) {
+    throw new Error(`${where}: unknown header policy "${policy}" (expected ${HEADER_POLICIES.join(', ')})`);
+  }
+  return policy;
+}
+
+module.exports = {
+  HEADER_POLICIES,
+  HOP_BY_HOP,
+  PROXY_HEADERS,
+  applyRequestPolicy,
+  applyResponsePolicy,
+  checkPolicy,
+  stripHopByHop
+};
@@ -0,0 +1,155 @@
+const net = require('net');
+
+// Dual-stack helpers: resolve A and AAAA side by side, order the results by the
+// configured family preference and hand them to Node's RFC 8305 connector
+// (autoSelectFamily), which races the addresses with a staggered attempt delay.
+
+// Supported preferences:
+//   'ipv6'     - RFC 8305 default, IPv6 first then alternate families
+//   'ipv4'     - IPv4 first then alternate families
+//   'ipv6only' - never use IPv4 addresses
+//   'ipv4only' - never query or use AAAA records
+const FAMILY_PREFERENCES = ['ipv6', 'ipv4', 'ipv6only', 'ipv4only'];
+
+// RFC 8305 section 5 recommends 250ms between connection attempts
+const DEFAULT_ATTEMPT_DELAY = 250;
+
+// RFC 8305 section 3 recommends waiting 50ms for the preferred family once
+// the other one answered
+const RESOLUTION_DELAY = 50;
+
+function normalizePreference(preference) {
+  const value = String(preference || 'ipv6').toLowerCase();
+  if (!FAMILY_PREFERENCES.includes(value)) {
+    throw new Error(`Unknown address family preference "${preference}" (expected one of ${FAMILY_PREFERENCES.join(', ')})`);
+  }
+  return value;
+}
+
+// Families to query for a preference, most preferred first
+function familiesFor(preference) {
+  switch (normalizePreference(preference)) {
+    case 'ipv4only': return [4];
+    case 'ipv6only': return [6];
+    case 'ipv4': return [4, 6];
+    default: return [6, 4];
+  }
+}
+
+// Interleave addresses by family (RFC 8305 section 4), preferred family first
+function orderAddresses(records, preference) {
+  const families = familiesFor(preference);
+  const byFamily = families.map(family => records.filter(r => r.family === family));
+  const ordered = [];
+  const longest = Math.max(0, ...byFamily.map(list => list.length));
+
+  for (let i = 0; i < longest; i++) {
+    for (const list of byFamily) {
+      if (i < list.length) ordered.push(list[i]);
+    }
+  }
+  return ordered;
+}
+
+// Resolve every family allowed by the preference in parallel and settle on
+// the first usable answer (RFC 8305 section 3): the preferred family's right
+// away, the other one after RESOLUTION_DELAY unless the preferred family
+// answers in the meantime. A family still resolving is left out.
+// resolveFamily(hostname, family) resolves with an array of address strings.
+// Resolves with ordered [{ address, family }]; rejects only if every family failed.
+async function resolveDualStack(hostname, resolveFamily, preference, resolutionDelay = RESOLUTION_DELAY) {
+  const family = net.isIP(hostname);
+  if (family) {
+    return [{ address: hostname, family }];
+  }
+
+  const families = familiesFor(preference);
+  // index -> { addresses } or { error }, null while resolving
+  const outcomes = families.map(() => null);
+  const usable = outcome => Boolean(outcome && outcome.addresses && outcome.addresses.length > 0);
+
+  await new Promise((resolve) => {
+    let delay = null;
+    const settle = () => {
+      const [preferred, other] = outcomes;
+      if (usable(preferred) || outcomes.every(Boolean)) {
+        clearTimeout(delay);
+        resolve();
+      } else if (usable(other) && !delay) {
+        delay = setTimeout(resolve, resolutionDelay);
+      }
+    };
+    families.forEach((f, index) => {
+      Promise.resolve()
+        .then(() => resolveFamily(hostname, f))
+        .then(addresses => ({ addresses }), error => ({ error }))
+        .then((outcome) => {
+          outcomes[index] = outcome;
+          settle();
+        });
+    });
+  });
+
+  const records = [];
+  outcomes.forEach((outcome, index) => {
+    if (usable(outcome)) {
+      for (const address of outcome.addresses) {
+        records.push({ address, family: families[index] });
+      }
+    }
+  });
+
+  if (records.length === 0) {
+    // Report the failure for the preferred family - it is the most meaningful one
+    const failed = outcomes.find(outcome => outcome && outcome.error);
+    throw failed ? failed.error : new Error(`No addresses for ${hostname}`);
+  }
+  return orderAddresses(records, preference);
+}
+
+// dns.lookup-compatible function that answers from already-resolved records
+function createStaticLookup(records) {
+  return (hostname, options, callback) => {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    const wanted = typeof options === 'number' ? options : options.family;
+    const candidates = wanted === 4 || wanted === 6 ? records.filter(r => r.family === wanted) : records;
+
+    if (candidates.length === 0) {
+      const err = new Error(`No usable addresses for ${hostname}`);
+      err.code = 'ENOTFOUND';
+      process.nextTick(callback, err);
+      return;
+    }
+
+    if (options.all) {
+      process.nextTick(callback, null, candidates.map(({ address, family }) => ({ address, family })));
+    } else {
+      process.nextTick(callback, null, candidates[0].address, candidates[0].family);
+    }
+  };
+}
+
+// Options to spread into net.connect / tls.connect / http.request so the
+// connection races the resolved addresses instead of dialling just one
+function happyEyeballsOptions(records, attemptDelay = DEFAULT_ATTEMPT_DELAY) {
+  return {
+    lookup: createStaticLookup(records),
+    autoSelectFamily: true,
+    autoSelectFamilyAttemptTimeout: attemptDelay
+  };
+}
+
+module.exports = {
+  FAMILY_PREFERENCES,
+  DEFAULT_ATTEMPT_DELAY,
+  RESOLUTION_DELAY,
+  normalizePreference,
+  familiesFor,
+  orderAddresses,
+  resolveDualStack,
+  createStaticLookup,
+  happyEyeballsOptions
+};
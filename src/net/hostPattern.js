@@ -0,0 +1,24 @@
+// Hostname wildcard matching used by fronting maps and per-host rules.
+//   'example.com'    - exact match
+//   '*.example.com'  - example.com and any subdomain of it
+//   '*'              - any host
+function matchesHostPattern(hostname, pattern) {
+  const host = String(hostname || '').toLowerCase().replace(/\.$/, '');
+  const rule = String(pattern || '').toLowerCase().replace(/\.$/, '');
+
+  if (rule === '*') {
+    return true;
+  }
+  if (rule.startsWith('*.')) {
+    const base = rule.slice(2);
+    return host === base || host.endsWith(`.${base}`);
+  }
+  return host === rule;
+}
+
+// First pattern in the list that matches, or null
+function findHostPattern(hostname, patterns) {
+  return patterns.find(pattern => matchesHostPattern(hostname, pattern)) || null;
+}
+
+module.exports = { matchesHostPattern, findHostPattern };
@@ -0,0 +1,43 @@
+// Parse a CONNECT-style authority ("host:port", "[v6::addr]:port" or bare host)
+// into { hostname, port }. IPv6 brackets are stripped from the hostname.
+function parseHostPort(authority, defaultPort) {
+  const value = String(authority || '').trim();
+  let hostname = value;
+  let portText = '';
+
+  if (value.startsWith('[')) {
+    const close = value.indexOf(']');
+    if (close === -1) {
+      throw new Error(`Invalid IPv6 authority: ${authority}`);
+    }
+    hostname = value.slice(1, close);
+    if (value[close + 1] === ':') {
+      portText = value.slice(close + 2);
+    }
+  } else {
+    const colon = value.lastIndexOf(':');
+    // More than one colon without brackets is a bare IPv6 address, not host:port
+    if (colon !== -1 && value.indexOf(':') === colon) {
+      hostname = value.slice(0, colon);
+      portText = value.slice(colon + 1);
+    }
+  }
+
+  if (!hostname) {
+    throw new Error(`Missing host in ${authority}`);
+  }
+
+  const port = portText ? parseInt(portText, 10) : defaultPort;
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new Error(`Invalid port in ${authority}`);
+  }
+
+  return { hostname, port };
+}
+
+// Inverse of parseHostPort - brackets IPv6 literals
+function formatHostPort(hostname, port) {
+  return hostname.includes(':') ? `[${hostname}]:${port}` : `${hostname}:${port}`;
+}
+
+module.exports = { parseHostPort, formatHostPort };
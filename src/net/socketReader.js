@@ -0,0 +1,92 @@
+// Pull framed bytes off a socket during a handshake (SOCKS, HTTP CONNECT)
+// before it is handed over to a tunnel. release() stops reading and returns
+// whatever arrived past the handshake.
+function createSocketReader(socket) {
+  let buffered = Buffer.alloc(0);
+  let pending = null;
+  let failure = null;
+
+  const settle = () => {
+    if (!pending) {
+      return;
+    }
+    let size = null;
+    if (!failure) {
+      try {
+        size = pending.size(buffered);
+      } catch (err) {
+        failure = err;
+      }
+    }
+    if (failure) {
+      const { reject } = pending;
+      pending = null;
+      reject(failure);
+      return;
+    }
+    if (size !== null && buffered.length >= size) {
+      const { resolve } = pending;
+      const chunk = buffered.subarray(0, size);
+      buffered = buffered.subarray(size);
+      pending = null;
+      resolve(chunk);
+    }
+  };
+
+  const onData = (chunk) => {
+    buffered = Buffer.concat([buffered, chunk]);
+    settle();
+  };
+  const onEnd = () => {
+    failure = new Error('Connection closed during the handshake');
+    settle();
+  };
+
+  socket.on('data', onData);
+  socket.on('end', onEnd);
+  socket.on('close', onEnd);
+  // A socket handed over from an earlier handshake may still be paused
+  socket.resume();
+
+  // size(buffered) -> number of bytes to take, or null while unknown
+  const readWith = size => new Promise((resolve, reject) => {
+    pending = { size, resolve, reject };
+    settle();
+  });
+
+  return {
+    read: n => readWith(() => n),
+
+    // size(buffered) -> bytes making up the next frame, or null while unknown
+    readFrame: readWith,
+
+    // Bytes up to and including delimiter; fails once max bytes pass without it
+    readUntil(delimiter, max) {
+      return readWith((buffer) => {
+        const index = buffer.indexOf(delimiter);
+        if (index !== -1) {
+          return index + delimiter.length;
+        }
+        if (buffer.length > max) {
+          throw new Error('Handshake field too long');
+        }
+        return null;
+      });
+    },
+
+    // Bytes up to and including a NUL terminator (SOCKS4 user id / hostname)
+    readUntilNull(max = 255) {
+      return this.readUntil(Buffer.from([0]), max);
+    },
+
+    release() {
+      socket.removeListener('data', onData);
+      socket.removeListener('end', onEnd);
+      socket.removeListener('close', onEnd);
+      socket.pause();
+      return buffered;
+    }
+  };
+}
+
+module.exports = { createSocketReader };
@@ -0,0 +1,220 @@
+const net = require('net');
+
+// SOCKS wire format (RFC 1928 SOCKS5, RFC 1929 username/password, SOCKS4/4a)
+
+const SOCKS_VERSION = 0x05;
+const SOCKS4_VERSION = 0x04;
+const AUTH_VERSION = 0x01;
+
+const METHODS = {
+  NO_AUTH: 0x00,
+  USERNAME_PASSWORD: 0x02,
+  NO_ACCEPTABLE: 0xff
+};
+
+const COMMANDS = {
+  CONNECT: 0x01,
+  BIND: 0x02,
+  UDP_ASSOCIATE: 0x03
+};
+
+const ADDRESS_TYPES = {
+  IPV4: 0x01,
+  DOMAIN: 0x03,
+  IPV6: 0x04
+};
+
+const REPLIES = {
+  SUCCEEDED: 0x00,
+  GENERAL_FAILURE: 0x01,
+  NOT_ALLOWED: 0x02,
+  NETWORK_UNREACHABLE: 0x03,
+  HOST_UNREACHABLE: 0x04,
+  CONNECTION_REFUSED: 0x05,
+  TTL_EXPIRED: 0x06,
+  COMMAND_NOT_SUPPORTED: 0x07,
+  ADDRESS_TYPE_NOT_SUPPORTED: 0x08
+};
+
+const SOCKS4_REPLIES = {
+  GRANTED: 0x5a,
+  REJECTED: 0x5b
+};
+
+// Map a connect/resolve error onto the closest SOCKS5 reply code
+function replyForError(err) {
+  switch (err && err.code) {
+    case 'ENOTFOUND':
+    case 'ENODATA':
+    case 'EHOSTUNREACH':
+    case 'ETIMEDOUT':
+      return REPLIES.HOST_UNREACHABLE;
+    case 'ENETUNREACH':
+      return REPLIES.NETWORK_UNREACHABLE;
+    case 'ECONNREFUSED':
+      return REPLIES.CONNECTION_REFUSED;
+    case 'EACCES':
+    case 'EPERM':
+    case 'ERR_DESTINATION_DENIED':
+      return REPLIES.NOT_ALLOWED;
+    default:
+      return REPLIES.GENERAL_FAILURE;
+  }
+}
+
+function ipv6ToBuffer(address) {
+  // Expand "::" and any trailing dotted quad into eight 16-bit groups
+  let text = address;
+  const dotted = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const octets = dotted[1].split('.').map(Number);
+    text = text.slice(0, -dotted[1].length) +
+      ((octets[0] << 8) | octets[1]).toString(16) + ':' + ((octets[2] << 8) | octets[3]).toString(16);
+  }
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail !== undefined && tail ? tail.split(':') : [];
+  const fill = tail !== undefined ? 8 - headGroups.length - tailGroups.length : 0;
+  const groups = [...headGroups, ...new Array(fill).fill('0'), ...tailGroups];
+
+  const buffer = Buffer.alloc(16);
+  groups.forEach((group, i) => buffer.writeUInt16BE(parseInt(group, 16) || 0, i * 2));
+  return buffer;
+}
+
+function bufferToIpv6(buffer) {
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) {
+    groups.push(buffer.readUInt16BE(i).toString(16));
+  }
+  // Compress the longest run of zero groups
+  const joined = groups.join(':');
+  const runs = joined.match(/(^|:)0(:0)+(:|$)/g);
+  if (!runs) {
+    return joined;
+  }
+  const longest = runs.reduce((a, b) => (b.length > a.length ? b : a));
+  return joined.replace(longest, '::');
+}
+
+// ATYP + address + port for replies and UDP headers
+function encodeAddress(host, port) {
+  let address = host || '0.0.0.0';
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    address = mapped[1];
+  }
+
+  let head;
+  const family = net.isIP(address);
+  if (family === 4) {
+    head = Buffer.from([ADDRESS_TYPES.IPV4, ...address.split('.').map(Number)]);
+  } else if (family === 6) {
+    head = Buffer.concat([Buffer.from([ADDRESS_TYPES.IPV6]), ipv6ToBuffer(address)]);
+  } else {
+    const name = Buffer.from(address);
+    head = Buffer.concat([Buffer.from([ADDRESS_TYPES.DOMAIN, name.length]), name]);
+  }
+
+  const portBuffer = Buffer.alloc(2);
+  portBuffer.writeUInt16BE(port || 0);
+  return Buffer.concat([head, portBuffer]);
+}
+
+// Decode ATYP + address + port at offset. Returns { host, port, length }
+// (length in bytes), null if the buffer is too short, or throws for an
+// unknown address type.
+function decodeAddress(buffer, offset = 0) {
+  if (buffer.length < offset + 1) {
+    return null;
+  }
+  const type = buffer[offset];
+  let host;
+  let end;
+
+  if (type === ADDRESS_TYPES.IPV4) {
+    end = offset + 1 + 4;
+    if (buffer.length < end + 2) {
+      return null;
+    }
+    host = Array.from(buffer.subarray(offset + 1, end)).join('.');
+  } else if (type === ADDRESS_TYPES.IPV6) {
+    end = offset + 1 + 16;
+    if (buffer.length < end + 2) {
+      return null;
+    }
+    host = bufferToIpv6(buffer.subarray(offset + 1, end));
+  } else if (type === ADDRESS_TYPES.DOMAIN) {
+    if (buffer.length < offset + 2) {
+      return null;
+    }
+    end = offset + 2 + buffer[offset + 1];
+    if (buffer.length < end + 2) {
+      return null;
+    }
+    host = buffer.subarray(offset + 2, end).toString();
+  } else {
+    const err = new Error(`Unsupported SOCKS address type ${type}`);
+    err.reply = REPLIES.ADDRESS_TYPE_NOT_SUPPORTED;
+    throw err;
+  }
+
+  return { host, port: buffer.readUInt16BE(end), length: end + 2 - offset };
+}
+
+function encodeReply(reply, host, port) {
+  return Buffer.concat([Buffer.from([SOCKS_VERSION, reply, 0x00]), encodeAddress(host, port)]);
+}
+
+function encodeSocks4Reply(reply) {
+  return Buffer.from([0x00, reply, 0, 0, 0, 0, 0, 0]);
+}
+
+// UDP relay datagram: RSV(2) FRAG(1) ATYP DST.ADDR DST.PORT DATA
+function encodeUdpDatagram(host, port, data) {
+  return Buffer.concat([Buffer.from([0x00, 0x00, 0x00]), encodeAddress(host, port), data]);
+}
+
+function decodeUdpDatagram(buffer) {
+  if (buffer.length < 4) {
+    return null;
+  }
+  const address = decodeAddress(buffer, 3);
+  if (!address) {
+    return null;
+  }
+  return {
+    fragment: buffer[2],
+    host: address.host,
+    port: address.port,
+    data: buffer.subarray(3 + address.length)
+  };
+}
+
+// Read ATYP + address + port off a socket reader -> { host, port }
+async function readAddress(reader) {
+  const bytes = await reader.readFrame((buffer) => {
+    const address = decodeAddress(buffer);
+    return address ? address.length : null;
+  });
+  return decodeAddress(bytes);
+}
+
+module.exports = {
+  SOCKS_VERSION,
+  SOCKS4_VERSION,
+  AUTH_VERSION,
+  METHODS,
+  COMMANDS,
+  ADDRESS_TYPES,
+  REPLIES,
+  SOCKS4_REPLIES,
+  replyForError,
+  encodeAddress,
+  decodeAddress,
+  encodeReply,
+  encodeSocks4Reply,
+  encodeUdpDatagram,
+  decodeUdpDatagram,
+  readAddress
+};
@@ -0,0 +1,292 @@
+const net = require('net');
+const dgram = require('dgram');
+const {
+  SOCKS_VERSION,
+  SOCKS4_VERSION,
+  AUTH_VERSION,
+  METHODS,
+  COMMANDS,
+  REPLIES,
+  SOCKS4_REPLIES,
+  replyForError,
+  encodeReply,
+  encodeSocks4Reply,
+  encodeUdpDatagram,
+  decodeUdpDatagram,
+  readAddress
+} = require('./socksProtocol');
+const { createSocketReader } = require('../net/socketReader');
+const { isDestinationDenied } = require('../net/destinationPolicy');
+
+const unmapAddress = address => String(address).replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+
+// SOCKS5 server (plus SOCKS4/4a) on top of a proxy core: targets are
+// resolved and connected through core.connectTarget, tunnels run through
+// core.openTunnel and credentials are checked with core.verifyCredentials,
+// so DNS, multi-hop, shaping, auth and the destination policy behave exactly
+// as for HTTP CONNECT.
+//
+// options:
+//   udp              - allow UDP ASSOCIATE
+//   socks4           - accept SOCKS4/4a CONNECT (only when no credentials are required)
+//   handshakeTimeout - ms allowed for the greeting, auth and request
+//   udpIdleTimeout   - ms without datagrams before an association is closed (0 = none)
+function createSocksServer(core, options = {}) {
+  const { log } = core;
+  const {
+    udp = true,
+    socks4 = true,
+    handshakeTimeout = 10000,
+    udpIdleTimeout = 120000
+  } = options;
+
+  // Connect to the target and hand the client socket over to the tunnel
+  async function connect(ctx, socket, reader, replies) {
+    log('info', `SOCKS CONNECT to ${ctx.hostname}:${ctx.port} from ${socket.remoteAddress}`);
+
+    let targetSocket;
+    try {
+      targetSocket = await core.connectTarget({ hostname: ctx.hostname, port: ctx.port });
+    } catch (err) {
+      log(isDestinationDenied(err) ? 'warn' : 'error', `SOCKS connect to ${ctx.hostname}:${ctx.port} failed: ${err.message}`);
+      socket.end(replies.failure(err));
+      return;
+    }
+
+    if (socket.destroyed) {
+      targetSocket.destroy();
+      return;
+    }
+
+    socket.on('error', () => {
+      if (!targetSocket.destroyed) {
+        targetSocket.destroy();
+      }
+    });
+
+    socket.setTimeout(0);
+    socket.write(replies.success(targetSocket));
+    const head = reader.release();
+    core.openTunnel(ctx, socket, targetSocket, head);
+  }
+
+  // UDP ASSOCIATE: relay datagrams between the client and any destination
+  // for as long as the control connection stays open
+  async function associate(ctx, socket, reader) {
+    const clientAddress = unmapAddress(socket.remoteAddress);
+    const localAddress = unmapAddress(socket.localAddress);
+    const relay = dgram.createSocket(net.isIPv6(localAddress) ? 'udp6' : 'udp4');
+    const outbound = {}; // family -> dgram socket towards destinations
+    let client = null;   // { address, port } of the client's UDP socket
+    let idleTimer = null;
+
+    const close = () => {
+      clearTimeout(idleTimer);
+      relay.close();
+      Object.values(outbound).forEach(udpSocket => udpSocket.close());
+      if (!socket.destroyed) {
+        socket.destroy();
+      }
+    };
+
+    const touch = () => {
+      if (udpIdleTimeout) {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => {
+          log('debug', `SOCKS UDP association for ${clientAddress} idle, closing`);
+          close();
+        }, udpIdleTimeout);
+      }
+    };
+
+    const outboundFor = (family) => {
+      if (!outbound[family]) {
+        const udpSocket = dgram.createSocket(family === 6 ? 'udp6' : 'udp4');
+        udpSocket.on('message', (message, rinfo) => {
+          if (client) {
+            touch();
+            relay.send(encodeUdpDatagram(rinfo.address, rinfo.port, message), client.port, client.address);
+          }
+        });
+        udpSocket.on('error', err => log('debug', `SOCKS UDP outbound error: ${err.message}`));
+        outbound[family] = udpSocket;
+      }
+      return outbound[family];
+    };
+
+    relay.on('message', async (message, rinfo) => {
+      // Only the client that opened the association may use it (RFC 1928 section 7)
+      if (unmapAddress(rinfo.address) !== clientAddress || (ctx.port && rinfo.port !== ctx.port)) {
+        return;
+      }
+
+      let datagram;
+      try {
+        datagram = decodeUdpDatagram(message);
+      } catch (err) {
+        return;
+      }
+      // Fragment reassembly is optional and not supported; drop fragments
+      if (!datagram || datagram.fragment !== 0) {
+        return;
+      }
+
+      client = { address: rinfo.address, port: rinfo.port };
+      touch();
+
+      try {
+        const destination = { hostname: datagram.host, port: datagram.port };
+        core.checkDestination(destination);
+        const [target] = core.checkDestination(destination, await core.resolveHostname(datagram.host));
+        outboundFor(target.family).send(datagram.data, datagram.port, target.address);
+      } catch (err) {
+        log('debug', `SOCKS UDP datagram to ${datagram.host}:${datagram.port} dropped: ${err.message}`);
+      }
+    });
+
+    try {
+      await new Promise((resolve, reject) => {
+        relay.once('error', reject);
+        relay.bind(0, localAddress, () => {
+          relay.removeListener('error', reject);
+          resolve();
+        });
+      });
+    } catch (err) {
+      log('error', `SOCKS UDP relay bind failed: ${err.message}`);
+      relay.close();
+      socket.end(encodeReply(replyForError(err)));
+      return;
+    }
+
+    relay.on('error', (err) => {
+      log('error', `SOCKS UDP relay error: ${err.message}`);
+      close();
+    });
+
+    const bound = relay.address();
+    log('info', `SOCKS UDP ASSOCIATE for ${clientAddress} on ${bound.address}:${bound.port}`);
+
+    socket.setTimeout(0);
+    socket.write(encodeReply(REPLIES.SUCCEEDED, bound.address, bound.port));
+    touch();
+
+    // The association lives as long as the TCP control connection
+    reader.release();
+    socket.on('close', close);
+    socket.resume();
+  }
+
+  async function handleSocks5(socket, reader) {
+    const [methodCount] = await reader.read(1);
+    const methods = await reader.read(methodCount);
+    const credentialsRequired = core.credentialsRequired();
+    const method = credentialsRequired ? METHODS.USERNAME_PASSWORD : METHODS.NO_AUTH;
+
+    if (!methods.includes(method)) {
+      socket.end(Buffer.from([SOCKS_VERSION, METHODS.NO_ACCEPTABLE]));
+      return;
+    }
+    socket.write(Buffer.from([SOCKS_VERSION, method]));
+
+    let user = null;
+    if (credentialsRequired) {
+      // RFC 1929 username/password sub-negotiation
+      const [version, usernameLength] = await reader.read(2);
+      const username = (await reader.read(usernameLength)).toString('utf8');
+      const [passwordLength] = await reader.read(1);
+      const password = (await reader.read(passwordLength)).toString('utf8');
+
+      user = version === AUTH_VERSION ? await core.verifyCredentials(username, password) : null;
+      if (!user) {
+        log('warn', `SOCKS authentication failed for "${username}" from ${socket.remoteAddress}`);
+        socket.end(Buffer.from([AUTH_VERSION, 0x01]));
+        return;
+      }
+      socket.write(Buffer.from([AUTH_VERSION, 0x00]));
+    }
+
+    const [version, command] = await reader.read(3);
+    let address;
+    try {
+      address = await readAddress(reader);
+    } catch (err) {
+      socket.end(encodeReply(err.reply || REPLIES.GENERAL_FAILURE));
+      return;
+    }
+    if (version !== SOCKS_VERSION) {
+      socket.destroy();
+      return;
+    }
+
+    const ctx = { hostname: address.host, port: address.port, user, type: 'socks5' };
+
+    if (command === COMMANDS.CONNECT) {
+      await connect(ctx, socket, reader, {
+        success: target => encodeReply(REPLIES.SUCCEEDED, target.localAddress, target.localPort),
+        failure: err => encodeReply(replyForError(err))
+      });
+    } else if (command === COMMANDS.UDP_ASSOCIATE && udp) {
+      await associate(ctx, socket, reader);
+    } else {
+      socket.end(encodeReply(REPLIES.COMMAND_NOT_SUPPORTED));
+    }
+  }
+
+  async function handleSocks4(socket, reader) {
+    const [command] = await reader.read(1);
+    const destination = await reader.read(6);
+    await reader.readUntilNull(); // user id, unused
+
+    const port = destination.readUInt16BE(0);
+    let hostname = Array.from(destination.subarray(2)).join('.');
+    // SOCKS4a: an address of 0.0.0.x (x != 0) means a hostname follows
+    if (destination[2] === 0 && destination[3] === 0 && destination[4] === 0 && destination[5] !== 0) {
+      hostname = (await reader.readUntilNull()).subarray(0, -1).toString('utf8');
+    }
+
+    // SOCKS4 carries no password, so it is refused whenever credentials are required
+    if (command !== COMMANDS.CONNECT || core.credentialsRequired()) {
+      socket.end(encodeSocks4Reply(SOCKS4_REPLIES.REJECTED));
+      return;
+    }
+
+    await connect({ hostname, port, user: null, type: 'socks4' }, socket, reader, {
+      success: () => encodeSocks4Reply(SOCKS4_REPLIES.GRANTED),
+      failure: () => encodeSocks4Reply(SOCKS4_REPLIES.REJECTED)
+    });
+  }
+
+  async function handleConnection(socket) {
+    socket.on('error', (err) => {
+      log('debug', `SOCKS client error: ${err.message}`);
+    });
+    socket.setTimeout(handshakeTimeout, () => {
+      log('warn', `SOCKS handshake timeout for ${socket.remoteAddress}`);
+      socket.destroy();
+    });
+
+    const reader = createSocketReader(socket);
+    try {
+      const [version] = await reader.read(1);
+      if (version === SOCKS_VERSION) {
+        await handleSocks5(socket, reader);
+      } else if (version === SOCKS4_VERSION && socks4) {
+        await handleSocks4(socket, reader);
+      } else {
+        socket.destroy();
+      }
+    } catch (err) {
+      log('debug', `SOCKS handshake error: ${err.message}`);
+      socket.destroy();
+    }
+  }
+
+  const server = net.createServer(handleConnection);
+  server.on('error', (err) => {
+    log('error', `SOCKS server error: ${err.message}`);
+  });
+  return server;
+}
+
+module.exports = { createSocksServer };
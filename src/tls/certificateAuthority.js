@@ -0,0 +1,309 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const tls = require('tls');
+
+// Local certificate authority for TLS interception: a CA key and
+// certificate kept in a directory (created on first use) and leaf
+// certificates for the hostnames clients ask for (SNI), minted on demand
+// and cached. Keys are ECDSA P-256 and certificates are X.509 v3 built
+// directly in DER (no OpenSSL binary or extra dependency), signed with
+// ecdsa-with-SHA256.
+//
+// Clients only accept the leaves once ca.pem is installed as trusted on
+// them, which is what makes this usable for our own test devices only.
+
+const CA_KEY_FILE = 'ca-key.pem';
+const CA_CERT_FILE = 'ca.pem';
+
+const DAY = 24 * 60 * 60 * 1000;
+const CA_VALIDITY = 10 * 365 * DAY;
+// Apple platforms refuse server certificates valid for more than 398 days
+const LEAF_VALIDITY = 397 * DAY;
+// Leaves are minted again this long before they expire
+const LEAF_RENEW_BEFORE = 7 * DAY;
+const DEFAULT_CACHE_SIZE = 500;
+
+// DER, just the parts an X.509 certificate needs
+
+function derLength(length) {
+  if (length < 0x80) {
+    return Buffer.from([length]);
+  }
+  const bytes = [];
+  for (let rest = length; rest > 0; rest = Math.floor(rest / 256)) {
+    bytes.unshift(rest & 0xff);
+  }
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+const tlv = (tag, ...content) => {
+  const body = Buffer.concat(content);
+  return Buffer.concat([Buffer.from([tag]), derLength(body.length), body]);
+};
+
+const sequence = (...items) => tlv(0x30, ...items);
+const set = (...items) => tlv(0x31, ...items);
+const explicit = (number, ...items) => tlv(0xa0 + number, ...items);
+const octetString = content => tlv(0x04, content);
+const bitString = content => tlv(0x03, Buffer.from([0]), content);
+const utf8String = text => tlv(0x0c, Buffer.from(text, 'utf8'));
+const derTrue = Buffer.from([0x01, 0x01, 0xff]);
+
+// Positive INTEGER from big-endian bytes
+function integer(bytes) {
+  let value = Buffer.from(bytes);
+  while (value.length > 1 && value[0] === 0 && value[1] < 0x80) {
+    value = value.subarray(1);
+  }
+  return tlv(0x02, value[0] & 0x80 ? Buffer.concat([Buffer.from([0]), value]) : value);
+}
+
+function oid(dotted) {
+  const [first, second, ...rest] = dotted.split('.').map(Number);
+  const bytes = [40 * first + second];
+  rest.forEach((arc) => {
+    const chunk = [arc & 0x7f];
+    for (let value = Math.floor(arc / 128); value > 0; value = Math.floor(value / 128)) {
+      chunk.unshift((value & 0x7f) | 0x80);
+    }
+    bytes.push(...chunk);
+  });
+  return tlv(0x06, Buffer.from(bytes));
+}
+
+// UTCTime until 2049, GeneralizedTime after (RFC 5280 section 4.1.2.5)
+function time(ms) {
+  const iso = new Date(ms).toISOString();
+  const digits = iso.slice(0, 19).replace(/[-:T]/g, '');
+  const year = Number(iso.slice(0, 4));
+  return year < 2050 ? tlv(0x17, Buffer.from(`${digits.slice(2)}Z`)) : tlv(0x18, Buffer.from(`${digits}Z`));
+}
+
+const OIDS = {
+  ecdsaWithSha256: '1.2.840.10045.4.3.2',
+  commonName: '2.5.4.3',
+  organization: '2.5.4.10',
+  subjectKeyIdentifier: '2.5.29.14',
+  keyUsage: '2.5.29.15',
+  subjectAltName: '2.5.29.17',
+  basicConstraints: '2.5.29.19',
+  authorityKeyIdentifier: '2.5.29.35',
+  extKeyUsage: '2.5.29.37',
+  serverAuth: '1.3.6.1.5.5.7.3.1'
+};
+
+// Offsets of the DER element at offset
+function readElement(der, offset) {
+  let length = der[offset + 1];
+  let header = 2;
+  if (length & 0x80) {
+    const count = length & 0x7f;
+    length = 0;
+    for (let i = 0; i < count; i++) {
+      length = length * 256 + der[offset + 2 + i];
+    }
+    header += count;
+  }
+  return { offset, contentStart: offset + header, end: offset + header + length };
+}
+
+// Subject Name of a certificate, as the exact bytes its leaves must name as issuer
+function subjectOf(certDer) {
+  const tbs = readElement(certDer, readElement(certDer, 0).contentStart);
+  let element = readElement(certDer, tbs.contentStart);
+  // version, serialNumber, signature, issuer, validity, subject
+  for (let index = 0; index < 5; index++) {
+    element = readElement(certDer, element.end);
+  }
+  return certDer.subarray(element.offset, element.end);
+}
+
+const name = ({ commonName, organization }) => sequence(
+  ...(organization ? [set(sequence(oid(OIDS.organization), utf8String(organization)))] : []),
+  set(sequence(oid(OIDS.commonName), utf8String(commonName)))
+);
+
+const extension = (id, value, critical = false) => sequence(
+  oid(id),
+  ...(critical ? [derTrue] : []),
+  octetString(value)
+);
+
+// SHA-1 of the public key bits, the usual key identifier (RFC 5280 4.2.1.2)
+const keyIdentifier = publicKey => crypto.createHash('sha1')
+  .update(publicKey.export({ type: 'spki', format: 'der' }))
+  .digest();
+
+// dNSName or iPAddress for the subjectAltName
+function altName(hostname) {
+  const family = net.isIP(hostname);
+  if (!family) {
+    return tlv(0x82, Buffer.from(hostname, 'ascii'));
+  }
+  return tlv(0x87, Buffer.from(family === 4 ? ipv4Bytes(hostname) : ipv6Bytes(hostname)));
+}
+
+const ipv4Bytes = address => address.split('.').map(Number);
+
+function ipv6Bytes(address) {
+  // A trailing dotted quad (::ffff:1.2.3.4) is two groups
+  const dotted = address.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = ipv4Bytes(dotted[2]);
+    return ipv6Bytes(`${dotted[1]}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`);
+  }
+  const [head, tail = ''] = address.split('::');
+  const groups = text => (text ? text.split(':') : []);
+  const left = groups(head);
+  const right = groups(tail);
+  const all = address.includes('::')
+    ? [...left, ...Array(8 - left.length - right.length).fill('0'), ...right]
+    : left;
+  return all.flatMap((group) => {
+    const value = parseInt(group, 16);
+    return [value >> 8, value & 0xff];
+  });
+}
+
+// options:
+//   subject         - { commonName, organization }
+//   issuer          - the same, or the issuer certificate's subject DER
+//   publicKey       - public KeyObject the certificate is for
+//   signingKey      - issuer's private KeyObject
+//   issuerKey       - issuer's public KeyObject, for the authority key identifier
+//   notBefore, notAfter - ms
+//   ca              - a CA certificate instead of a server one
+//   hostnames       - subjectAltName entries of a server certificate
+// -> PEM
+function createCertificate(options) {
+  const { publicKey, signingKey, ca = false, hostnames = [] } = options;
+  const algorithm = sequence(oid(OIDS.ecdsaWithSha256));
+
+  const extensions = [
+    extension(OIDS.basicConstraints, ca ? sequence(derTrue) : sequence(), true),
+    // keyCertSign + cRLSign for the CA, digitalSignature for servers
+    extension(OIDS.keyUsage, ca ? tlv(0x03, Buffer.from([1, 0x06])) : tlv(0x03, Buffer.from([7, 0x80])), true),
+    extension(OIDS.subjectKeyIdentifier, octetString(keyIdentifier(publicKey)))
+  ];
+  if (!ca) {
+    extensions.push(
+      extension(OIDS.extKeyUsage, sequence(oid(OIDS.serverAuth))),
+      extension(OIDS.subjectAltName, sequence(...hostnames.map(altName))),
+      extension(OIDS.authorityKeyIdentifier, sequence(tlv(0x80, keyIdentifier(options.issuerKey))))
+    );
+  }
+
+  const serial = crypto.randomBytes(16);
+  serial[0] &= 0x7f;
+  const tbs = sequence(
+    explicit(0, integer([2])),
+    integer(serial),
+    algorithm,
+    Buffer.isBuffer(options.issuer) ? options.issuer : name(options.issuer),
+    sequence(time(options.notBefore), time(options.notAfter)),
+    name(options.subject),
+    publicKey.export({ type: 'spki', format: 'der' }),
+    explicit(3, sequence(...extensions))
+  );
+  const signature = crypto.sign('sha256', tbs, signingKey);
+  const der = sequence(tbs, algorithm, bitString(signature));
+  return `-----BEGIN CERTIFICATE-----\n${der.toString('base64').match(/.{1,64}/g).join('\n')}\n-----END CERTIFICATE-----\n`;
+}
+
+const newKeyPair = () => crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+// The CA in dir, created (mode 0600 key) when it isn't there yet
+// -> { key, cert, certPem, created }
+function loadOrCreateCa(dir, commonName) {
+  const keyFile = path.join(dir, CA_KEY_FILE);
+  const certFile = path.join(dir, CA_CERT_FILE);
+  if (fs.existsSync(keyFile) && fs.existsSync(certFile)) {
+    const certPem = fs.readFileSync(certFile, 'utf8');
+    const key = crypto.createPrivateKey(fs.readFileSync(keyFile, 'utf8'));
+    const cert = new crypto.X509Certificate(certPem);
+    if (!cert.checkPrivateKey(key)) {
+      throw new Error(`${certFile} does not belong to ${keyFile}`);
+    }
+    return { key, cert, certPem, created: false };
+  }
+
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  const { publicKey, privateKey } = newKeyPair();
+  const now = Date.now();
+  const subject = { commonName, organization: commonName };
+  const certPem = createCertificate({
+    subject,
+    issuer: subject,
+    publicKey,
+    signingKey: privateKey,
+    notBefore: now - DAY,
+    notAfter: now + CA_VALIDITY,
+    ca: true
+  });
+  fs.writeFileSync(keyFile, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+  fs.writeFileSync(certFile, certPem);
+  return { key: privateKey, cert: new crypto.X509Certificate(certPem), certPem, created: true };
+}
+
+// options:
+//   dir        - where ca-key.pem and ca.pem live
+//   commonName - the CA's name, as devices will show it
+//   cacheSize  - leaf certificates kept
+function createCertificateAuthority(options = {}) {
+  const { dir, commonName = 'Proxy Interception CA', cacheSize = DEFAULT_CACHE_SIZE } = options;
+  const ca = loadOrCreateCa(dir, commonName);
+  const issuer = subjectOf(ca.cert.raw);
+  // hostname -> { context, notAfter }, least recently used first
+  const leaves = new Map();
+
+  function mint(hostname) {
+    const { publicKey, privateKey } = newKeyPair();
+    const now = Date.now();
+    const notAfter = Math.min(now + LEAF_VALIDITY, new Date(ca.cert.validTo).getTime());
+    const certPem = createCertificate({
+      subject: { commonName: hostname },
+      issuer,
+      publicKey,
+      signingKey: ca.key,
+      issuerKey: ca.cert.publicKey,
+      notBefore: now - DAY,
+      notAfter,
+      hostnames: [hostname]
+    });
+    const context = tls.createSecureContext({
+      key: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+      cert: `${certPem}${ca.certPem}`
+    });
+    return { context, notAfter };
+  }
+
+  return {
+    dir,
+    certPem: ca.certPem,
+    created: ca.created,
+    fingerprint: ca.cert.fingerprint256,
+
+    // TLS context presenting a certificate for hostname, from the cache when it has one
+    contextFor(hostname) {
+      const key = String(hostname).toLowerCase();
+      let leaf = leaves.get(key);
+      if (!leaf || leaf.notAfter - Date.now() < LEAF_RENEW_BEFORE) {
+        leaf = mint(key);
+      }
+      leaves.delete(key);
+      leaves.set(key, leaf);
+      if (leaves.size > cacheSize) {
+        leaves.delete(leaves.keys().next().value);
+      }
+      return leaf.context;
+    },
+
+    get cached() {
+      return leaves.size;
+    }
+  };
+}
+
+module.exports = { CA_CERT_FILE, createCertificate, createCertificateAuthority };
@@ -0,0 +1,355 @@
+const crypto = require('crypto');
+const { Duplex } = require('stream');
+const { createSocketReader } = require('../net/socketReader');
+
+// Encrypted stream transport between our clients and the proxy, carried
+// over a raw TCP connection or inside the WebSocket tunnel.
+//
+//   client -> server  hello (48 bytes, plaintext):
+//                       'PXA1' | cipher id (1) | reserved (3) | time in ms (8, BE) | client salt (32)
+//   server -> client  server salt (32 bytes, plaintext)
+//   both directions   records: seal(length, 2 bytes BE) | seal(payload, length bytes)
+//                     a sealed length of 0 ends that direction
+//
+// Both sides share a secret; scrypt turns it into the master key and
+// HKDF-SHA256 derives one key per direction and session:
+//
+//   client -> server  HKDF(master, client salt, 'pxa1 c2s' | first 16 hello bytes)
+//   server -> client  HKDF(master, server salt, 'pxa1 s2c' | client salt)
+//
+// seal() is AES-256-GCM or ChaCha20-Poly1305 with a 16-byte tag and a
+// 96-bit little-endian counter as nonce, so records can't be modified,
+// dropped, reordered or replayed within a session, and a connection that
+// stops without its end record is reported as truncated. Whole sessions
+// can't be replayed either: the server refuses hellos whose time is off by
+// more than the replay window and client salts it has already accepted.
+
+const MAGIC = Buffer.from('PXA1');
+const HELLO_SIZE = 48;
+const SALT_SIZE = 32;
+const KEY_SIZE = 32;
+const TAG_SIZE = 16;
+const NONCE_SIZE = 12;
+const LENGTH_RECORD_SIZE = 2 + TAG_SIZE;
+
+// Largest payload in one record
+const MAX_RECORD = 0x3fff;
+
+// Cipher name -> id sent in the hello
+const CIPHERS = { 'aes-256-gcm': 1, 'chacha20-poly1305': 2 };
+
+const DEFAULT_REPLAY_WINDOW = 60000;
+
+const cipherName = id => Object.keys(CIPHERS).find(name => CIPHERS[name] === id);
+
+// Master key for a shared secret (slow on purpose; derive it once)
+function deriveMasterKey(secret) {
+  if (!secret) {
+    throw new Error('A shared secret is required for the encrypted transport');
+  }
+  return crypto.scryptSync(String(secret), 'proxy-aead-v1', KEY_SIZE);
+}
+
+const sessionKey = (masterKey, salt, label, context) => Buffer.from(
+  crypto.hkdfSync('sha256', masterKey, salt, Buffer.concat([Buffer.from(label), context]), KEY_SIZE)
+);
+
+// Seals or opens one direction's records in order under one key
+function createRecordCipher(cipher, key) {
+  const nonce = Buffer.alloc(NONCE_SIZE);
+  const nextNonce = () => {
+    const current = Buffer.from(nonce);
+    for (let i = 0; i < NONCE_SIZE; i++) {
+      nonce[i] = (nonce[i] + 1) & 0xff;
+      if (nonce[i] !== 0) {
+        break;
+      }
+    }
+    return current;
+  };
+
+  return {
+    seal(plaintext) {
+      const sealer = crypto.createCipheriv(cipher, key, nextNonce(), { authTagLength: TAG_SIZE });
+      return Buffer.concat([sealer.update(plaintext), sealer.final(), sealer.getAuthTag()]);
+    },
+
+    // Throws when the record was tampered with or is out of order
+    open(record) {
+      const opener = crypto.createDecipheriv(cipher, key, nextNonce(), { authTagLength: TAG_SIZE });
+      opener.setAuthTag(record.subarray(record.length - TAG_SIZE));
+      return Buffer.concat([opener.update(record.subarray(0, record.length - TAG_SIZE)), opener.final()]);
+    }
+  };
+}
+
+// Client salts the server accepted, remembered for as long as their hello
+// could still pass the time check
+function createReplayGuard(options = {}) {
+  const { window = DEFAULT_REPLAY_WINDOW } = options;
+  const seen = new Map(); // salt (hex) -> forget after, in insertion (= expiry) order
+
+  const prune = (now) => {
+    for (const [salt, expiresAt] of seen) {
+      if (expiresAt > now) {
+        break;
+      }
+      seen.delete(salt);
+    }
+  };
+
+  return {
+    window,
+
+    // Why a hello must be refused, or null
+    check(timestamp, salt, now = Date.now()) {
+      if (Math.abs(now - timestamp) > window) {
+        return 'hello timestamp outside the replay window';
+      }
+      prune(now);
+      return seen.has(salt.toString('hex')) ? 'replayed hello' : null;
+    },
+
+    // Record a salt once its session authenticated; false if it was already used
+    remember(salt, now = Date.now()) {
+      const key = salt.toString('hex');
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.set(key, now + 2 * window);
+      return true;
+    },
+
+    size: () => seen.size
+  };
+}
+
+// Duplex over a carrier socket: what is written gets sealed, what arrives
+// is opened. The carrier is ended once both directions sent their end
+// record, so half-closed tunnels keep working. 'authenticated' is emitted
+// once the peer's first record opened.
+class AeadStream extends Duplex {
+  // options:
+  //   sealer         - record cipher for what this side sends
+  //   opener         - record cipher for what arrives, or
+  //   deriveOpener   - (peer salt) -> record cipher, when the peer's salt comes first
+  //   onAuthenticated - called after the first record opened; return false to drop the session
+  //   input          - bytes already read off the carrier
+  constructor(socket, options) {
+    super({ allowHalfOpen: true });
+    this.socket = socket;
+    this.sealer = options.sealer;
+    this.opener = options.opener || null;
+    this.deriveOpener = options.deriveOpener;
+    this.onAuthenticated = options.onAuthenticated;
+    this.input = Buffer.alloc(0);
+    this.payloadSize = null;
+    this.authenticated = false;
+    this.remoteEnded = false;
+    this.localEnded = false;
+    // Payload bytes each way, like a socket's counters (tunnel byte counts)
+    this.bytesRead = 0;
+    this.bytesWritten = 0;
+
+    socket.on('data', chunk => this.receive(chunk));
+    socket.on('end', () => {
+      if (!this.remoteEnded) {
+        this.destroy(new Error('Encrypted stream truncated'));
+      }
+    });
+    socket.on('error', err => this.destroy(err));
+    socket.on('close', () => this.destroy());
+    socket.on('timeout', () => this.emit('timeout'));
+
+    if (options.input && options.input.length > 0) {
+      this.receive(options.input);
+    }
+  }
+
+  get remoteAddress() {
+    return this.socket.remoteAddress;
+  }
+
+  get remotePort() {
+    return this.socket.remotePort;
+  }
+
+  setTimeout(ms, callback) {
+    this.socket.setTimeout(ms);
+    if (callback) {
+      this.once('timeout', callback);
+    }
+    return this;
+  }
+
+  receive(chunk) {
+    this.input = this.input.length > 0 ? Buffer.concat([this.input, chunk]) : chunk;
+    try {
+      this.parse();
+    } catch (err) {
+      this.destroy(new Error(`Encrypted stream rejected: ${err.message}`));
+    }
+  }
+
+  parse() {
+    while (!this.destroyed && this.input.length > 0) {
+      if (this.remoteEnded) {
+        throw new Error('data after the end record');
+      }
+      if (!this.opener) {
+        if (this.input.length < SALT_SIZE) {
+          return;
+        }
+        this.opener = this.deriveOpener(this.input.subarray(0, SALT_SIZE));
+        this.input = this.input.subarray(SALT_SIZE);
+        continue;
+      }
+
+      if (this.payloadSize === null) {
+        if (this.input.length < LENGTH_RECORD_SIZE) {
+          return;
+        }
+        const size = this.opener.open(this.input.subarray(0, LENGTH_RECORD_SIZE)).readUInt16BE(0);
+        this.input = this.input.subarray(LENGTH_RECORD_SIZE);
+        if (!this.authenticated) {
+          this.authenticated = true;
+          if (this.onAuthenticated && this.onAuthenticated() === false) {
+            throw new Error('replayed session');
+          }
+          this.emit('authenticated');
+        }
+        if (size > MAX_RECORD) {
+          throw new Error(`record of ${size} bytes`);
+        }
+        if (size === 0) {
+          this.remoteEnded = true;
+          this.push(null);
+          this.closeWhenDone();
+          continue;
+        }
+        this.payloadSize = size;
+        continue;
+      }
+
+      if (this.input.length < this.payloadSize + TAG_SIZE) {
+        return;
+      }
+      const payload = this.opener.open(this.input.subarray(0, this.payloadSize + TAG_SIZE));
+      this.input = this.input.subarray(this.payloadSize + TAG_SIZE);
+      this.payloadSize = null;
+      this.bytesRead += payload.length;
+      if (!this.push(payload)) {
+        this.socket.pause();
+      }
+    }
+  }
+
+  closeWhenDone() {
+    if (this.remoteEnded && this.localEnded && !this.socket.destroyed) {
+      this.socket.end();
+    }
+  }
+
+  _read() {
+    this.socket.resume();
+  }
+
+  _write(chunk, encoding, callback) {
+    this.bytesWritten += chunk.length;
+    const records = [];
+    for (let offset = 0; offset < chunk.length; offset += MAX_RECORD) {
+      const payload = chunk.subarray(offset, offset + MAX_RECORD);
+      const length = Buffer.alloc(2);
+      length.writeUInt16BE(payload.length);
+      records.push(this.sealer.seal(length), this.sealer.seal(payload));
+    }
+    this.socket.write(Buffer.concat(records), callback);
+  }
+
+  _final(callback) {
+    this.socket.write(this.sealer.seal(Buffer.alloc(2)), (err) => {
+      this.localEnded = true;
+      this.closeWhenDone();
+      callback(err);
+    });
+  }
+
+  _destroy(err, callback) {
+    this.socket.destroy();
+    callback(err);
+  }
+}
+
+const c2sContext = hello => hello.subarray(0, 16);
+
+// Client side: send the hello and return the stream right away (records
+// written before the server's salt arrives are queued by the carrier)
+//
+// options: masterKey, cipher ('aes-256-gcm' by default)
+function secureClient(socket, options) {
+  const { masterKey, cipher = 'aes-256-gcm' } = options;
+  if (!CIPHERS[cipher]) {
+    throw new Error(`Unsupported cipher ${cipher}`);
+  }
+  const salt = crypto.randomBytes(SALT_SIZE);
+  const hello = Buffer.alloc(HELLO_SIZE);
+  MAGIC.copy(hello, 0);
+  hello[4] = CIPHERS[cipher];
+  hello.writeBigUInt64BE(BigInt(Date.now()), 8);
+  salt.copy(hello, 16);
+  socket.write(hello);
+
+  return new AeadStream(socket, {
+    sealer: createRecordCipher(cipher, sessionKey(masterKey, salt, 'pxa1 c2s', c2sContext(hello))),
+    deriveOpener: serverSalt => createRecordCipher(cipher, sessionKey(masterKey, serverSalt, 'pxa1 s2c', salt))
+  });
+}
+
+// Server side: read and check the hello, answer with our salt -> promise of
+// the stream. The client's salt counts as used once its first record opens.
+//
+// options: masterKey, replayGuard, ciphers (names accepted)
+async function secureServer(socket, options) {
+  const { masterKey, replayGuard, ciphers = Object.keys(CIPHERS) } = options;
+  const reader = createSocketReader(socket);
+  let hello;
+  let input;
+  try {
+    hello = await reader.read(HELLO_SIZE);
+  } finally {
+    input = reader.release();
+  }
+
+  if (!hello.subarray(0, MAGIC.length).equals(MAGIC)) {
+    throw new Error('not an encrypted transport hello');
+  }
+  const cipher = cipherName(hello[4]);
+  if (!cipher || !ciphers.includes(cipher)) {
+    throw new Error(`cipher ${cipher || hello[4]} not accepted`);
+  }
+  const salt = Buffer.from(hello.subarray(16, 16 + SALT_SIZE));
+  const refused = replayGuard.check(Number(hello.readBigUInt64BE(8)), salt);
+  if (refused) {
+    throw new Error(refused);
+  }
+
+  const serverSalt = crypto.randomBytes(SALT_SIZE);
+  socket.write(serverSalt);
+  return new AeadStream(socket, {
+    sealer: createRecordCipher(cipher, sessionKey(masterKey, serverSalt, 'pxa1 s2c', salt)),
+    opener: createRecordCipher(cipher, sessionKey(masterKey, salt, 'pxa1 c2s', c2sContext(hello))),
+    onAuthenticated: () => replayGuard.remember(salt),
+    input
+  });
+}
+
+module.exports = {
+  CIPHERS,
+  DEFAULT_REPLAY_WINDOW,
+  MAX_RECORD,
+  AeadStream,
+  createReplayGuard,
+  deriveMasterKey,
+  secureClient,
+  secureServer
+};
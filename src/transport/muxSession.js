@@ -0,0 +1,467 @@
+const EventEmitter = require('events');
+const { Duplex } = require('stream');
+const { parseHostPort, formatHostPort } = require('../net/hostPort');
+const { REPLIES, REPLY_MESSAGES, encodeTarget } = require('./secureTunnel');
+
+// Stream multiplexing over one carrier (the WebSocket tunnel, optionally
+// inside the encrypted transport), so a client pays the upgrade once and
+// then opens as many connections as it likes over it. Every frame is
+//
+//   type (1) | stream id (4, BE) | length (2, BE) | payload (length bytes)
+//
+//   open    client -> server  target: length (1) | "host:port"
+//   reply   server -> client  one byte, REPLIES of secureTunnel.js (0 = success)
+//   data    both              up to MAX_PAYLOAD bytes of the stream
+//   window  both              4 bytes (BE): the receiver took that many more bytes
+//   end     both              no more data from this side (half close)
+//   reset   both              the stream is gone, drop it
+//   ping    both, id 0        up to 8 opaque bytes, answered with a pong
+//   pong    both, id 0        the ping's payload
+//
+// Flow control is per stream and credit based: each side may have at most
+// `window` bytes of a stream in flight, and the receiver hands credit back
+// as the stream's reader consumes them, so one slow reader holds up its own
+// stream and not the carrier.
+
+const FRAMES = { open: 1, reply: 2, data: 3, window: 4, end: 5, reset: 6, ping: 7, pong: 8 };
+
+const FRAME_HEADER_SIZE = 7;
+const MAX_PAYLOAD = 0x4000;
+const DEFAULT_WINDOW = 256 * 1024;
+const DEFAULT_MAX_STREAMS = 256;
+
+// ms a cleanly closed carrier gets to finish before it is dropped
+const CLOSE_TIMEOUT = 5000;
+
+const EMPTY = Buffer.alloc(0);
+
+function encodeFrame(type, id, payload = EMPTY) {
+  const header = Buffer.alloc(FRAME_HEADER_SIZE);
+  header[0] = type;
+  header.writeUInt32BE(id, 1);
+  header.writeUInt16BE(payload.length, 5);
+  return payload.length > 0 ? Buffer.concat([header, payload]) : header;
+}
+
+// One logical connection. Looks enough like a socket for the core's tunnel
+// plumbing and http's createConnection: remoteAddress, setTimeout and the
+// bytesRead / bytesWritten counters.
+class MuxStream extends Duplex {
+  constructor(session, id, target) {
+    super({ allowHalfOpen: true });
+    this.session = session;
+    this.id = id;
+    this.hostname = target.hostname;
+    this.port = target.port;
+    this.sendWindow = session.window;
+    this.receiveWindow = session.window;
+    this.credit = 0;
+    this.blocked = false;
+    this.pending = null;
+    this.localEnded = false;
+    this.remoteEnded = false;
+    this.resetByPeer = false;
+    this.bytesRead = 0;
+    this.bytesWritten = 0;
+    this.idleTimeout = 0;
+    this.idleTimer = null;
+  }
+
+  get remoteAddress() {
+    return this.session.carrier.remoteAddress;
+  }
+
+  get remotePort() {
+    return this.session.carrier.remotePort;
+  }
+
+  setTimeout(ms, callback) {
+    this.idleTimeout = ms;
+    clearTimeout(this.idleTimer);
+    this.idleTimer = ms ? setTimeout(() => this.emit('timeout'), ms) : null;
+    if (callback) {
+      this.once('timeout', callback);
+    }
+    return this;
+  }
+
+  // http's ClientRequest calls these on its socket
+  setNoDelay() {
+    return this;
+  }
+
+  setKeepAlive() {
+    return this;
+  }
+
+  touch() {
+    if (this.idleTimer) {
+      this.idleTimer.refresh();
+    }
+  }
+
+  // Server side: the target is connected, let the client's data flow
+  accept() {
+    this.session.send(FRAMES.reply, this.id, Buffer.from([REPLIES.success]));
+  }
+
+  // Server side: answer the open with a refusal and drop the stream
+  refuse(reply) {
+    this.session.send(FRAMES.reply, this.id, Buffer.from([reply]));
+    this.resetByPeer = true; // nothing left to reset on the other end
+    this.destroy();
+  }
+
+  onData(payload) {
+    if (payload.length > this.receiveWindow) {
+      this.destroy(new Error(`Stream ${this.id} overran its flow control window`));
+      return;
+    }
+    this.receiveWindow -= payload.length;
+    this.credit += payload.length;
+    this.bytesRead += payload.length;
+    this.touch();
+    if (this.push(payload)) {
+      this.grant(false);
+    } else {
+      this.blocked = true;
+    }
+  }
+
+  // Hand consumed bytes back to the sender: in batches while the reader
+  // keeps up, all at once when it caught up after falling behind
+  grant(force) {
+    if (this.credit === 0 || this.remoteEnded || (!force && this.credit < this.session.window / 4)) {
+      return;
+    }
+    const increment = Buffer.alloc(4);
+    increment.writeUInt32BE(this.credit);
+    this.session.send(FRAMES.window, this.id, increment);
+    this.receiveWindow += this.credit;
+    this.credit = 0;
+  }
+
+  onWindow(increment) {
+    this.sendWindow += increment;
+    this.flush();
+  }
+
+  onEnd() {
+    this.remoteEnded = true;
+    this.push(null);
+    // Like net.Socket: with nothing left to read, end now even if nobody is
+    // reading any more (the other side of the tunnel is already gone)
+    this.read(0);
+  }
+
+  onReset() {
+    this.resetByPeer = true;
+    this.destroy(new Error(`Stream to ${formatHostPort(this.hostname, this.port)} reset by peer`));
+  }
+
+  _read() {
+    if (this.blocked) {
+      this.blocked = false;
+      this.grant(true);
+    }
+  }
+
+  // Send as much of the pending write as the window allows; the write
+  // completes once its last frame is handed to the carrier
+  flush() {
+    while (this.pending && this.sendWindow > 0 && !this.destroyed) {
+      const { chunk, callback } = this.pending;
+      const size = Math.min(chunk.length, this.sendWindow, MAX_PAYLOAD);
+      this.sendWindow -= size;
+      this.bytesWritten += size;
+      if (size === chunk.length) {
+        this.pending = null;
+        this.session.send(FRAMES.data, this.id, chunk, callback);
+      } else {
+        this.pending.chunk = chunk.subarray(size);
+        this.session.send(FRAMES.data, this.id, chunk.subarray(0, size));
+      }
+    }
+  }
+
+  _write(chunk, encoding, callback) {
+    this.touch();
+    this.pending = { chunk, callback };
+    this.flush();
+  }
+
+  _final(callback) {
+    this.localEnded = true;
+    this.session.send(FRAMES.end, this.id);
+    callback();
+  }
+
+  _destroy(err, callback) {
+    clearTimeout(this.idleTimer);
+    if (!this.resetByPeer && !(this.localEnded && this.remoteEnded)) {
+      this.session.send(FRAMES.reset, this.id);
+    }
+    this.session.forget(this);
+    this.pending = null;
+    callback(err);
+  }
+}
+
+// options:
+//   onOpen     - server side: (stream, target) for every stream the client opens;
+//                answer with stream.accept() or stream.refuse(reply)
+//   window     - bytes of a stream allowed in flight each way
+//   maxStreams - concurrent streams accepted (server side)
+//   keepAlive  - ms without a frame from the peer before it gets pinged; the
+//                session is closed when another period passes in silence (0 = off)
+class MuxSession extends EventEmitter {
+  constructor(carrier, options = {}) {
+    super();
+    this.carrier = carrier;
+    this.onOpen = options.onOpen || null;
+    this.window = options.window || DEFAULT_WINDOW;
+    this.maxStreams = options.maxStreams || DEFAULT_MAX_STREAMS;
+    this.streams = new Map();
+    this.opening = new Map(); // id -> { resolve, reject, timer }
+    this.nextId = 1;
+    this.opened = 0;
+    this.input = EMPTY;
+    this.closed = false;
+    this.ending = false;
+    this.lastReceived = Date.now();
+
+    carrier.on('data', chunk => this.receive(chunk));
+    carrier.on('end', () => this.close());
+    carrier.on('close', () => this.close());
+    carrier.on('error', err => this.close(err));
+
+    this.keepAliveTimer = null;
+    if (options.keepAlive) {
+      this.keepAliveTimer = setInterval(() => this.keepAlive(options.keepAlive), options.keepAlive);
+    }
+  }
+
+  get remoteAddress() {
+    return this.carrier.remoteAddress;
+  }
+
+  send(type, id, payload, callback) {
+    if (this.closed) {
+      if (callback) {
+        callback(new Error('Tunnel connection closed'));
+      }
+      return;
+    }
+    this.carrier.write(encodeFrame(type, id, payload), callback);
+  }
+
+  keepAlive(interval) {
+    const silent = Date.now() - this.lastReceived;
+    if (silent >= 2 * interval) {
+      this.close(new Error(`No answer to keepalive pings for ${silent}ms`));
+    } else if (silent >= interval) {
+      const stamp = Buffer.alloc(8);
+      stamp.writeBigUInt64BE(BigInt(Date.now()));
+      this.send(FRAMES.ping, 0, stamp);
+    }
+  }
+
+  receive(chunk) {
+    this.lastReceived = Date.now();
+    this.input = this.input.length > 0 ? Buffer.concat([this.input, chunk]) : chunk;
+    try {
+      while (!this.closed && this.input.length >= FRAME_HEADER_SIZE) {
+        const length = this.input.readUInt16BE(5);
+        if (length > MAX_PAYLOAD) {
+          throw new Error(`frame of ${length} bytes`);
+        }
+        if (this.input.length < FRAME_HEADER_SIZE + length) {
+          return;
+        }
+        const type = this.input[0];
+        const id = this.input.readUInt32BE(1);
+        const payload = this.input.subarray(FRAME_HEADER_SIZE, FRAME_HEADER_SIZE + length);
+        this.input = this.input.subarray(FRAME_HEADER_SIZE + length);
+        this.handle(type, id, payload);
+      }
+    } catch (err) {
+      this.close(new Error(`Multiplexed tunnel protocol error: ${err.message}`));
+    }
+  }
+
+  handle(type, id, payload) {
+    const stream = this.streams.get(id);
+    switch (type) {
+      case FRAMES.ping:
+        this.send(FRAMES.pong, 0, payload);
+        return;
+      case FRAMES.pong:
+        return;
+      case FRAMES.open:
+        this.handleOpen(id, payload);
+        return;
+      case FRAMES.reply:
+        this.handleReply(id, payload);
+        return;
+      case FRAMES.window:
+        if (stream && payload.length === 4) {
+          stream.onWindow(payload.readUInt32BE(0));
+        }
+        return;
+      // Frames for a stream this side already dropped were in flight; ignore them
+      case FRAMES.data:
+        if (stream) {
+          stream.onData(Buffer.from(payload));
+        }
+        return;
+      case FRAMES.end:
+        if (stream) {
+          stream.onEnd();
+        }
+        return;
+      case FRAMES.reset:
+        if (stream) {
+          stream.onReset();
+        }
+        return;
+      default:
+        throw new Error(`unknown frame type ${type}`);
+    }
+  }
+
+  handleOpen(id, payload) {
+    if (!this.onOpen) {
+      throw new Error('the server side does not open streams');
+    }
+    if (id === 0 || this.streams.has(id)) {
+      throw new Error(`stream ${id} opened twice`);
+    }
+    const refuse = reply => this.send(FRAMES.reply, id, Buffer.from([reply]));
+    if (this.ending || this.streams.size >= this.maxStreams) {
+      refuse(REPLIES.busy);
+      return;
+    }
+    let target;
+    try {
+      if (payload.length < 1 || payload.length !== payload[0] + 1) {
+        throw new Error('bad target');
+      }
+      target = parseHostPort(payload.subarray(1).toString('utf8'));
+    } catch (err) {
+      refuse(REPLIES.badRequest);
+      return;
+    }
+    const stream = new MuxStream(this, id, target);
+    this.streams.set(id, stream);
+    this.opened += 1;
+    this.onOpen(stream, target);
+  }
+
+  handleReply(id, payload) {
+    const waiting = this.opening.get(id);
+    if (!waiting) {
+      return;
+    }
+    this.opening.delete(id);
+    clearTimeout(waiting.timer);
+    const [reply] = payload;
+    if (reply === REPLIES.success) {
+      waiting.resolve();
+      return;
+    }
+    waiting.reject(reply);
+  }
+
+  // Client side: open a stream to target { hostname, port } -> promise of the
+  // stream once the server connected it. Fails with err.reply set when the
+  // server refused.
+  openStream(target, timeout = 10000) {
+    const authority = formatHostPort(target.hostname, target.port);
+    if (this.closed) {
+      return Promise.reject(new Error(`Stream to ${authority} failed: tunnel connection closed`));
+    }
+    const id = this.nextId;
+    this.nextId += 1;
+    const stream = new MuxStream(this, id, target);
+    this.streams.set(id, stream);
+    this.opened += 1;
+
+    return new Promise((resolve, reject) => {
+      const fail = (err) => {
+        this.opening.delete(id);
+        stream.destroy();
+        reject(err);
+      };
+      const timer = setTimeout(() => fail(new Error(`Stream to ${authority} timed out`)), timeout);
+      this.opening.set(id, {
+        timer,
+        resolve: () => resolve(stream),
+        reject: (reply) => {
+          stream.resetByPeer = true;
+          const err = new Error(`Stream to ${authority} refused: ${REPLY_MESSAGES[reply] || `reply ${reply}`}`);
+          err.reply = reply;
+          fail(err);
+        },
+        fail
+      });
+      this.send(FRAMES.open, id, encodeTarget(target.hostname, target.port));
+    });
+  }
+
+  forget(stream) {
+    if (this.streams.get(stream.id) === stream) {
+      this.streams.delete(stream.id);
+    }
+    if (this.ending && this.streams.size === 0) {
+      this.close();
+    }
+  }
+
+  // Take no new streams and close once the open ones are done
+  end() {
+    this.ending = true;
+    if (this.streams.size === 0) {
+      this.close();
+    }
+  }
+
+  // Drop the carrier and every stream on it
+  close(err) {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    clearInterval(this.keepAliveTimer);
+    const reason = err || new Error('Tunnel connection closed');
+    for (const waiting of this.opening.values()) {
+      clearTimeout(waiting.timer);
+      waiting.fail(new Error(`Stream failed: ${reason.message}`));
+    }
+    this.opening.clear();
+    for (const stream of this.streams.values()) {
+      stream.resetByPeer = true;
+      stream.destroy(err ? reason : null);
+    }
+    this.streams.clear();
+    if (err) {
+      this.carrier.destroy();
+    } else {
+      // A clean close lets the carrier finish (the encrypted transport's end record)
+      this.carrier.end();
+      setTimeout(() => this.carrier.destroy(), CLOSE_TIMEOUT).unref();
+    }
+    this.emit('close', err || null);
+  }
+}
+
+const createMuxSession = (carrier, options) => new MuxSession(carrier, options);
+
+module.exports = {
+  DEFAULT_MAX_STREAMS,
+  DEFAULT_WINDOW,
+  FRAMES,
+  MAX_PAYLOAD,
+  MuxSession,
+  MuxStream,
+  createMuxSession
+};
@@ -0,0 +1,68 @@
+const { createMuxSession } = require('./muxSession');
+const { REPLIES } = require('./secureTunnel');
+const { formatHostPort } = require('../net/hostPort');
+const { isDestinationDenied } = require('../net/destinationPolicy');
+
+// Server side of a multiplexed tunnel session (muxSession.js): every stream
+// the client opens is connected through the core (destination policy, DNS,
+// upstream chains) and run as a tunnel of its own, so each one shows up in
+// core.active, the access log and the metrics with the upgrade's user.
+//
+// options:
+//   type        - ctx.type of the streams ('websocket-mux', 'websocket-encrypted-mux')
+//   idleTimeout - ctx.idleTimeout of the streams
+//   maxStreams, keepAlive, window - see muxSession.js
+// -> the session
+function serveMuxTunnel(core, carrier, ctx, options = {}) {
+  const { log } = core;
+  const { type = 'websocket-mux', idleTimeout } = options;
+  const remoteAddress = carrier.remoteAddress;
+
+  async function open(stream, target) {
+    const authority = formatHostPort(target.hostname, target.port);
+    stream.on('error', err => log('debug', `Multiplexed stream to ${authority} error: ${err.message}`));
+    if (core.draining) {
+      stream.refuse(REPLIES.busy);
+      return;
+    }
+
+    const streamCtx = { req: ctx.req, user: ctx.user, ...target, type, idleTimeout };
+    log('info', `Multiplexed stream to ${authority} from ${remoteAddress}`);
+    let targetSocket;
+    try {
+      targetSocket = await core.connectTarget(target);
+    } catch (err) {
+      const denied = isDestinationDenied(err);
+      log(denied ? 'warn' : 'error', `Multiplexed stream to ${authority} failed: ${err.message}`);
+      stream.refuse(denied ? REPLIES.notAllowed : REPLIES.unreachable);
+      return;
+    }
+
+    if (stream.destroyed) {
+      targetSocket.destroy();
+      return;
+    }
+    stream.accept();
+    core.openTunnel(streamCtx, stream, targetSocket);
+  }
+
+  const session = createMuxSession(carrier, {
+    maxStreams: options.maxStreams,
+    keepAlive: options.keepAlive,
+    window: options.window,
+    onOpen: (stream, target) => {
+      open(stream, target).catch((err) => {
+        log('error', `Multiplexed stream error: ${err.message}`);
+        stream.destroy();
+      });
+    }
+  });
+  log('info', `Multiplexed tunnel session from ${remoteAddress}`);
+  session.on('close', (err) => {
+    const detail = err ? `: ${err.message}` : '';
+    log(err ? 'warn' : 'info', `Multiplexed tunnel session from ${remoteAddress} closed after ${session.opened} streams${detail}`);
+  });
+  return session;
+}
+
+module.exports = { serveMuxTunnel };
@@ -0,0 +1,157 @@
+const { secureClient, secureServer } = require('./aeadStream');
+const { createSocketReader } = require('../net/socketReader');
+const { parseHostPort, formatHostPort } = require('../net/hostPort');
+const { isDestinationDenied } = require('../net/destinationPolicy');
+
+// Tunnel requests over the encrypted transport (aeadStream.js). Inside the
+// encrypted stream the client opens with its target and the server answers
+// with one status byte before the tunnel starts:
+//
+//   client -> server  length (1) | "host:port"
+//   server -> client  reply (1): 0 success, 1 not allowed, 2 unreachable, 3 bad request
+//
+// The reply codes are shared with the multiplexed tunnel (muxSession.js),
+// which also answers 4 when it takes no more streams.
+
+const REPLIES = {
+  success: 0,
+  notAllowed: 1,
+  unreachable: 2,
+  badRequest: 3,
+  busy: 4
+};
+
+const REPLY_MESSAGES = {
+  [REPLIES.notAllowed]: 'destination not allowed',
+  [REPLIES.unreachable]: 'destination unreachable',
+  [REPLIES.badRequest]: 'bad request',
+  [REPLIES.busy]: 'too many streams'
+};
+
+const DEFAULT_HANDSHAKE_TIMEOUT = 10000;
+
+function encodeTarget(hostname, port) {
+  const authority = Buffer.from(formatHostPort(hostname, port));
+  if (authority.length > 255) {
+    throw new Error(`Target ${hostname} is too long`);
+  }
+  return Buffer.concat([Buffer.from([authority.length]), authority]);
+}
+
+// Answer a refused request and drop the carrier once the reply is out
+const refuse = (stream, reply) => stream.end(Buffer.from([reply]), () => stream.destroy());
+
+// Give up on a carrier that doesn't finish its handshake in time
+function handshakeDeadline(socket, timeout = DEFAULT_HANDSHAKE_TIMEOUT) {
+  const timer = setTimeout(() => socket.destroy(new Error('Encrypted transport handshake timed out')), timeout);
+  return () => clearTimeout(timer);
+}
+
+// Server side: authenticate the carrier, read the target, connect it through
+// the core (destination policy, DNS, upstream chains) and hand both over to
+// core.openTunnel. ctx becomes the tunnel's ctx.
+//
+// options: masterKey, replayGuard, ciphers, handshakeTimeout
+async function acceptSecureTunnel(core, socket, ctx, options) {
+  const { log } = core;
+  const remoteAddress = socket.remoteAddress;
+  const done = handshakeDeadline(socket, options.handshakeTimeout || DEFAULT_HANDSHAKE_TIMEOUT);
+
+  let stream;
+  let head;
+  let failure = null;
+  try {
+    stream = await secureServer(socket, options);
+    // Handshake failures surface through the reader below, later ones through the tunnel
+    stream.on('error', (err) => {
+      failure = failure || err;
+      log('debug', `Encrypted transport error from ${remoteAddress}: ${err.message}`);
+    });
+    const reader = createSocketReader(stream);
+    try {
+      const [size] = await reader.read(1);
+      Object.assign(ctx, parseHostPort((await reader.read(size)).toString('utf8')));
+    } finally {
+      head = reader.release();
+    }
+  } catch (err) {
+    done();
+    log('warn', `Encrypted transport handshake from ${remoteAddress} failed: ${(failure || err).message}`);
+    if (stream && stream.authenticated && !stream.destroyed) {
+      refuse(stream, REPLIES.badRequest);
+    } else {
+      socket.destroy();
+    }
+    return;
+  }
+  done();
+
+  const { hostname, port } = ctx;
+  log('info', `Encrypted tunnel to ${formatHostPort(hostname, port)} from ${remoteAddress}`);
+  let targetSocket;
+  try {
+    targetSocket = await core.connectTarget({ hostname, port });
+  } catch (err) {
+    const denied = isDestinationDenied(err);
+    log(denied ? 'warn' : 'error', `Encrypted tunnel to ${formatHostPort(hostname, port)} failed: ${err.message}`);
+    refuse(stream, denied ? REPLIES.notAllowed : REPLIES.unreachable);
+    return;
+  }
+
+  if (stream.destroyed) {
+    targetSocket.destroy();
+    return;
+  }
+  stream.write(Buffer.from([REPLIES.success]));
+  core.openTunnel(ctx, stream, targetSocket, head);
+}
+
+// Client side: open a tunnel to hostname:port over a connected carrier ->
+// promise of the encrypted stream, ready for the tunnel's bytes (paused, like
+// any stream handed over after a handshake). Fails with err.reply set when
+// the server refused.
+//
+// options: masterKey, cipher, hostname, port, handshakeTimeout
+async function openSecureTunnel(socket, options) {
+  const { hostname, port } = options;
+  const done = handshakeDeadline(socket, options.handshakeTimeout || DEFAULT_HANDSHAKE_TIMEOUT);
+  const stream = secureClient(socket, options);
+  stream.write(encodeTarget(hostname, port));
+
+  const reader = createSocketReader(stream);
+  let failure = null;
+  const onError = (err) => {
+    failure = err;
+  };
+  stream.on('error', onError);
+  let reply;
+  try {
+    [reply] = await reader.read(1);
+  } catch (err) {
+    stream.destroy();
+    throw new Error(`Encrypted tunnel to ${formatHostPort(hostname, port)} failed: ${(failure || err).message}`);
+  } finally {
+    done();
+    stream.removeListener('error', onError);
+    const rest = reader.release();
+    if (rest.length > 0 && !stream.destroyed) {
+      stream.unshift(rest);
+    }
+  }
+  if (reply !== REPLIES.success) {
+    stream.destroy();
+    const err = new Error(`Encrypted tunnel to ${formatHostPort(hostname, port)} refused: ${REPLY_MESSAGES[reply] || `reply ${reply}`}`);
+    err.reply = reply;
+    throw err;
+  }
+  return stream;
+}
+
+module.exports = {
+  REPLIES,
+  REPLY_MESSAGES,
+  acceptSecureTunnel,
+  encodeTarget,
+  handshakeDeadline,
+  openSecureTunnel
+};
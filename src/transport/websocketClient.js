@@ -0,0 +1,79 @@
+const { URL } = require('url');
+const WebSocket = require('ws');
+const { MAX_MESSAGE, WebSocketStream } = require('./websocketStream');
+
+// Client side of a WebSocket connection (ws:// or wss://) to the proxy's
+// own tunnel path: resolves to a WebSocketStream (websocketStream.js) once
+// the handshake completed, so callers read and write the tunnel's bytes
+// while ws does the framing. Refusals carry the status code so callers can
+// tell a bad token from a server that is down.
+
+const DEFAULT_TIMEOUT = 10000;
+
+// Statuses that mean "try again later" rather than "you can't" - restarts,
+// deploys and the load balancers in front of them
+const RETRYABLE_STATUSES = new Set([502, 503, 504]);
+
+// Error for a refused upgrade; statusCode is the server's answer
+function upgradeError(url, statusCode, body) {
+  const detail = body ? `: ${body.trim().slice(0, 200)}` : '';
+  const err = new Error(`WebSocket upgrade to ${url.host} refused with ${statusCode}${detail}`);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// Network errors, timeouts and the statuses above are worth another attempt
+const isRetryable = err => !err.statusCode || RETRYABLE_STATUSES.has(err.statusCode);
+
+// options:
+//   headers            - extra request headers (Authorization, Proxy-Authorization)
+//   protocols          - subprotocols to offer; the server must pick one of them
+//   timeout            - ms for the connect and the handshake
+//   rejectUnauthorized - verify the server's certificate for wss:// (default true)
+function openWebSocket(target, options = {}) {
+  const { headers = {}, protocols = [], timeout = DEFAULT_TIMEOUT, rejectUnauthorized = true } = options;
+  const url = typeof target === 'string' ? new URL(target) : target;
+  if (!['ws:', 'wss:', 'http:', 'https:'].includes(url.protocol)) {
+    return Promise.reject(new Error(`Unsupported WebSocket url ${url.href}`));
+  }
+
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(url, protocols, {
+      headers,
+      handshakeTimeout: timeout,
+      rejectUnauthorized,
+      perMessageDeflate: false,
+      maxPayload: MAX_MESSAGE,
+      followRedirects: false
+    });
+    let socket = null;
+
+    // Until the stream takes over: the first failure wins, later ones are dropped
+    const onError = err => reject(err);
+    ws.on('error', onError);
+    ws.once('upgrade', (res) => {
+      socket = res.socket;
+    });
+
+    ws.once('unexpected-response', (req, res) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        body = body.length < 1024 ? body + chunk : body;
+      });
+      const refused = () => {
+        reject(upgradeError(url, res.statusCode, body));
+        req.destroy();
+      };
+      res.once('end', refused);
+      res.once('error', refused);
+    });
+
+    ws.once('open', () => {
+      ws.removeListener('error', onError);
+      resolve(new WebSocketStream(ws, socket));
+    });
+  });
+}
+
+module.exports = { RETRYABLE_STATUSES, isRetryable, openWebSocket };
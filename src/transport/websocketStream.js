@@ -0,0 +1,217 @@
+const { Duplex } = require('stream');
+const WebSocket = require('ws');
+
+// WebSocket connections (RFC 6455) as byte streams, for the tunnel path:
+// every binary message that arrives is pushed as-is and every write goes
+// out as one binary message, so the core's tunnel plumbing, multiplexed
+// sessions and the encrypted transport run over it like over a socket.
+//
+// WebSocket has no half-close, only the close handshake, which carries a
+// status code both ways:
+//
+//   local end / destroy  close frame with the code for the tunnel's close
+//                        reason (TUNNEL_CLOSE_CODES), 1011 for other errors
+//   peer's close frame   1000 / 1001 / no status end the readable side
+//                        cleanly; any other code (or none at all, 1006) is
+//                        an error, so the target is dropped instead of ended
+//
+// Text messages are refused with 1003: the tunnel only carries bytes.
+
+// Subprotocols of the tunnel path: one target per connection, or a
+// multiplexed session (muxSession.js). Clients that offer none pick the
+// mode with the query string instead.
+const TUNNEL_PROTOCOLS = { stream: 'tunnel.v1', mux: 'tunnel-mux.v1' };
+
+// Close codes we send (RFC 6455 section 7.4.1, 1014 from the IANA registry)
+const CLOSE_CODES = {
+  normal: 1000,
+  goingAway: 1001,
+  unsupportedData: 1003,
+  noStatus: 1005,
+  abnormal: 1006,
+  policyViolation: 1008,
+  internalError: 1011,
+  badGateway: 1014
+};
+
+// ctx.closeReason of a tunnel -> close code the client is sent
+const TUNNEL_CLOSE_CODES = {
+  'target-closed': CLOSE_CODES.normal,
+  'client-closed': CLOSE_CODES.normal,
+  'idle-timeout': CLOSE_CODES.normal,
+  'target-error': CLOSE_CODES.badGateway,
+  'client-error': CLOSE_CODES.internalError,
+  shutdown: CLOSE_CODES.goingAway
+};
+
+// Codes that end a connection in an orderly way
+const CLEAN_CLOSE_CODES = new Set([CLOSE_CODES.normal, CLOSE_CODES.goingAway, CLOSE_CODES.noStatus]);
+
+// Largest message accepted; writes are never bigger than a socket read
+const MAX_MESSAGE = 1024 * 1024;
+
+// Close reasons are limited to 123 bytes of UTF-8
+const closeReasonText = reason => Buffer.from(String(reason || '')).subarray(0, 123).toString();
+
+class WebSocketStream extends Duplex {
+  // options:
+  //   closeReason - () -> the tunnel's close reason, picks the code sent on close
+  constructor(ws, socket, options = {}) {
+    super({ allowHalfOpen: true });
+    this.ws = ws;
+    this.socket = socket;
+    this.closeReason = options.closeReason || (() => null);
+    this.protocol = ws.protocol;
+    // The peer's close frame, once it arrived
+    this.closeCode = null;
+    this.bytesRead = 0;
+    this.bytesWritten = 0;
+
+    ws.on('message', (data, isBinary) => {
+      if (!isBinary) {
+        this.closeWith(CLOSE_CODES.unsupportedData, 'binary messages only');
+        return;
+      }
+      this.bytesRead += data.length;
+      if (!this.push(data)) {
+        ws.pause();
+      }
+    });
+    ws.on('close', (code, reason) => this.onClose(code, reason.toString()));
+    ws.on('error', err => this.destroy(err));
+    socket.on('timeout', () => this.emit('timeout'));
+  }
+
+  get remoteAddress() {
+    return this.socket.remoteAddress;
+  }
+
+  get remotePort() {
+    return this.socket.remotePort;
+  }
+
+  setTimeout(ms, callback) {
+    this.socket.setTimeout(ms);
+    if (callback) {
+      this.once('timeout', callback);
+    }
+    return this;
+  }
+
+  setNoDelay(noDelay) {
+    this.socket.setNoDelay(noDelay);
+    return this;
+  }
+
+  setKeepAlive() {
+    return this;
+  }
+
+  onClose(code, reason) {
+    this.closeCode = code;
+    if (!CLEAN_CLOSE_CODES.has(code)) {
+      const detail = reason ? ` (${reason})` : '';
+      this.destroy(new Error(`WebSocket closed with ${code}${detail}`));
+      return;
+    }
+    this.push(null);
+    // Nothing can be sent after the close handshake; let the readable side
+    // drain, then close
+    if (this.readableEnded) {
+      this.destroy();
+    } else {
+      this.once('end', () => this.destroy());
+      this.read(0);
+    }
+  }
+
+  closeWith(code, reason) {
+    if (this.ws.readyState === WebSocket.OPEN) {
+      this.ws.close(code, closeReasonText(reason));
+    } else if (this.ws.readyState === WebSocket.CONNECTING) {
+      this.ws.terminate();
+    }
+  }
+
+  _read() {
+    if (this.ws.isPaused) {
+      this.ws.resume();
+    }
+  }
+
+  _write(chunk, encoding, callback) {
+    // The peer closed; like writing after a socket's FIN was sent back
+    if (this.ws.readyState !== WebSocket.OPEN) {
+      callback();
+      return;
+    }
+    this.bytesWritten += chunk.length;
+    this.ws.send(chunk, { binary: true }, callback);
+  }
+
+  _final(callback) {
+    const reason = this.closeReason();
+    this.closeWith(TUNNEL_CLOSE_CODES[reason] || CLOSE_CODES.normal, reason);
+    callback();
+  }
+
+  _destroy(err, callback) {
+    if (this.closeCode === null) {
+      const reason = this.closeReason() || (err && err.message);
+      const fallback = err ? CLOSE_CODES.internalError : CLOSE_CODES.normal;
+      this.closeWith(TUNNEL_CLOSE_CODES[reason] || fallback, reason);
+    }
+    callback(err);
+  }
+}
+
+// Subprotocols a client offered with its Upgrade request
+const offeredProtocols = req => (req.headers['sec-websocket-protocol'] || '')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+
+// Server side of the handshake on an Upgrade request. The client's
+// Sec-WebSocket-Protocol offer is matched against `protocols` (first one
+// it offers that we speak); an offer without a match is answered 400.
+// Invalid handshakes are answered by ws itself.
+//
+// options:
+//   protocols   - subprotocols we speak
+//   closeReason - see WebSocketStream
+// -> the stream, or null when the handshake was refused
+function acceptWebSocket(req, socket, head, options = {}) {
+  const { protocols = [] } = options;
+  const offered = offeredProtocols(req);
+  if (offered.length > 0 && !offered.some(name => protocols.includes(name))) {
+    const message = `Unsupported WebSocket subprotocol, expected one of: ${protocols.join(', ')}`;
+    socket.end(`HTTP/1.1 400 Bad Request\r\nContent-Type: text/plain\r\nContent-Length: ${Buffer.byteLength(message)}\r\n`
+      + `Connection: close\r\n\r\n${message}`);
+    return Promise.resolve(null);
+  }
+
+  const server = new WebSocket.Server({
+    noServer: true,
+    perMessageDeflate: false,
+    maxPayload: MAX_MESSAGE,
+    handleProtocols: offers => protocols.find(name => offers.has(name)) || false
+  });
+  return new Promise((resolve) => {
+    const onClose = () => resolve(null);
+    socket.once('close', onClose);
+    server.handleUpgrade(req, socket, head, (ws) => {
+      socket.removeListener('close', onClose);
+      resolve(new WebSocketStream(ws, socket, options));
+    });
+  });
+}
+
+module.exports = {
+  CLOSE_CODES,
+  MAX_MESSAGE,
+  TUNNEL_CLOSE_CODES,
+  TUNNEL_PROTOCOLS,
+  WebSocketStream,
+  acceptWebSocket,
+  offeredProtocols
+};